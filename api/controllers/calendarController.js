@@ -0,0 +1,143 @@
+const TaskDAO = require("../dao/taskDAO");
+const ListDAO = require("../dao/listDAO");
+const UserDAO = require("../dao/userDAO");
+const { FEED_TYPES, renderCalendar } = require("../utils/ical");
+const { isCompleted } = require("../utils/workflow");
+const { generateCalendarToken, hashToken } = require("../utils/tokens");
+const { ValidationError, NotFoundError } = require("../utils/errors");
+
+/**
+ * Controller class for the calendar (iCalendar) feed.
+ *
+ * The feed is read by calendar apps, which can't log in, so it is
+ * authorized by a secret token in its URL instead of the login JWT.
+ * Users get the token (and the URL) when they generate it, and generating
+ * it again invalidates the previous one.
+ */
+class CalendarController {
+  /**
+   * Renders the calendar feed of the user the token belongs to, with every
+   * task with a due date of the lists the user owns or is a member of.
+   *
+   * Query parameters: `list` (only the tasks of that list) and `type`
+   * ("event", the default, or "todo" to render the tasks as to-dos).
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object, `req.params.token` contains the feed token.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Responds with:
+   * - 200 and the `text/calendar` feed if successful.
+   * - 400 if `type` is invalid.
+   * - 404 if the token or the list are not valid.
+   * - 500 if an internal server error occurs.
+   */
+  async getFeed(req, res) {
+    const { token } = req.params;
+    const type = req.query.type || "event";
+
+    if (!FEED_TYPES.includes(type)) {
+      throw new ValidationError(
+        `type debe ser uno de: ${FEED_TYPES.join(", ")}`,
+      );
+    }
+
+    const user = /^[a-f\d]{64}$/.test(token)
+      ? await UserDAO.findByCalendarToken(hashToken(token))
+      : null;
+    if (!user) {
+      throw new NotFoundError("Calendario no encontrado");
+    }
+
+    let lists = await ListDAO.getAccessibleLists(user._id);
+    if (req.query.list) {
+      lists = lists.filter((list) => list._id.toString() === req.query.list);
+      if (lists.length === 0) {
+        throw new NotFoundError("Lista no encontrada");
+      }
+    }
+
+    const titles = new Map(
+      lists.map((list) => [list._id.toString(), list.title]),
+    );
+    const tasks = await TaskDAO.getTasksWithDueDate(
+      lists.map((list) => list._id),
+    );
+
+    const calendar = renderCalendar({
+      name: req.query.list ? `Lumo - ${lists[0].title}` : "Lumo",
+      type,
+      tasks: tasks.map((task) => ({
+        ...task,
+        listTitle: titles.get(task.list.toString()),
+        completed: isCompleted(task),
+      })),
+    });
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="lumo.ics"',
+    });
+    return res.status(200).send(calendar);
+  }
+
+  /**
+   * Generates a new token for the calendar feed of the authenticated user,
+   * invalidating the previous one.
+   *
+   * The token is only returned here, since only its hash is stored.
+   * Adding `?list=<id>` to the returned `url` gives the feed of a single list.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Responds with:
+   * - 200 and `{ message, token, url }` if successful.
+   * - 404 if the user does not exist.
+   * - 500 if an internal server error occurs.
+   */
+  async regenerateToken(req, res) {
+    const { token, hash } = generateCalendarToken();
+
+    const user = await UserDAO.update(req.user.id, {
+      calendarTokenHash: hash,
+    });
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    return res.status(200).json({
+      message: "Enlace del calendario generado",
+      token,
+      url: `${req.protocol}://${req.get("host")}/api/calendar/${token}.ics`,
+    });
+  }
+
+  /**
+   * Disables the calendar feed of the authenticated user.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Responds with:
+   * - 200 and a success message if successful.
+   * - 404 if the user does not exist.
+   * - 500 if an internal server error occurs.
+   */
+  async deleteToken(req, res) {
+    const user = await UserDAO.update(req.user.id, {
+      $unset: { calendarTokenHash: 1 },
+    });
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    return res
+      .status(200)
+      .json({ message: "Enlace del calendario desactivado" });
+  }
+}
+
+/**
+ * Export a singleton instance of CalendarController.
+ */
+module.exports = new CalendarController();
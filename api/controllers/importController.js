@@ -0,0 +1,249 @@
+const mongoose = require("mongoose");
+const TaskDAO = require("../dao/taskDAO");
+const ListDAO = require("../dao/listDAO");
+const UserDAO = require("../dao/userDAO");
+const ActivityDAO = require("../dao/activityDAO");
+const { IMPORT_SOURCES, parseImport } = require("../utils/importers");
+const { getDefaultStatus, getStatuses } = require("../utils/workflow");
+const { ValidationError, NotFoundError } = require("../utils/errors");
+
+/**
+ * Valid modes of an import.
+ */
+const IMPORT_MODES = ["dry-run", "commit"];
+
+/**
+ * Returns the message of the first error of a validation error.
+ * @param {import("mongoose").Error.ValidationError} err - Validation error.
+ * @returns {string} Error message.
+ */
+function firstMessage(err) {
+  return Object.values(err.errors)[0].message;
+}
+
+/**
+ * Resolves the status an imported task gets in its list: the status whose
+ * key or label matches the one in the file, otherwise the list's first
+ * completed status for completed tasks and its default status for the rest.
+ * @param {Object} item - Import item (see `utils/importers.js`).
+ * @param {Object|null} list - List of the task (`null` for new lists).
+ * @returns {{ key: string, warning?: string }} Key of the status, and a
+ * warning if the file's status doesn't exist in the list.
+ */
+function resolveStatus(item, list) {
+  const statuses = getStatuses(list);
+  if (item.status) {
+    const wanted = item.status.toLowerCase();
+    const match = statuses.find(
+      (status) =>
+        status.key === wanted || status.label.toLowerCase() === wanted,
+    );
+    if (match) return { key: match.key };
+  }
+
+  const done = item.completed && statuses.find((status) => status.done);
+  const key = done ? done.key : getDefaultStatus(list);
+  return item.status
+    ? {
+        key,
+        warning: `El estado "${item.status}" no existe en la lista, se usa "${key}"`,
+      }
+    : { key };
+}
+
+/**
+ * Controller class for importing tasks from other tools.
+ *
+ * Imports group the tasks of a file by the list they go to, reusing the
+ * user's lists with the same title and creating the others.
+ */
+class ImportController {
+  /**
+   * Plans an import: which lists are reused or created and which tasks go
+   * to each one. Tasks are validated against the Task model, so tasks that
+   * would fail are reported instead of imported.
+   *
+   * @async
+   * @param {Array<Object>} items - Import items (see `utils/importers.js`).
+   * @param {string} userId - ID of the user who imports.
+   * @returns {Promise<{ lists: Array<Object>, failed: Array<Object>, warnings: Array<Object> }>}
+   * Lists with their `title`, the existing `list` (or `null`) and the data
+   * of their valid `tasks`; tasks that failed and warnings, by file row.
+   */
+  async buildPlan(items, userId) {
+    const titles = [...new Set(items.map((item) => item.list))];
+    const existing = new Map(
+      (await ListDAO.getUserListsByTitle(userId, titles)).map((list) => [
+        list.title,
+        list,
+      ]),
+    );
+
+    const lists = new Map();
+    for (const title of titles) {
+      const list = existing.get(title) || null;
+      const err = list
+        ? null
+        : new ListDAO.model({ title, user: userId }).validateSync();
+      lists.set(title, {
+        title,
+        list,
+        error: err ? firstMessage(err) : null,
+        tasks: [],
+      });
+    }
+
+    const failed = [];
+    const warnings = [];
+    for (const item of items) {
+      const entry = lists.get(item.list);
+      const status = resolveStatus(item, entry.list);
+      const data = {
+        title: item.title,
+        description: item.description,
+        status: status.key,
+        dueDate: item.dueDate,
+        priority: item.priority,
+        subtasks: item.subtasks,
+        user: userId,
+      };
+
+      let error = item.error || entry.error;
+      if (!error) {
+        const err = new TaskDAO.model({
+          ...data,
+          list: entry.list ? entry.list._id : new mongoose.Types.ObjectId(),
+        }).validateSync();
+        if (err) error = firstMessage(err);
+      }
+
+      if (error) {
+        failed.push({ row: item.row, title: item.title, message: error });
+        continue;
+      }
+      for (const warning of [item.warning, status.warning]) {
+        if (warning) warnings.push({ row: item.row, message: warning });
+      }
+      entry.tasks.push(data);
+    }
+
+    return {
+      lists: [...lists.values()].filter((entry) => entry.tasks.length > 0),
+      failed,
+      warnings,
+    };
+  }
+
+  /**
+   * Imports the tasks of a file exported from another tool.
+   *
+   * The body is the file: a CSV (`text/csv` or `text/plain`) or the JSON of
+   * a Trello board (`application/json`). Query parameters:
+   * - `source`: "csv" (default), "trello" or "todoist".
+   * - `mode`: "dry-run" (default) only reports what would be imported;
+   *   "commit" imports it in a single transaction.
+   * - `list`: title of the list for tasks whose file doesn't name one
+   *   (the Todoist project, or CSVs without a `list` column).
+   *
+   * Tasks that fail validation are reported by row and skipped; the rest
+   * are appended to their lists.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Responds with:
+   * - 200 (dry run) or 201 (commit) and `{ mode, lists, tasks, failed, warnings }`,
+   *   where `lists` holds `{ title, action, tasks }` (`action` is "create" or
+   *   "existing", and committed lists include their `_id`).
+   * - 400 if a query parameter or the file are invalid.
+   * - 404 if the user does not exist.
+   * - 409 if a list was created with the same title meanwhile.
+   * - 500 if an internal server error occurs.
+   */
+  async importTasks(req, res) {
+    let session;
+    try {
+      const userId = req.user.id;
+      const source = req.query.source || "csv";
+      const mode = req.query.mode || "dry-run";
+
+      if (!IMPORT_SOURCES.includes(source)) {
+        throw new ValidationError(
+          `source debe ser uno de: ${IMPORT_SOURCES.join(", ")}`,
+        );
+      }
+      if (!IMPORT_MODES.includes(mode)) {
+        throw new ValidationError(
+          `mode debe ser uno de: ${IMPORT_MODES.join(", ")}`,
+        );
+      }
+
+      const user = await UserDAO.read(userId);
+      if (!user) {
+        throw new NotFoundError("Usuario no encontrado");
+      }
+
+      const items = parseImport(source, req.body, {
+        list: (req.query.list || "").trim() || undefined,
+      });
+      const plan = await this.buildPlan(items, user._id);
+
+      const summary = (entries) => ({
+        mode,
+        lists: entries.map((entry) => ({
+          ...(entry._id && { _id: entry._id }),
+          title: entry.title,
+          action: entry.list ? "existing" : "create",
+          tasks: entry.tasks.length,
+        })),
+        tasks: entries.reduce((total, entry) => total + entry.tasks.length, 0),
+        failed: plan.failed,
+        warnings: plan.warnings,
+      });
+
+      if (mode === "dry-run") {
+        return res.status(200).json(summary(plan.lists));
+      }
+
+      let imported;
+      let newLists;
+      session = await ListDAO.model.db.startSession();
+      await session.withTransaction(async () => {
+        imported = [];
+        newLists = [];
+        for (const entry of plan.lists) {
+          let list = entry.list;
+          if (!list) {
+            list = await ListDAO.create(
+              { title: entry.title, user: user._id },
+              { session },
+            );
+            newLists.push(list);
+          }
+          const tasks = await TaskDAO.insertAtEnd(list, entry.tasks, {
+            session,
+          });
+          imported.push({ ...entry, _id: list._id, tasks });
+        }
+      });
+
+      for (const list of newLists) {
+        await ActivityDAO.record("list", null, list, userId);
+      }
+      for (const entry of imported) {
+        for (const task of entry.tasks) {
+          await ActivityDAO.record("task", null, task, userId);
+        }
+      }
+
+      return res.status(201).json(summary(imported));
+    } finally {
+      if (session) session.endSession(); // Transaction end
+    }
+  }
+}
+
+/**
+ * Export a singleton instance of ImportController.
+ */
+module.exports = new ImportController();
@@ -0,0 +1,163 @@
+const GlobalController = require("./globalController");
+const LabelDAO = require("../dao/labelDAO");
+const TaskDAO = require("../dao/taskDAO");
+const UserDAO = require("../dao/userDAO");
+const { ForbiddenError, NotFoundError } = require("../utils/errors");
+
+/**
+ * Controller class for managing Label resources.
+ *
+ * Extends the generic {@link GlobalController} to inherit
+ * CRUD operations, using the {@link LabelDAO} as the data access layer.
+ */
+class LabelController extends GlobalController {
+  /**
+   * Create a new LabelController instance.
+   *
+   * The constructor passes the LabelDAO to the parent class so that
+   * all inherited methods (create, read, update, delete, getAll)
+   * operate on the Label model.
+   */
+  constructor() {
+    super(LabelDAO);
+  }
+
+  /**
+   * Returns the labels of the authenticated user, sorted by name.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response with `{ labels }` or an error message.
+   */
+  async getUserLabels(req, res) {
+    const userId = req.user.id;
+
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    const labels = await this.dao.getUserLabels(userId);
+
+    return res.status(200).json({ labels });
+  }
+
+  /**
+   * Creates a new label for the authenticated user.
+   *
+   * Handles validation errors and duplicate name conflicts.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. The body should
+   * contain the `name` and optionally the `color` of the label.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response with the created label or an error message.
+   */
+  async createLabel(req, res) {
+    const userId = req.user.id;
+
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    const label = await this.dao.create({
+      name: req.body.name,
+      color: req.body.color,
+      user: userId,
+    });
+
+    return res.status(201).json({
+      message: "Etiqueta creada exitosamente",
+      label,
+    });
+  }
+
+  /**
+   * Updates the name or color of a label.
+   *
+   * Only the owner of the label can update it.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Must include
+   * the label ID in `req.params.id`.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response with the updated label or an error message.
+   */
+  async updateLabel(req, res) {
+    const userId = req.user.id;
+    const labelId = req.params.id;
+
+    const label = await this.dao.read(labelId);
+    if (!label) {
+      throw new NotFoundError("Etiqueta no encontrada");
+    }
+
+    if (label.user.toString() !== userId) {
+      throw new ForbiddenError("Acción prohibida");
+    }
+
+    const updates = {};
+    for (const field of ["name", "color"]) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+
+    const updated = await this.dao.update(labelId, updates);
+
+    return res.status(200).json({
+      message: "Etiqueta actualizada exitosamente",
+      label: updated,
+    });
+  }
+
+  /**
+   * Deletes a label and detaches it from every task it was attached to.
+   *
+   * Only the owner of the label can delete it. Both steps run in a single
+   * transaction, so tasks never keep a reference to a deleted label.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Must include
+   * the label ID in `req.params.id`.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response indicating success or an error message.
+   */
+  async deleteLabel(req, res) {
+    let session;
+    try {
+      const userId = req.user.id;
+      const labelId = req.params.id;
+
+      const label = await this.dao.read(labelId);
+      if (!label) {
+        throw new NotFoundError("Etiqueta no encontrada");
+      }
+
+      if (label.user.toString() !== userId) {
+        throw new ForbiddenError("Acción prohibida");
+      }
+
+      let tasks;
+      session = await this.dao.model.db.startSession();
+      await session.withTransaction(async () => {
+        tasks = await TaskDAO.removeLabel(label._id, { session });
+        await this.dao.delete(label._id, { session });
+      });
+
+      return res.status(200).json({
+        message: "Etiqueta eliminada exitosamente",
+        tasks,
+      });
+    } finally {
+      if (session) session.endSession(); // Transaction end
+    }
+  }
+}
+
+/**
+ * Export a singleton instance of LabelController.
+ */
+module.exports = new LabelController();
@@ -2,6 +2,24 @@ const GlobalController = require("./globalController");
 const ListDAO = require("../dao/listDAO");
 const UserDAO = require("../dao/userDAO");
 const TaskDAO = require("../dao/taskDAO");
+const ActivityDAO = require("../dao/activityDAO");
+const { getListRole, hasRole } = require("../utils/listAccess");
+const { sendMail, escapeHtml } = require("../utils/mailer");
+const { canReceiveMail } = require("../utils/verification");
+const { parseQuery } = require("../utils/queryParser");
+const {
+  getStatuses,
+  getDefaultStatus,
+  findStatus,
+  invalidStatusMessage,
+  statusOrderExpr,
+} = require("../utils/workflow");
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
 
 /**
  * Controller class for managing List resources.
@@ -24,34 +42,44 @@ class ListController extends GlobalController {
   /**
    * Returns all the lists associated to a user.
    *
+   * Includes the lists the user owns and the ones shared with them,
+   * each with its workflow `statuses` and the `role` the user has on it.
    * The user ID is obtained from the decoded JWT token (`req.user.id`).
    *
+   * Accepts the filters, `sort`, `limit` and `cursor` declared by {@link ListDAO}
+   * (see `utils/queryParser.js`).
+   *
    * @async
    * @param {import("express").Request} req - Express request object.
    * @param {import("express").Response} res - Express response object.
-   * @returns {Promise<void>} Sends a JSON response with the lists associated +
-   * to the user or an error if it failed.
+   * @returns {Promise<void>} Sends a JSON response with `{ lists, nextCursor }`
+   * or an error if it failed.
    */
   async getUserLists(req, res) {
-    try {
-      const userId = req.user.id;
-
-      const user = await UserDAO.read(userId);
-      if (!user) {
-        return res.status(404).json({ message: "Usuario no encontrado" });
-      }
+    const userId = req.user.id;
 
-      const lists = await this.dao.getAll({ user: userId });
-
-      return res.status(200).json(lists);
-    } catch (err) {
-      if (process.env.NODE_ENV === "development") {
-        console.log(`Internal server error: ${err.message}`);
-      }
-      res
-        .status(500)
-        .json({ message: "Internal server error, try again later" });
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
     }
+
+    const { filter, sort, limit, cursor } = parseQuery(req.query, this.dao);
+    const page = await this.dao.paginate(
+      {
+        $and: [{ $or: [{ user: userId }, { "members.user": userId }] }, filter],
+      },
+      { sort, limit, cursor },
+    );
+
+    return res.status(200).json({
+      lists: page.items.map((list) => ({
+        ...list,
+        statuses: getStatuses(list),
+        defaultStatus: getDefaultStatus(list),
+        role: getListRole(list, userId),
+      })),
+      nextCursor: page.nextCursor,
+    });
   }
 
   /**
@@ -70,38 +98,19 @@ class ListController extends GlobalController {
    * @returns {Promise<void>} Sends a JSON response with the created list or an error message.
    */
   async createList(req, res) {
-    try {
-      const userId = req.user.id;
-
-      const user = await UserDAO.read(userId);
-      if (!user) {
-        return res.status(404).json({ message: "Usuario no encontrado" });
-      }
-
-      await this.dao.create({ ...req.body, user: userId });
+    const userId = req.user.id;
 
-      return res.status(200).json({
-        message: "Lista creada exitosamente",
-      });
-    } catch (err) {
-      if (err.name === "ValidationError") {
-        const firstMessage = Object.values(err.errors)[0].message;
-        return res.status(400).json({ message: firstMessage });
-      }
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
 
-      if (err.code === 11000) {
-        return res
-          .status(409)
-          .json({ message: "Ya existe una lista con ese título" });
-      }
+    const list = await this.dao.create({ ...req.body, user: userId });
+    await ActivityDAO.record("list", null, list, userId);
 
-      if (process.env.NODE_ENV === "development") {
-        console.log(`Internal server error: ${err.message}`);
-      }
-      res
-        .status(500)
-        .json({ message: "Internal server error, try again later" });
-    }
+    return res.status(200).json({
+      message: "Lista creada exitosamente",
+    });
   }
 
   /**
@@ -118,47 +127,132 @@ class ListController extends GlobalController {
    * @returns {Promise<void>} Sends a JSON response indicating success or an error message.
    */
   async updateList(req, res) {
+    const userId = req.user.id;
+    const listId = req.params.id;
+
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    const list = await this.dao.read(listId);
+    if (!list) {
+      throw new NotFoundError("Lista no encontrada");
+    }
+
+    if (!hasRole(getListRole(list, userId), "owner")) {
+      throw new ForbiddenError("Acción prohibida");
+    }
+
+    const updated = await this.dao.update(listId, { title: req.body.title });
+    await ActivityDAO.record("list", list, updated, userId);
+
+    return res.status(200).json({
+      message: "Lista actualizada exitosamente",
+    });
+  }
+
+  /**
+   * Returns the workflow statuses of a list, in order.
+   *
+   * Any user with access to the list can read them.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Must include
+   * the list ID in `req.params.id`.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response with `{ statuses, defaultStatus }` or an error message.
+   */
+  async getListStatuses(req, res) {
+    const userId = req.user.id;
+    const listId = req.params.id;
+
+    const list = await this.dao.read(listId);
+    if (!list) {
+      throw new NotFoundError("Lista no encontrada");
+    }
+
+    if (!hasRole(getListRole(list, userId), "viewer")) {
+      throw new ForbiddenError("Acción prohibida");
+    }
+
+    return res.status(200).json({
+      statuses: getStatuses(list),
+      defaultStatus: getDefaultStatus(list),
+    });
+  }
+
+  /**
+   * Replaces the workflow statuses of a list.
+   *
+   * Only the owner of the list can change its workflow. The body must contain
+   * the ordered `statuses` (`key`, `label`, `color` and `done`), and may contain
+   * the `defaultStatus` new tasks get and `replacements`, mapping each removed
+   * status key to the status its tasks move to (the default status otherwise).
+   * The list and its tasks are updated in a single transaction.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Must include
+   * the list ID in `req.params.id`.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response with the new workflow and the number
+   * of updated tasks, or an error message.
+   */
+  async updateListStatuses(req, res) {
+    let session;
     try {
       const userId = req.user.id;
       const listId = req.params.id;
+      const { statuses, defaultStatus = null, replacements = {} } = req.body;
 
       const user = await UserDAO.read(userId);
       if (!user) {
-        return res.status(404).json({ message: "Usuario no encontrado" });
+        throw new NotFoundError("Usuario no encontrado");
       }
 
       const list = await this.dao.read(listId);
       if (!list) {
-        return res.status(404).json({ message: "Lista no encontrada" });
+        throw new NotFoundError("Lista no encontrada");
       }
 
-      if (list.user.toString() !== userId) {
-        return res.status(403).json({ message: "Acción prohibida" });
+      if (!hasRole(getListRole(list, userId), "owner")) {
+        throw new ForbiddenError("Acción prohibida");
       }
 
-      await this.dao.update(listId, { title: req.body.title });
-
-      return res.status(200).json({
-        message: "Lista actualizada exitosamente",
-      });
-    } catch (err) {
-      if (err.name === "ValidationError") {
-        const firstMessage = Object.values(err.errors)[0].message;
-        return res.status(400).json({ message: firstMessage });
+      const workflow = { statuses };
+      if (defaultStatus && !findStatus(workflow, defaultStatus)) {
+        throw new ValidationError(invalidStatusMessage(workflow));
       }
-
-      if (err.code === 11000) {
-        return res
-          .status(409)
-          .json({ message: "Ya existe una lista con ese título" });
+      if (
+        typeof replacements !== "object" ||
+        !Object.values(replacements).every((key) => findStatus(workflow, key))
+      ) {
+        throw new ValidationError(invalidStatusMessage(workflow));
       }
 
-      if (process.env.NODE_ENV === "development") {
-        console.log(`Internal server error: ${err.message}`);
-      }
-      res
-        .status(500)
-        .json({ message: "Internal server error, try again later" });
+      let updated;
+      let tasks;
+      session = await this.dao.model.db.startSession();
+      await session.withTransaction(async () => {
+        updated = await this.dao.update(
+          listId,
+          { statuses, defaultStatus },
+          { session },
+        );
+        tasks = await TaskDAO.applyWorkflow(updated, replacements, {
+          session,
+        });
+      });
+      await ActivityDAO.record("list", list, updated, userId);
+
+      return res.status(200).json({
+        message: "Estados actualizados exitosamente",
+        statuses: getStatuses(updated),
+        defaultStatus: getDefaultStatus(updated),
+        tasks,
+      });
+    } finally {
+      if (session) session.endSession(); // Transaction end
     }
   }
 
@@ -169,6 +263,15 @@ class ListController extends GlobalController {
    * of the list before performing the deletion. Only the list owner
    * is allowed to delete it.
    *
+   * The caller chooses what happens to the list's tasks with `req.query.tasks`:
+   * - `delete` (default): the tasks go to the trash together with the list,
+   *   and come back if the list is restored.
+   * - `move`: the tasks are moved into the list given in `req.query.target`,
+   *   which the user must own or be an editor of.
+   *
+   * Everything runs in a single transaction, so tasks are never left pointing
+   * to a deleted list.
+   *
    * @async
    * @param {import("express").Request} req - Express request object. Must include
    * the list ID in `req.params.id`.
@@ -176,44 +279,159 @@ class ListController extends GlobalController {
    * @returns {Promise<void>} Sends a JSON response indicating success or an error message.
    */
   async deleteList(req, res) {
-    try {
-      const userId = req.user.id;
-      const listId = req.params.id;
+    const userId = req.user.id;
+    const listId = req.params.id;
+    const { tasks: taskAction = "delete", target } = req.query;
 
+    if (taskAction === "move" && !target) {
+      throw new ValidationError("target es requerido para mover las tareas");
+    }
+
+    let session;
+    try {
       const user = await UserDAO.read(userId);
       if (!user) {
-        return res.status(404).json({ message: "Usuario no encontrado" });
+        throw new NotFoundError("Usuario no encontrado");
       }
 
       const list = await this.dao.read(listId);
       if (!list) {
-        return res.status(404).json({ message: "Lista no encontrada" });
+        throw new NotFoundError("Lista no encontrada");
       }
 
-      if (list.user.toString() !== userId) {
-        return res.status(403).json({ message: "Acción prohibida" });
+      if (!hasRole(getListRole(list, userId), "owner")) {
+        throw new ForbiddenError("Acción prohibida");
       }
 
-      await this.dao.delete(listId);
+      let targetList;
+      if (taskAction === "move") {
+        targetList = await this.dao.read(target);
+        if (!targetList || targetList._id.equals(list._id)) {
+          throw new NotFoundError("Lista de destino no encontrada");
+        }
+
+        if (!hasRole(getListRole(targetList, userId), "editor")) {
+          throw new ForbiddenError("Acción prohibida");
+        }
+      }
+
+      const tasks = await TaskDAO.getAll({ list: listId });
+
+      session = await this.dao.model.db.startSession();
+      await session.withTransaction(async () => {
+        const deleted = await this.dao.delete(listId, { session });
+        if (!deleted) {
+          throw new NotFoundError("Lista no encontrada");
+        }
+        if (targetList) {
+          await TaskDAO.moveByList(listId, targetList._id, { session });
+        } else {
+          await TaskDAO.deleteByList(listId, deleted.deletedAt, { session });
+        }
+      });
+
+      await ActivityDAO.record("list", list, null, userId);
+      for (const task of tasks) {
+        await ActivityDAO.record(
+          "task",
+          task,
+          targetList ? { ...task.toObject(), list: targetList._id } : null,
+          userId,
+        );
+      }
 
       return res.status(200).json({
         message: "Lista eliminada exitosamente",
+        tasks: tasks.length,
+      });
+    } finally {
+      if (session) session.endSession(); // Transaction end
+    }
+  }
+
+  /**
+   * Duplicates a list together with its tasks.
+   *
+   * Any user with access to the list can duplicate it; the copy belongs to
+   * the user who makes it and is not shared with the members of the original.
+   * The copy is titled "<title> (copy)", "<title> (copy 2)"... so it doesn't
+   * clash with the user's other lists, keeps the workflow of the original and
+   * its tasks keep their manual order.
+   * The list and its tasks are created in a single transaction.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Must include
+   * the list ID in `req.params.id`.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response with the new list or an error message.
+   */
+  async duplicateList(req, res) {
+    let session;
+    try {
+      const userId = req.user.id;
+      const listId = req.params.id;
+
+      const user = await UserDAO.read(userId);
+      if (!user) {
+        throw new NotFoundError("Usuario no encontrado");
+      }
+
+      const list = await this.dao.read(listId);
+      if (!list) {
+        throw new NotFoundError("Lista no encontrada");
+      }
+
+      if (!hasRole(getListRole(list, userId), "viewer")) {
+        throw new ForbiddenError("Acción prohibida");
+      }
+
+      const tasks = await TaskDAO.getTasksByListOrdered(list._id, {
+        order: "manual",
       });
-    } catch (err) {
-      if (process.env.NODE_ENV === "development") {
-        console.log(`Internal server error: ${err.message}`);
+      const title = await this.dao.getCopyTitle(list.title, userId);
+
+      let copy;
+      let taskCopies;
+      session = await this.dao.model.db.startSession();
+      await session.withTransaction(async () => {
+        copy = await this.dao.create(
+          {
+            title,
+            user: userId,
+            statuses: list.statuses,
+            defaultStatus: list.defaultStatus,
+          },
+          { session },
+        );
+        taskCopies = await TaskDAO.copyTasks(tasks, copy, userId, {
+          session,
+        });
+      });
+
+      await ActivityDAO.record("list", null, copy, userId);
+      for (const task of taskCopies) {
+        await ActivityDAO.record("task", null, task, userId);
       }
-      res
-        .status(500)
-        .json({ message: "Internal server error, try again later" });
+
+      return res.status(201).json({
+        message: "Lista duplicada exitosamente",
+        list: copy,
+        tasks: taskCopies.length,
+      });
+    } finally {
+      if (session) session.endSession(); // Transaction end
     }
   }
 
   /**
    * Retrieve all tasks associated with a specific list.
    *
-   * Validates that the requesting user exists and is the owner of the list,
-   * then retrieves all tasks linked to that list.
+   * Validates that the requesting user exists and is the owner or a member
+   * of the list, then retrieves all tasks linked to that list.
+   * Tasks are sorted by status (in the order of the list's workflow) and due
+   * date unless `sort` is sent, or by the
+   * position users gave them with `order=manual`, and accept the filters,
+   * `limit` and `cursor` declared by {@link TaskDAO}.
    *
    * @async
    * @function getListTasks
@@ -225,41 +443,251 @@ class ListController extends GlobalController {
    * @param {string} req.params.id - ID of the list whose tasks are to be retrieved.
    * @param {import("express").Response} res - Express response object.
    * @returns {Promise<void>} Responds with:
-   * - 200 and an array of tasks if successful.
-   * - 403 if the list does not belong to the user.
+   * - 200 and `{ tasks, nextCursor }` if successful.
+   * - 400 if a query parameter is invalid.
+   * - 403 if the user is neither the owner nor a member of the list.
    * - 404 if the user or list does not exist.
    * - 500 if an internal server error occurs.
    */
   async getListTasks(req, res) {
-    try {
-      const userId = req.user.id;
-      const listId = req.params.id;
+    const userId = req.user.id;
+    const listId = req.params.id;
 
-      const user = await UserDAO.read(userId);
-      if (!user) {
-        return res.status(404).json({ message: "Usuario no encontrado" });
-      }
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
 
-      const list = await this.dao.read(listId);
-      if (!list) {
-        return res.status(404).json({ message: "Lista no encontrada" });
-      }
+    const list = await this.dao.read(listId);
+    if (!list) {
+      throw new NotFoundError("Lista no encontrada");
+    }
 
-      if (list.user.toString() !== userId) {
-        return res.status(403).json({ message: "Acción prohibida" });
-      }
+    if (!hasRole(getListRole(list, userId), "viewer")) {
+      throw new ForbiddenError("Acción prohibida");
+    }
+
+    const { filter, sort, limit, cursor } = parseQuery(req.query, TaskDAO, {
+      manualSort: [["position", 1]],
+    });
+    const page = await TaskDAO.paginate(
+      { $and: [{ list: listId }, filter] },
+      {
+        sort,
+        limit,
+        cursor,
+        sortExpressions: { status: statusOrderExpr(getStatuses(list)) },
+      },
+    );
+
+    return res
+      .status(200)
+      .json({ tasks: page.items, nextCursor: page.nextCursor });
+  }
+
+  /**
+   * Returns the owner and the members of a list.
+   *
+   * Any user with access to the list can see who else has access. Users
+   * whose account no longer exists are left out, and `owner` is `null`
+   * if the owner's account was deleted.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Must include
+   * the list ID in `req.params.id`.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response with `{ owner, members }` or an error message.
+   */
+  async getListMembers(req, res) {
+    const userId = req.user.id;
+    const listId = req.params.id;
+
+    const list = await this.dao.getWithMembers(listId);
+    if (!list) {
+      throw new NotFoundError("Lista no encontrada");
+    }
+
+    // The populated owner is null if their account was deleted
+    const isOwner = Boolean(list.user) && list.user._id.toString() === userId;
+    const isMember = list.members.some(
+      (m) => m.user && m.user._id.toString() === userId,
+    );
+    if (!isOwner && !isMember) {
+      throw new ForbiddenError("Acción prohibida");
+    }
+
+    return res.status(200).json({
+      owner: list.user,
+      members: list.members.filter((m) => m.user),
+    });
+  }
+
+  /**
+   * Shares a list with another registered user.
+   *
+   * Only the list owner can invite members. The invited user is looked up
+   * by `email` and receives a notification email, unless the verification
+   * policy doesn't allow emailing them (see `utils/verification.js`).
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Must include
+   * the list ID in `req.params.id`. The body must contain `email` and `role` (`editor` or `viewer`).
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response indicating success or an error message.
+   */
+  async addListMember(req, res) {
+    const userId = req.user.id;
+    const listId = req.params.id;
+    const { email, role = "viewer" } = req.body;
+
+    const list = await this.dao.read(listId);
+    if (!list) {
+      throw new NotFoundError("Lista no encontrada");
+    }
+
+    if (!hasRole(getListRole(list, userId), "owner")) {
+      throw new ForbiddenError("Acción prohibida");
+    }
+
+    const invited = await UserDAO.findByEmail(email);
+    if (!invited) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
 
-      const tasks = await TaskDAO.getTasksByListOrdered(listId);
+    if (invited._id.toString() === userId) {
+      throw new ValidationError("No puedes invitarte a tu propia lista");
+    }
 
-      return res.status(200).json(tasks);
-    } catch (err) {
-      if (process.env.NODE_ENV === "development") {
-        console.log(`Internal server error: ${err.message}`);
+    const updated = await this.dao.addMember(listId, invited._id, role);
+    if (!updated) {
+      throw new ConflictError("El usuario ya es miembro de la lista");
+    }
+    await ActivityDAO.record("list", list, updated, userId);
+
+    if (canReceiveMail(invited)) {
+      try {
+        await sendMail(
+          invited.email,
+          "Te compartieron una lista",
+          `
+          <h2>Hola ${escapeHtml(invited.firstName)},</h2>
+          <p>Ahora tienes acceso a la lista <b>${escapeHtml(list.title)}</b> como ${role}.</p>
+          <p>Saludos,<br/>Soporte de Lumo</p>
+        `,
+        );
+      } catch (mailErr) {
+        // The member was added anyway, the email is only a courtesy
       }
-      res
-        .status(500)
-        .json({ message: "Internal server error, try again later" });
     }
+
+    return res.status(201).json({ message: "Miembro agregado exitosamente" });
+  }
+
+  /**
+   * Changes the role of a list member.
+   *
+   * Only the list owner can change roles.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Must include
+   * the list ID in `req.params.id` and the member's user ID in `req.params.userId`.
+   * The body must contain the new `role` (`editor` or `viewer`).
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response indicating success or an error message.
+   */
+  async updateListMember(req, res) {
+    const userId = req.user.id;
+    const listId = req.params.id;
+    const memberId = req.params.userId;
+    const { role } = req.body;
+
+    const list = await this.dao.read(listId);
+    if (!list) {
+      throw new NotFoundError("Lista no encontrada");
+    }
+
+    if (!hasRole(getListRole(list, userId), "owner")) {
+      throw new ForbiddenError("Acción prohibida");
+    }
+
+    const updated = await this.dao.updateMemberRole(listId, memberId, role);
+    if (!updated) {
+      throw new NotFoundError("Miembro no encontrado");
+    }
+    await ActivityDAO.record("list", list, updated, userId);
+
+    return res.status(200).json({ message: "Rol actualizado exitosamente" });
+  }
+
+  /**
+   * Removes a member from a list.
+   *
+   * The list owner can remove any member, and members can remove
+   * themselves to leave a list shared with them.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Must include
+   * the list ID in `req.params.id` and the member's user ID in `req.params.userId`.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response indicating success or an error message.
+   */
+  async removeListMember(req, res) {
+    const userId = req.user.id;
+    const listId = req.params.id;
+    const memberId = req.params.userId;
+
+    const list = await this.dao.read(listId);
+    if (!list) {
+      throw new NotFoundError("Lista no encontrada");
+    }
+
+    const isOwner = hasRole(getListRole(list, userId), "owner");
+    if (!isOwner && memberId !== userId) {
+      throw new ForbiddenError("Acción prohibida");
+    }
+
+    const updated = await this.dao.removeMember(listId, memberId);
+    if (!updated) {
+      throw new NotFoundError("Miembro no encontrado");
+    }
+    await ActivityDAO.record("list", list, updated, userId);
+
+    return res.status(200).json({ message: "Miembro eliminado exitosamente" });
+  }
+
+  /**
+   * Returns the history of changes of a list and its tasks, newest first.
+   *
+   * Any user with access to the list can read its history.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Must include
+   * the list ID in `req.params.id`. Accepts `limit` and `cursor` query parameters.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response with `{ history, nextCursor }` or an error message.
+   */
+  async getListHistory(req, res) {
+    const userId = req.user.id;
+    const listId = req.params.id;
+
+    const list = await this.dao.read(listId);
+    if (!list) {
+      throw new NotFoundError("Lista no encontrada");
+    }
+
+    if (!hasRole(getListRole(list, userId), "viewer")) {
+      throw new ForbiddenError("Acción prohibida");
+    }
+
+    const { limit, cursor } = parseQuery(req.query, ActivityDAO);
+    const page = await ActivityDAO.getListHistory(list._id, {
+      limit,
+      cursor,
+    });
+
+    return res
+      .status(200)
+      .json({ history: page.items, nextCursor: page.nextCursor });
   }
 }
 
@@ -0,0 +1,89 @@
+const TaskDAO = require("../dao/taskDAO");
+const ListDAO = require("../dao/listDAO");
+const UserDAO = require("../dao/userDAO");
+const { ValidationError, NotFoundError } = require("../utils/errors");
+
+/**
+ * Format of the status keys accepted by the `status` filter. Each list
+ * defines its own statuses, so any well-formed key is accepted.
+ */
+const STATUS_KEY = /^[a-z0-9_-]{1,20}$/;
+
+/**
+ * Controller class for the full-text search.
+ *
+ * Searches tasks and lists the authenticated user can access,
+ * using the text indexes defined in the Task and List models.
+ */
+class SearchController {
+  /**
+   * Searches tasks (title and description) and lists (title) by text.
+   *
+   * Only the lists the user owns or is a member of are searched.
+   * Results are sorted by relevance.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Query parameters:
+   * - `q` (required): text to search for.
+   * - `status`: only tasks with this status.
+   * - `dueFrom` / `dueTo`: only tasks due within this range.
+   * - `list`: only tasks of (and the list with) this ID.
+   * - `limit`: maximum results per type (default 20, max 50).
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Responds with:
+   * - 200 and `{ tasks, lists }` if successful.
+   * - 400 if a query parameter is invalid.
+   * - 404 if the user does not exist.
+   * - 500 if an internal server error occurs.
+   */
+  async search(req, res) {
+    const userId = req.user.id;
+    const { q, status, dueFrom, dueTo, list } = req.query;
+
+    // Repeated parameters (`?q=a&q=b`) arrive as arrays
+    if (typeof q !== "string" || !q.trim()) {
+      throw new ValidationError("El parámetro q es requerido");
+    }
+
+    if (status && !STATUS_KEY.test(status)) {
+      throw new ValidationError("Estado no válido");
+    }
+
+    const from = dueFrom ? new Date(dueFrom) : undefined;
+    const to = dueTo ? new Date(dueTo) : undefined;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      throw new ValidationError("Fecha no válida");
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    let listIds = await ListDAO.getAccessibleListIds(userId);
+    if (list) {
+      listIds = listIds.filter((id) => id.toString() === list);
+    }
+
+    const text = q.trim();
+    const [tasks, lists] = await Promise.all([
+      TaskDAO.search(text, {
+        listIds,
+        status,
+        dueFrom: from,
+        dueTo: to,
+        limit,
+      }),
+      ListDAO.search(text, listIds, limit),
+    ]);
+
+    return res.status(200).json({ tasks, lists });
+  }
+}
+
+/**
+ * Export a singleton instance of SearchController.
+ */
+module.exports = new SearchController();
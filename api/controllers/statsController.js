@@ -0,0 +1,377 @@
+const TaskDAO = require("../dao/taskDAO");
+const ListDAO = require("../dao/listDAO");
+const UserDAO = require("../dao/userDAO");
+const {
+  parseDate,
+  parseObjectId,
+  QueryError,
+} = require("../utils/queryParser");
+const { NotFoundError } = require("../utils/errors");
+
+/**
+ * Days covered by the statistics when the request doesn't send `from`.
+ */
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Longest date range accepted, in days.
+ */
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Valid lengths of the periods of the completion series.
+ */
+const INTERVALS = ["day", "week"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the local date of an instant in a time zone.
+ * @param {Date} date - Instant to convert.
+ * @param {string} timeZone - IANA time zone.
+ * @returns {string} Local date as `YYYY-MM-DD`.
+ */
+function localDateKey(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+/**
+ * Adds days to a calendar date.
+ * @param {string} dateKey - Date as `YYYY-MM-DD`.
+ * @param {number} days - Days to add (negative to subtract).
+ * @returns {string} Resulting date as `YYYY-MM-DD`.
+ */
+function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Returns the first day of every period between two instants, matching
+ * the keys of {@link TaskDAO#countCompletedByPeriod}.
+ * @param {Date} from - Start of the range.
+ * @param {Date} to - End of the range.
+ * @param {"day"|"week"} unit - Length of each period (weeks start on Monday).
+ * @param {string} timeZone - IANA time zone.
+ * @returns {Array<string>} Periods as `YYYY-MM-DD`, in ascending order.
+ */
+function periodKeys(from, to, unit, timeZone) {
+  let key = localDateKey(from, timeZone);
+  const last = localDateKey(to, timeZone);
+  if (unit === "week") {
+    const weekday = new Date(`${key}T00:00:00Z`).getUTCDay();
+    key = addDays(key, -((weekday + 6) % 7));
+  }
+
+  const keys = [];
+  for (; key <= last; key = addDays(key, unit === "week" ? 7 : 1)) {
+    keys.push(key);
+  }
+  return keys;
+}
+
+/**
+ * Computes the completion streaks: runs of consecutive days with at least
+ * one completed task. The current streak is still alive if its last day is
+ * today or yesterday.
+ * @param {Array<string>} days - Days with completions, most recent first.
+ * @param {string} today - Current local date as `YYYY-MM-DD`.
+ * @returns {{ current: number, longest: number, lastCompletedOn: string|null }}
+ * Length in days of the current and longest streaks, and the last day with completions.
+ */
+function getStreaks(days, today) {
+  let current = 0;
+  let longest = 0;
+  let run = 0;
+
+  days.forEach((day, i) => {
+    run = i > 0 && addDays(day, 1) === days[i - 1] ? run + 1 : 1;
+    if (run === i + 1) current = run;
+    longest = Math.max(longest, run);
+  });
+
+  const alive = days.length > 0 && days[0] >= addDays(today, -1);
+  return {
+    current: alive ? current : 0,
+    longest,
+    lastCompletedOn: days[0] || null,
+  };
+}
+
+/**
+ * Controller class for the productivity statistics.
+ *
+ * Aggregates the tasks of the lists the authenticated user can access.
+ * Dates are grouped in the user's time zone (the one of their digest).
+ */
+class StatsController {
+  /**
+   * Resolves what a statistics request covers.
+   *
+   * Query parameters: `from` and `to` (default: the last 30 days, at most
+   * 366 days), `interval` ("day" by default, or "week") and `list` (only
+   * that list's tasks).
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object.
+   * @returns {Promise<Object|null>} The `lists`, their `listIds`, the range
+   * (`from`, `to`, `interval`, `timeZone`) and `now`, or `null` if the user
+   * doesn't exist.
+   * @throws {QueryError} If a query parameter is invalid.
+   */
+  async getScope(req) {
+    const now = new Date();
+    const to = req.query.to ? parseDate(req.query.to, "to") : now;
+    const from = req.query.from
+      ? parseDate(req.query.from, "from")
+      : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    if (from > to) {
+      throw new QueryError("from debe ser anterior a to");
+    }
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+      throw new QueryError(
+        `El rango no puede ser mayor a ${MAX_RANGE_DAYS} días`,
+      );
+    }
+
+    const interval = req.query.interval || "day";
+    if (!INTERVALS.includes(interval)) {
+      throw new QueryError(`interval debe ser uno de: ${INTERVALS.join(", ")}`);
+    }
+
+    const user = await UserDAO.read(req.user.id);
+    if (!user) return null;
+
+    let lists = await ListDAO.getAccessibleLists(user._id);
+    if (req.query.list) {
+      const listId = parseObjectId(req.query.list, "list");
+      lists = lists.filter((list) => list._id.equals(listId));
+    }
+
+    return {
+      lists,
+      listIds: lists.map((list) => list._id),
+      from,
+      to,
+      interval,
+      timeZone: (user.digest && user.digest.timezone) || "UTC",
+      now,
+    };
+  }
+
+  /**
+   * Tasks completed in the range, in total and per period. Periods without
+   * completions are included with a count of 0.
+   *
+   * @async
+   * @param {Object} scope - Result of {@link StatsController#getScope}.
+   * @returns {Promise<{ total: number, series: Array<{ period: string, count: number }> }>}
+   */
+  async getCompletedStats(scope) {
+    const { listIds, from, to, interval, timeZone } = scope;
+    const counts = await TaskDAO.countCompletedByPeriod(listIds, {
+      from,
+      to,
+      unit: interval,
+      timeZone,
+    });
+
+    const byPeriod = new Map(counts.map((c) => [c.period, c.count]));
+    const series = periodKeys(from, to, interval, timeZone).map((period) => ({
+      period,
+      count: byPeriod.get(period) || 0,
+    }));
+
+    return {
+      total: counts.reduce((total, c) => total + c.count, 0),
+      series,
+    };
+  }
+
+  /**
+   * Counts per list, with each list's title.
+   *
+   * @async
+   * @param {Object} scope - Result of {@link StatsController#getScope}.
+   * @returns {Promise<Array>} One entry per list, lists without tasks included.
+   */
+  async getListStats(scope) {
+    const { lists, listIds, from, to, now } = scope;
+    const counts = await TaskDAO.countByList(listIds, { from, to }, now);
+    const byList = new Map(counts.map((c) => [c.list.toString(), c]));
+
+    return lists.map((list) => ({
+      total: 0,
+      completed: 0,
+      open: 0,
+      overdue: 0,
+      completedInRange: 0,
+      ...byList.get(list._id.toString()),
+      list: list._id,
+      title: list.title,
+    }));
+  }
+
+  /**
+   * Current and longest completion streaks, in days.
+   *
+   * @async
+   * @param {Object} scope - Result of {@link StatsController#getScope}.
+   * @returns {Promise<{ current: number, longest: number, lastCompletedOn: string|null }>}
+   */
+  async getStreakStats(scope) {
+    const { listIds, timeZone, now } = scope;
+    const days = await TaskDAO.getCompletionDays(listIds, timeZone);
+    return getStreaks(days, localDateKey(now, timeZone));
+  }
+
+  /**
+   * Resolves the scope of a request and responds with the statistics
+   * built from it.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object.
+   * @param {import("express").Response} res - Express response object.
+   * @param {function(Object): Promise<Object>} build - Builds the response body from the scope.
+   * @returns {Promise<void>} Responds with:
+   * - 200 and the statistics if successful.
+   * - 400 if a query parameter is invalid.
+   * - 404 if the user does not exist.
+   * - 500 if an internal server error occurs.
+   */
+  async respond(req, res, build) {
+    const scope = await this.getScope(req);
+    if (!scope) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    return res.status(200).json(await build(scope));
+  }
+
+  /**
+   * Returns every statistic at once, for the dashboard.
+   *
+   * Responds with `{ range, completed, completionTime, overdue, lists, streak }`.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} See {@link StatsController#respond}.
+   */
+  async getStats(req, res) {
+    return this.respond(req, res, async (scope) => {
+      const { listIds, from, to, interval, timeZone } = scope;
+      const [completed, completionTime, lists, streak] = await Promise.all([
+        this.getCompletedStats(scope),
+        TaskDAO.getCompletionTimes(listIds, { from, to }),
+        this.getListStats(scope),
+        this.getStreakStats(scope),
+      ]);
+
+      return {
+        range: { from, to, interval, timeZone },
+        completed,
+        completionTime,
+        overdue: lists.reduce((total, list) => total + list.overdue, 0),
+        lists,
+        streak,
+      };
+    });
+  }
+
+  /**
+   * Returns the tasks completed in the range, per day or week.
+   *
+   * Responds with `{ total, series }`.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} See {@link StatsController#respond}.
+   */
+  async getCompleted(req, res) {
+    return this.respond(req, res, (scope) => this.getCompletedStats(scope));
+  }
+
+  /**
+   * Returns how long the tasks completed in the range took, from their
+   * creation to their completion.
+   *
+   * Responds with `{ count, averageHours, minHours, maxHours }`.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} See {@link StatsController#respond}.
+   */
+  async getCompletionTime(req, res) {
+    return this.respond(req, res, ({ listIds, from, to }) =>
+      TaskDAO.getCompletionTimes(listIds, { from, to }),
+    );
+  }
+
+  /**
+   * Returns the number of open tasks past their due date, in total and per list.
+   *
+   * Responds with `{ overdue, lists: [{ list, title, overdue }] }`.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} See {@link StatsController#respond}.
+   */
+  async getOverdue(req, res) {
+    return this.respond(req, res, async (scope) => {
+      const lists = await this.getListStats(scope);
+      return {
+        overdue: lists.reduce((total, list) => total + list.overdue, 0),
+        lists: lists.map(({ list, title, overdue }) => ({
+          list,
+          title,
+          overdue,
+        })),
+      };
+    });
+  }
+
+  /**
+   * Returns the task counts of each list.
+   *
+   * Responds with `{ lists: [{ list, title, total, completed, open, overdue, completedInRange }] }`.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} See {@link StatsController#respond}.
+   */
+  async getLists(req, res) {
+    return this.respond(req, res, async (scope) => ({
+      lists: await this.getListStats(scope),
+    }));
+  }
+
+  /**
+   * Returns the current and longest completion streaks.
+   *
+   * Responds with `{ current, longest, lastCompletedOn }`.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} See {@link StatsController#respond}.
+   */
+  async getStreak(req, res) {
+    return this.respond(req, res, (scope) => this.getStreakStats(scope));
+  }
+}
+
+/**
+ * Export a singleton instance of StatsController.
+ */
+module.exports = new StatsController();
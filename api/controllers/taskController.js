@@ -2,6 +2,83 @@ const GlobalController = require("./globalController");
 const TaskDAO = require("../dao/taskDAO");
 const ListDAO = require("../dao/listDAO");
 const UserDAO = require("../dao/userDAO");
+const ActivityDAO = require("../dao/activityDAO");
+const LabelDAO = require("../dao/labelDAO");
+const { getListRole, getTaskRole, hasRole } = require("../utils/listAccess");
+const {
+  findStatus,
+  invalidStatusMessage,
+  isCompleted,
+  mapStatus,
+  mergeStatuses,
+} = require("../utils/workflow");
+const {
+  parseQuery,
+  parseObjectId,
+  QueryError,
+} = require("../utils/queryParser");
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  toAppError,
+  errorBody,
+} = require("../utils/errors");
+
+/**
+ * Operations accepted by the bulk endpoint.
+ */
+const BULK_OPERATIONS = ["create", "update", "delete", "move"];
+
+/**
+ * Fields a task can be created or updated with.
+ */
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "dueDate",
+  "recurrence",
+  "reminderOffsets",
+  "labels",
+];
+
+/**
+ * Validates the labels sent for a task.
+ *
+ * A user can only attach their own labels. Labels the task already has are
+ * kept even if they belong to another member of the list.
+ *
+ * @async
+ * @param {*} labels - Label IDs sent by the client.
+ * @param {string} userId - ID of the authenticated user.
+ * @param {Array} [current=[]] - Labels the task already has.
+ * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
+ * @returns {Promise<Array<string>>} The label IDs without duplicates.
+ * @throws {ValidationError} If `labels` is not a list of IDs.
+ * @throws {NotFoundError} If a new label doesn't belong to the user.
+ */
+async function resolveLabels(labels, userId, current = [], options = {}) {
+  if (
+    !Array.isArray(labels) ||
+    !labels.every((id) => /^[a-f\d]{24}$/i.test(String(id)))
+  ) {
+    throw new ValidationError("labels debe ser una lista de IDs");
+  }
+
+  const unique = [...new Set(labels.map(String))];
+  const attached = new Set(current.map(String));
+  const added = unique.filter((id) => !attached.has(id));
+  if (
+    added.length > 0 &&
+    (await LabelDAO.countUserLabels(userId, added, options)) !== added.length
+  ) {
+    throw new NotFoundError("Etiqueta no encontrada");
+  }
+
+  return unique;
+}
 
 /**
  * Controller class for managing Task resources.
@@ -26,8 +103,8 @@ class TaskController extends GlobalController {
    *
    * The user ID is obtained from the decoded JWT token (`req.user.id`) and
    * automatically assigned to the `user` field of the task. Ensures that the
-   * authenticated user exists before creating the task. Handles validation errors
-   * and duplicate title conflicts.
+   * authenticated user exists and is the owner or an editor of the list before
+   * creating the task. Handles validation errors and duplicate title conflicts.
    *
    * @async
    * @param {import("express").Request} req - Express request object.
@@ -35,49 +112,46 @@ class TaskController extends GlobalController {
    * @returns {Promise<void>} Sends a JSON response with the created task or an error message.
    */
   async createTask(req, res) {
-    try {
-      const userId = req.user.id;
-      const listId = req.body.list;
+    const userId = req.user.id;
+    const listId = req.body.list;
 
-      const user = await UserDAO.read(userId);
-      if (!user) {
-        return res.status(404).json({ message: "Usuario no encontrado" });
-      }
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
 
-      const list = await ListDAO.read(listId);
-      if (!list) {
-        return res.status(404).json({ message: "Lista no encontrada" });
-      }
+    const list = await ListDAO.read(listId);
+    if (!list) {
+      throw new NotFoundError("Lista no encontrada");
+    }
 
-      if (list.user.toString() !== userId) {
-        return res.status(403).json({ message: "Acción prohibida" });
-      }
+    if (!hasRole(getListRole(list, userId), "editor")) {
+      throw new ForbiddenError("Acción prohibida");
+    }
 
-      await this.dao.create({ ...req.body, list: listId, user: userId });
+    const data = { ...req.body, list: listId, user: userId };
+    if (data.labels !== undefined) {
+      data.labels = await resolveLabels(data.labels, userId);
+    }
 
-      return res.status(200).json({
-        message: "Task successfully created",
-      });
-    } catch (err) {
-      if (err.name === "ValidationError") {
-        const firstMessage = Object.values(err.errors)[0].message;
-        return res.status(400).json({ message: firstMessage });
-      }
+    const task = await this.dao.create(data);
+    await ActivityDAO.record("task", null, task, userId);
 
-      if (process.env.NODE_ENV === "development") {
-        console.log(`Internal server error: ${err.message}`);
-      }
-      res
-        .status(500)
-        .json({ message: "Internal server error, try again later" });
-    }
+    return res.status(200).json({
+      message: "Task successfully created",
+    });
   }
 
   /**
    * Updates an existing task by its ID.
    *
-   * Ensures that the authenticated user exists and is the owner
-   * of the task before applying updates.
+   * Ensures that the authenticated user exists and is the owner or an
+   * editor of the task's list before applying updates.
+   *
+   * For recurring tasks, `req.query.scope` selects whether the title,
+   * description and recurrence changes apply to this `occurrence` (default)
+   * or to the whole `series`. Marking an occurrence as `done` generates
+   * the next one.
    *
    * @async
    * @param {import("express").Request} req - Express request object. Must include
@@ -86,59 +160,93 @@ class TaskController extends GlobalController {
    * @returns {Promise<void>} Sends a JSON response indicating success or an error message.
    */
   async updateTask(req, res) {
-    try {
-      const userId = req.user.id;
-      const taskId = req.params.id;
+    const userId = req.user.id;
+    const taskId = req.params.id;
 
-      const user = await UserDAO.read(userId);
-      if (!user) {
-        return res.status(404).json({ message: "Usuario no encontrado" });
-      }
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
 
-      const task = await this.dao.read(taskId);
-      if (!task) {
-        return res.status(404).json({ message: "Tarea no encontrada" });
-      }
+    const task = await this.dao.read(taskId);
+    if (!task) {
+      throw new NotFoundError("Tarea no encontrada");
+    }
 
-      if (task.user.toString() !== userId) {
-        return res.status(403).json({ message: "Acción prohibida" });
-      }
+    const list = await ListDAO.read(task.list);
+    if (!hasRole(getTaskRole(list, task, userId), "editor")) {
+      throw new ForbiddenError("Acción prohibida");
+    }
 
-      const allowedFields = ["title", "description", "status", "dueDate"];
-      const updates = {};
+    const scope = req.query.scope || "occurrence";
 
-      for (const field of allowedFields) {
-        if (req.body[field] !== undefined) {
-          updates[field] = req.body[field];
-        }
+    const updates = {};
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
       }
+    }
 
-      await this.dao.update(taskId, updates);
+    if (updates.labels !== undefined) {
+      updates.labels = await resolveLabels(updates.labels, userId, task.labels);
+    }
 
-      return res.status(200).json({
-        message: "Tarea exitosamente actualizada",
+    // Status and due date always belong to a single occurrence
+    if (scope === "series" && task.seriesId) {
+      const { status, dueDate, ...seriesUpdates } = updates;
+      const otherOccurrences = await this.dao.getAll({
+        seriesId: task.seriesId,
+        _id: { $ne: task._id },
       });
-    } catch (err) {
-      if (err.name === "ValidationError") {
-        const firstMessage = Object.values(err.errors)[0].message;
-        return res.status(400).json({ message: firstMessage });
+      await this.dao.updateSeries(task, seriesUpdates);
+      for (const occurrence of otherOccurrences) {
+        await ActivityDAO.record(
+          "task",
+          occurrence,
+          { ...occurrence.toObject(), ...seriesUpdates },
+          userId,
+        );
       }
+      for (const field of Object.keys(seriesUpdates)) delete updates[field];
+    }
 
-      if (process.env.NODE_ENV === "development") {
-        console.log(`Internal server error: ${err.message}`);
-      }
-      res
-        .status(500)
-        .json({ message: "Internal server error, try again later" });
+    // A task that changes status goes last in its new kanban column
+    if (updates.status && updates.status !== task.status) {
+      updates.boardPosition = await this.dao.boardPositionAtEnd(
+        updates.status,
+        userId,
+      );
+    }
+
+    const updated = await this.dao.update(taskId, updates);
+    if (!updated) {
+      throw new NotFoundError("Tarea no encontrada");
+    }
+    await ActivityDAO.record("task", task, updated, userId);
+
+    if (isCompleted(updated) && !isCompleted(task)) {
+      const next = await this.dao.createNextOccurrence(updated);
+      if (next) await ActivityDAO.record("task", null, next, userId);
     }
+
+    return res.status(200).json({
+      message: "Tarea exitosamente actualizada",
+    });
   }
 
   /**
    * Deletes an existing task by its ID.
    *
-   * Ensures that the authenticated user exists and is the owner
-   * of the task before performing the deletion. Only the task owner
-   * is allowed to delete it.
+   * Ensures that the authenticated user exists and is the owner or an
+   * editor of the task's list before performing the deletion.
+   *
+   * For recurring tasks, `req.query.scope` selects whether only this
+   * `occurrence` (default) or the whole `series` is deleted. Deleting an open
+   * occurrence skips it, generating the next one.
+   *
+   * Deleted tasks are moved to the trash, from where they can be restored
+   * until they are purged.
    *
    * @async
    * @param {import("express").Request} req - Express request object. Must include
@@ -147,43 +255,61 @@ class TaskController extends GlobalController {
    * @returns {Promise<void>} Sends a JSON response indicating success or an error message.
    */
   async deleteTask(req, res) {
-    try {
-      const userId = req.user.id;
-      const taskId = req.params.id;
+    const userId = req.user.id;
+    const taskId = req.params.id;
 
-      const user = await UserDAO.read(userId);
-      if (!user) {
-        return res.status(404).json({ message: "Usuario no encontrado" });
-      }
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
 
-      const task = await this.dao.read(taskId);
-      if (!task) {
-        return res.status(404).json({ message: "Tarea no encontrada" });
-      }
+    const task = await this.dao.read(taskId);
+    if (!task) {
+      throw new NotFoundError("Tarea no encontrada");
+    }
 
-      if (task.user.toString() !== userId) {
-        return res.status(403).json({ message: "Acción prohibida" });
-      }
+    const list = await ListDAO.read(task.list);
+    if (!hasRole(getTaskRole(list, task, userId), "editor")) {
+      throw new ForbiddenError("Acción prohibida");
+    }
 
-      await this.dao.delete(taskId);
+    const scope = req.query.scope || "occurrence";
 
-      return res.status(200).json({
-        message: "Tarea creada exitosamente",
-      });
-    } catch (err) {
-      if (process.env.NODE_ENV === "development") {
-        console.log(`Internal server error: ${err.message}`);
+    if (scope === "series" && task.seriesId) {
+      const occurrences = await this.dao.getAll({ seriesId: task.seriesId });
+      await this.dao.deleteSeries(task.seriesId);
+      for (const occurrence of occurrences) {
+        await ActivityDAO.record("task", occurrence, null, userId);
+      }
+    } else {
+      // Skipping an open occurrence keeps the series going
+      if (!isCompleted(task)) {
+        const next = await this.dao.createNextOccurrence(task);
+        if (next) await ActivityDAO.record("task", null, next, userId);
       }
-      res
-        .status(500)
-        .json({ message: "Internal server error, try again later" });
+      await this.dao.delete(taskId);
+      await ActivityDAO.record("task", task, null, userId);
     }
+
+    return res.status(200).json({
+      message: "Tarea eliminada exitosamente",
+    });
   }
 
   /**
    * Retrieve all tasks by status.
    *
-   * Validates that the requesting user exists, then retrieves all tasks by status.
+   * Validates that the requesting user exists, then retrieves all tasks by status
+   * from the lists the user owns or is a member of.
+   * Each task includes the `completionRatio` of its subtasks.
+   *
+   * The board has one column per workflow status of those lists (or of the
+   * list sent as `list`), in the order the lists define them.
+   *
+   * Accepts the filters, `sort` and `limit` declared by {@link TaskDAO} (see
+   * `utils/queryParser.js`), or `order=manual` to sort each column by the
+   * position users gave the tasks on the board. Each column is paginated on its own: to load the next
+   * page of a column, send its `nextCursor` as `cursor` together with `status`.
    *
    * @async
    * @function getKanbanTasks
@@ -193,34 +319,739 @@ class TaskController extends GlobalController {
    * @param {Object} req.params - URL parameters.
    * @param {import("express").Response} res - Express response object.
    * @returns {Promise<void>} Responds with:
-   * - 200 and an array of tasks if successful.
+   * - 200 and `{ columns, ongoingTasks, unassignedTasks, doneTasks, nextCursor }` if successful.
+   *   `columns` holds `{ key, label, color, done, tasks, nextCursor }` for each status;
+   *   the other fields keep the tasks of the default statuses.
+   * - 400 if a query parameter is invalid.
    * - 404 if the user does not exist.
    * - 500 if an internal server error occurs.
    */
   async getKanbanTasks(req, res) {
+    const userId = req.user.id;
+
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    const { filter, sort, limit, cursor } = parseQuery(req.query, this.dao, {
+      manualSort: [["boardPosition", 1]],
+    });
+    const statuses = req.query.status ? req.query.status.split(",") : null;
+    if (cursor && (!statuses || statuses.length !== 1)) {
+      throw new QueryError("cursor requiere filtrar por un único status");
+    }
+
+    let lists = await ListDAO.getAccessibleLists(userId);
+    if (req.query.list) {
+      const listId = parseObjectId(req.query.list, "list");
+      lists = lists.filter((list) => list._id.equals(listId));
+    }
+    const listIds = lists.map((list) => list._id);
+
+    const columns = mergeStatuses(lists);
+    const nextCursor = {};
+    for (const column of columns) {
+      if (statuses && !statuses.includes(column.key)) {
+        column.tasks = [];
+        column.nextCursor = nextCursor[column.key] = null;
+        continue;
+      }
+      const page = await this.dao.paginate(
+        {
+          $and: [{ list: { $in: listIds } }, filter, { status: column.key }],
+        },
+        { sort, limit, cursor },
+      );
+      column.tasks = page.items;
+      column.nextCursor = nextCursor[column.key] = page.nextCursor;
+    }
+
+    const tasksOf = (key) => {
+      const column = columns.find((column) => column.key === key);
+      return column ? column.tasks : [];
+    };
+
+    return res.status(200).json({
+      columns,
+      ongoingTasks: tasksOf("ongoing"),
+      unassignedTasks: tasksOf("unassigned"),
+      doneTasks: tasksOf("done"),
+      nextCursor,
+    });
+  }
+
+  /**
+   * Moves a task to a new position of its list or of its kanban column.
+   *
+   * The body may contain `before` or `after` (the ID of the task the moved task
+   * is placed next to; without them it goes last), a new `status` and a new
+   * `list`, so a card can be dropped in another column or list in a single call.
+   * `view` selects whether the position refers to the `list` (default) or to
+   * the kanban `board`. The reference task must be in the same list (or in the
+   * same column of a list the user can see).
+   *
+   * The user must be the owner or an editor of the task's list, and of the
+   * new list when it changes.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Must include
+   * the task ID in `req.params.id`.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response with the moved task or an error message.
+   */
+  async repositionTask(req, res) {
+    const userId = req.user.id;
+    const taskId = req.params.id;
+    const { before, after, view = "list" } = req.body;
+
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    const task = await this.dao.read(taskId);
+    if (!task) {
+      throw new NotFoundError("Tarea no encontrada");
+    }
+
+    const list = await ListDAO.read(task.list);
+    if (!hasRole(getTaskRole(list, task, userId), "editor")) {
+      throw new ForbiddenError("Acción prohibida");
+    }
+
+    if (before && after) {
+      throw new ValidationError("Solo se puede indicar before o after");
+    }
+
+    let targetList = list;
+    if (req.body.list && req.body.list.toString() !== task.list.toString()) {
+      targetList = await ListDAO.read(req.body.list);
+      if (!targetList) {
+        throw new NotFoundError("Lista no encontrada");
+      }
+      if (!hasRole(getListRole(targetList, userId), "editor")) {
+        throw new ForbiddenError("Acción prohibida");
+      }
+    }
+    const targetListId = targetList ? targetList._id : task.list;
+
+    // Tasks moved to a list without their status get an equivalent one
+    const status = req.body.status ?? mapStatus(task, targetList);
+    if (!findStatus(targetList, status)) {
+      throw new ValidationError(invalidStatusMessage(targetList));
+    }
+
+    const listIds = await ListDAO.getAccessibleListIds(userId);
+
+    const anchorId = before || after;
+    if (anchorId) {
+      const anchor = await this.dao.read(anchorId);
+      if (!anchor) {
+        throw new NotFoundError("Tarea de referencia no encontrada");
+      }
+      if (anchor._id.equals(task._id)) {
+        throw new ValidationError(
+          "Una tarea no se puede ubicar junto a sí misma",
+        );
+      }
+
+      const sameOrder =
+        view === "board"
+          ? anchor.status === status &&
+            listIds.some((id) => id.equals(anchor.list))
+          : anchor.list.equals(targetListId);
+      if (!sameOrder) {
+        throw new ValidationError(
+          view === "board"
+            ? "La tarea de referencia debe estar en la misma columna"
+            : "La tarea de referencia debe estar en la misma lista",
+        );
+      }
+    }
+
+    const updated = await this.dao.reposition(task, {
+      list: targetListId,
+      status,
+      view,
+      anchorId,
+      placement: before ? "before" : "after",
+      listIds,
+    });
+    if (!updated) {
+      throw new NotFoundError("Tarea no encontrada");
+    }
+    await ActivityDAO.record("task", task, updated, userId);
+
+    if (isCompleted(updated) && !isCompleted(task)) {
+      const next = await this.dao.createNextOccurrence(updated);
+      if (next) await ActivityDAO.record("task", null, next, userId);
+    }
+
+    return res.status(200).json({
+      message: "Tarea movida exitosamente",
+      task: updated,
+    });
+  }
+
+  /**
+   * Moves one or many tasks to another list.
+   *
+   * The body must contain `taskIds` (at most 100) and the target `list`.
+   * The user must be the owner or an editor of the list of every task and of
+   * the target list. Nothing is moved if any check fails. Moved tasks go last
+   * in the target list, in the given order.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response with the number of moved tasks or an error message.
+   */
+  async moveTasks(req, res) {
+    const userId = req.user.id;
+    const { taskIds, list: targetId } = req.body;
+
+    const ids = [...new Set(taskIds.map((id) => id.toLowerCase()))];
+
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    const targetList = await ListDAO.read(targetId);
+    if (!targetList) {
+      throw new NotFoundError("Lista no encontrada");
+    }
+    if (!hasRole(getListRole(targetList, userId), "editor")) {
+      throw new ForbiddenError("Acción prohibida");
+    }
+
+    const found = await this.dao.getAll({ _id: { $in: ids } });
+    if (found.length !== ids.length) {
+      throw new NotFoundError("Tarea no encontrada");
+    }
+
+    const sourceLists = new Map();
+    for (const task of found) {
+      const key = task.list.toString();
+      if (!sourceLists.has(key)) {
+        sourceLists.set(key, await ListDAO.read(task.list));
+      }
+      if (!hasRole(getTaskRole(sourceLists.get(key), task, userId), "editor")) {
+        throw new ForbiddenError("Acción prohibida");
+      }
+    }
+
+    const tasks = ids
+      .map((id) => found.find((task) => task._id.toString() === id))
+      .filter((task) => !task.list.equals(targetList._id));
+    const moved = await this.dao.moveTasks(tasks, targetList._id);
+
+    for (const task of tasks) {
+      await ActivityDAO.record(
+        "task",
+        task,
+        { ...task.toObject(), list: targetList._id },
+        userId,
+      );
+    }
+
+    return res.status(200).json({
+      message: "Tareas movidas exitosamente",
+      moved,
+    });
+  }
+
+  /**
+   * Runs a batch of task operations.
+   *
+   * The body must contain `operations` (at most 100), each one of:
+   * - `{ op: "create", data }`: creates a task in `data.list`.
+   * - `{ op: "update", id, data }`: updates a single occurrence of a task.
+   * - `{ op: "delete", id }`: moves a task to the trash.
+   * - `{ op: "move", id, list }`: moves a task to another list.
+   *
+   * Permissions follow the single-task endpoints. With `allOrNothing` (default
+   * `true`) the batch runs in a single transaction and nothing is saved if any
+   * operation fails; otherwise each operation runs in its own transaction, the
+   * ones that succeed are saved and the failed ones are skipped.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Responds with `{ applied, results }`, one result per
+   * operation with its `status` and either the task `id` or the error body
+   * (`code`, `message`, `fields`):
+   * - 200 if every operation succeeded.
+   * - 207 if some operations failed and the rest were saved.
+   * - 400 if the batch is invalid, or some operation failed with `allOrNothing`.
+   * - 404 if the user does not exist.
+   * - 500 if an internal server error occurs.
+   */
+  async bulkTasks(req, res) {
+    const userId = req.user.id;
+    const { operations, allOrNothing = true } = req.body;
+
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    // Without allOrNothing every operation gets its own transaction, so a
+    // failed one doesn't abort the others
+    const entries = [...operations.entries()];
+    const batches = allOrNothing ? [entries] : entries.map((entry) => [entry]);
+
+    const results = [];
+    const activity = [];
+    for (const batch of batches) {
+      const outcome = await this.runBulkTransaction(batch, userId);
+      results.push(...outcome.results);
+      activity.push(...outcome.activity);
+    }
+
+    for (const [before, after] of activity) {
+      await ActivityDAO.record("task", before, after, userId);
+    }
+
+    const failed = results.some((r) => r.status >= 400);
+    const applied = !(allOrNothing && failed);
+    return res
+      .status(!failed ? 200 : applied ? 207 : 400)
+      .json({ applied, results });
+  }
+
+  /**
+   * Runs operations of a bulk request (see {@link TaskController#bulkTasks})
+   * in one transaction, which is aborted if any of them fails.
+   *
+   * @async
+   * @param {Array<[number, Object]>} entries - Index and content of each operation.
+   * @param {string} userId - ID of the authenticated user.
+   * @returns {Promise<{ results: Array<Object>, activity: Array }>} Result of each
+   * operation, and the `[before, after]` pairs to record if the transaction was committed.
+   */
+  async runBulkTransaction(entries, userId) {
+    let session;
     try {
-      const userId = req.user.id;
+      let results;
+      let activity;
+      session = await this.dao.model.db.startSession();
+      await session.withTransaction(async () => {
+        results = [];
+        activity = [];
+
+        // Lists are read once, whatever the number of operations on them
+        const lists = new Map();
+        const getList = async (listId) => {
+          const key = listId.toString();
+          if (!lists.has(key)) {
+            lists.set(key, await ListDAO.read(listId, { session }));
+          }
+          return lists.get(key);
+        };
+
+        for (const [index, operation] of entries) {
+          const result = await this.applyBulkOperation(operation, {
+            userId,
+            session,
+            getList,
+            activity,
+          });
+          results.push({ index, op: operation && operation.op, ...result });
+        }
+
+        if (results.some((r) => r.status >= 400)) {
+          await session.abortTransaction();
+          activity = [];
+        }
+      });
+      return { results, activity };
+    } finally {
+      if (session) session.endSession(); // Transaction end
+    }
+  }
 
-      const user = await UserDAO.read(userId);
-      if (!user) {
-        return res.status(404).json({ message: "Usuario no encontrado" });
+  /**
+   * Applies one operation of a bulk request (see {@link TaskController#bulkTasks}).
+   *
+   * Validation and permission errors are returned as the result of the
+   * operation, with the `status` and the `{ code, message, fields }` body
+   * the single-task endpoints respond with. Any other error is thrown.
+   *
+   * @async
+   * @param {Object} operation - Operation sent by the client.
+   * @param {Object} context - Data shared by the operations of the transaction.
+   * @param {string} context.userId - ID of the authenticated user.
+   * @param {import("mongoose").ClientSession} context.session - Session of the transaction.
+   * @param {function(string): Promise<Object|null>} context.getList - Reads a list, once per transaction.
+   * @param {Array} context.activity - Collects the `[before, after]` pairs to record in the history.
+   * @returns {Promise<{ status: number, id?: string, code?: string, message?: string, fields?: Object<string, string> }>} Result of the operation.
+   */
+  async applyBulkOperation(operation, { userId, session, getList, activity }) {
+    try {
+      const { op, id, data = {} } = operation || {};
+      if (!BULK_OPERATIONS.includes(op)) {
+        throw new ValidationError(
+          `op debe ser uno de: ${BULK_OPERATIONS.join(", ")}`,
+        );
       }
 
-      const tasks = await this.dao.getAll({ user: userId });
+      const fields = {};
+      for (const field of EDITABLE_FIELDS) {
+        if (data[field] !== undefined) fields[field] = data[field];
+      }
 
-      const ongoingTasks = tasks.filter((t) => t.status === "ongoing");
-      const unassignedTasks = tasks.filter((t) => t.status === "unassigned");
-      const doneTasks = tasks.filter((t) => t.status === "done");
+      if (op === "create") {
+        const list = await getList(parseObjectId(data.list, "list"));
+        if (!list) throw new NotFoundError("Lista no encontrada");
+        if (!hasRole(getListRole(list, userId), "editor")) {
+          throw new ForbiddenError("Acción prohibida");
+        }
 
-      return res.status(200).json({ ongoingTasks, unassignedTasks, doneTasks });
-    } catch (err) {
-      if (process.env.NODE_ENV === "development") {
-        console.log(`Internal server error: ${err.message}`);
+        if (fields.labels !== undefined) {
+          fields.labels = await resolveLabels(fields.labels, userId, [], {
+            session,
+          });
+        }
+
+        const task = await this.dao.create(
+          { ...fields, list: list._id, user: userId },
+          { session },
+        );
+        activity.push([null, task]);
+        return { status: 201, id: task._id };
+      }
+
+      const task = await this.dao.read(parseObjectId(id, "id"), { session });
+      if (!task) throw new NotFoundError("Tarea no encontrada");
+
+      const list = await getList(task.list);
+      if (!hasRole(getTaskRole(list, task, userId), "editor")) {
+        throw new ForbiddenError("Acción prohibida");
+      }
+
+      if (op === "update") {
+        if (fields.labels !== undefined) {
+          fields.labels = await resolveLabels(
+            fields.labels,
+            userId,
+            task.labels,
+            { session },
+          );
+        }
+        if (fields.status && fields.status !== task.status) {
+          fields.boardPosition = await this.dao.boardPositionAtEnd(
+            fields.status,
+            userId,
+            { session },
+          );
+        }
+
+        const updated = await this.dao.update(task._id, fields, { session });
+        activity.push([task, updated]);
+
+        if (isCompleted(updated) && !isCompleted(task)) {
+          const next = await this.dao.createNextOccurrence(updated, {
+            session,
+          });
+          if (next) activity.push([null, next]);
+        }
+        return { status: 200, id: task._id };
+      }
+
+      if (op === "delete") {
+        // Skipping an open occurrence keeps the series going
+        if (!isCompleted(task)) {
+          const next = await this.dao.createNextOccurrence(task, { session });
+          if (next) activity.push([null, next]);
+        }
+        await this.dao.delete(task._id, { session });
+        activity.push([task, null]);
+        return { status: 200, id: task._id };
+      }
+
+      const targetList = await getList(parseObjectId(operation.list, "list"));
+      if (!targetList) throw new NotFoundError("Lista no encontrada");
+      if (!hasRole(getListRole(targetList, userId), "editor")) {
+        throw new ForbiddenError("Acción prohibida");
+      }
+
+      if (!task.list.equals(targetList._id)) {
+        await this.dao.moveTasks([task], targetList._id, { session });
+        activity.push([task, { ...task.toObject(), list: targetList._id }]);
       }
-      res
-        .status(500)
-        .json({ message: "Internal server error, try again later" });
+      return { status: 200, id: task._id };
+    } catch (err) {
+      const error = toAppError(err);
+      if (error.status >= 500) throw err;
+      return { status: error.status, ...errorBody(error) };
+    }
+  }
+
+  /**
+   * Duplicates a task into its own list or into another one.
+   *
+   * Any user with access to the task's list can copy it; the user must be
+   * the owner or an editor of the list the copy goes to (`req.body.list`,
+   * the task's own list by default). The copy keeps the content, status,
+   * due date and checklist of the original.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Must include
+   * the task ID in `req.params.id`.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response with the copy or an error message.
+   */
+  async duplicateTask(req, res) {
+    const userId = req.user.id;
+    const taskId = req.params.id;
+
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    const task = await this.dao.read(taskId);
+    if (!task) {
+      throw new NotFoundError("Tarea no encontrada");
+    }
+
+    const list = await ListDAO.read(task.list);
+    if (!hasRole(getTaskRole(list, task, userId), "viewer")) {
+      throw new ForbiddenError("Acción prohibida");
+    }
+
+    const targetList = req.body.list ? await ListDAO.read(req.body.list) : list;
+    if (!targetList) {
+      throw new NotFoundError("Lista no encontrada");
+    }
+    if (!hasRole(getListRole(targetList, userId), "editor")) {
+      throw new ForbiddenError("Acción prohibida");
+    }
+
+    const copy = await this.dao.duplicate(task, targetList._id, userId);
+    await ActivityDAO.record("task", null, copy, userId);
+
+    return res.status(201).json({
+      message: "Tarea duplicada exitosamente",
+      task: copy,
+    });
+  }
+
+  /**
+   * Adds a subtask (checklist item) at the end of a task's checklist.
+   *
+   * Ensures that the authenticated user exists and is the owner or an
+   * editor of the task's list before adding the subtask.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Must include
+   * the task ID in `req.params.id` and the subtask `title` in the body.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response with the task's subtasks or an error message.
+   */
+  async addSubtask(req, res) {
+    const userId = req.user.id;
+    const taskId = req.params.id;
+
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    const task = await this.dao.read(taskId);
+    if (!task) {
+      throw new NotFoundError("Tarea no encontrada");
+    }
+
+    const list = await ListDAO.read(task.list);
+    if (!hasRole(getTaskRole(list, task, userId), "editor")) {
+      throw new ForbiddenError("Acción prohibida");
+    }
+
+    const before = task.toObject();
+    const updated = await this.dao.addSubtask(task, req.body.title);
+
+    await ActivityDAO.record("task", before, updated, userId);
+
+    return res.status(201).json({
+      message: "Subtarea creada exitosamente",
+      subtasks: updated.subtasks,
+      completionRatio: updated.completionRatio,
+    });
+  }
+
+  /**
+   * Marks a subtask as done, or as pending if it was already done.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Must include
+   * the task ID in `req.params.id` and the subtask ID in `req.params.subtaskId`.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response with the task's subtasks or an error message.
+   */
+  async toggleSubtask(req, res) {
+    const userId = req.user.id;
+    const taskId = req.params.id;
+
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    const task = await this.dao.read(taskId);
+    if (!task) {
+      throw new NotFoundError("Tarea no encontrada");
+    }
+
+    const list = await ListDAO.read(task.list);
+    if (!hasRole(getTaskRole(list, task, userId), "editor")) {
+      throw new ForbiddenError("Acción prohibida");
+    }
+
+    const before = task.toObject();
+    const updated = await this.dao.toggleSubtask(task, req.params.subtaskId);
+    if (!updated) {
+      throw new NotFoundError("Subtarea no encontrada");
+    }
+
+    await ActivityDAO.record("task", before, updated, userId);
+
+    return res.status(200).json({
+      message: "Subtarea actualizada exitosamente",
+      subtasks: updated.subtasks,
+      completionRatio: updated.completionRatio,
+    });
+  }
+
+  /**
+   * Changes the order of a task's subtasks.
+   *
+   * The body must contain `subtaskIds`, an array with every subtask ID
+   * of the task in the desired order.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Must include
+   * the task ID in `req.params.id`.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response with the task's subtasks or an error message.
+   */
+  async reorderSubtasks(req, res) {
+    const userId = req.user.id;
+    const taskId = req.params.id;
+
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    const task = await this.dao.read(taskId);
+    if (!task) {
+      throw new NotFoundError("Tarea no encontrada");
+    }
+
+    const list = await ListDAO.read(task.list);
+    if (!hasRole(getTaskRole(list, task, userId), "editor")) {
+      throw new ForbiddenError("Acción prohibida");
+    }
+
+    const { subtaskIds } = req.body;
+
+    const before = task.toObject();
+    const updated = await this.dao.reorderSubtasks(task, subtaskIds);
+    if (!updated) {
+      throw new ValidationError(
+        "subtaskIds debe contener todas las subtareas de la tarea",
+      );
+    }
+
+    await ActivityDAO.record("task", before, updated, userId);
+
+    return res.status(200).json({
+      message: "Subtareas reordenadas exitosamente",
+      subtasks: updated.subtasks,
+      completionRatio: updated.completionRatio,
+    });
+  }
+
+  /**
+   * Deletes a subtask from a task's checklist.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Must include
+   * the task ID in `req.params.id` and the subtask ID in `req.params.subtaskId`.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response with the task's subtasks or an error message.
+   */
+  async deleteSubtask(req, res) {
+    const userId = req.user.id;
+    const taskId = req.params.id;
+
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    const task = await this.dao.read(taskId);
+    if (!task) {
+      throw new NotFoundError("Tarea no encontrada");
+    }
+
+    const list = await ListDAO.read(task.list);
+    if (!hasRole(getTaskRole(list, task, userId), "editor")) {
+      throw new ForbiddenError("Acción prohibida");
     }
+
+    const before = task.toObject();
+    const updated = await this.dao.deleteSubtask(task, req.params.subtaskId);
+    if (!updated) {
+      throw new NotFoundError("Subtarea no encontrada");
+    }
+
+    await ActivityDAO.record("task", before, updated, userId);
+
+    return res.status(200).json({
+      message: "Subtarea eliminada exitosamente",
+      subtasks: updated.subtasks,
+      completionRatio: updated.completionRatio,
+    });
+  }
+
+  /**
+   * Returns the history of changes of a task, newest first.
+   *
+   * Any user with access to the task's list can read its history.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Must include
+   * the task ID in `req.params.id`. Accepts `limit` and `cursor` query parameters.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response with `{ history, nextCursor }` or an error message.
+   */
+  async getTaskHistory(req, res) {
+    const userId = req.user.id;
+    const taskId = req.params.id;
+
+    const task = await this.dao.read(taskId);
+    if (!task) {
+      throw new NotFoundError("Tarea no encontrada");
+    }
+
+    const list = await ListDAO.read(task.list);
+    if (!hasRole(getTaskRole(list, task, userId), "viewer")) {
+      throw new ForbiddenError("Acción prohibida");
+    }
+
+    const { limit, cursor } = parseQuery(req.query, ActivityDAO);
+    const page = await ActivityDAO.getTaskHistory(task._id, {
+      limit,
+      cursor,
+    });
+
+    return res
+      .status(200)
+      .json({ history: page.items, nextCursor: page.nextCursor });
   }
 }
 
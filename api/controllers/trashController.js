@@ -0,0 +1,129 @@
+const TaskDAO = require("../dao/taskDAO");
+const ListDAO = require("../dao/listDAO");
+const UserDAO = require("../dao/userDAO");
+const ActivityDAO = require("../dao/activityDAO");
+const { getListRole, hasRole } = require("../utils/listAccess");
+const {
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
+
+/**
+ * Controller class for the trash.
+ *
+ * Deleted tasks and lists are only flagged with `deletedAt` (see
+ * {@link GlobalDAO#softDelete}) and stay in the trash until they are
+ * restored or purged by the trash purge job.
+ */
+class TrashController {
+  /**
+   * Returns the contents of the user's trash.
+   *
+   * Includes the deleted lists the user owns (with the number of tasks
+   * deleted with them) and the tasks deleted one by one from the lists
+   * the user can edit.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response with `{ lists, tasks }` or an error message.
+   */
+  async getTrash(req, res) {
+    const userId = req.user.id;
+
+    const user = await UserDAO.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    const deletedLists = await ListDAO.getDeletedLists(userId);
+    const lists = await Promise.all(
+      deletedLists.map(async (list) => ({
+        ...list.toObject(),
+        taskCount: await TaskDAO.countDeletedWithList(list._id),
+      })),
+    );
+
+    const listIds = await ListDAO.getAccessibleListIds(userId, "editor");
+    const tasks = await TaskDAO.getDeletedTasks(listIds);
+
+    return res.status(200).json({ lists, tasks });
+  }
+
+  /**
+   * Restores a deleted task.
+   *
+   * The user must be the owner or an editor of the task's list, and the
+   * list must not be in the trash itself.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Must include
+   * the task ID in `req.params.id`.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response indicating success or an error message.
+   */
+  async restoreTask(req, res) {
+    const userId = req.user.id;
+    const taskId = req.params.id;
+
+    const task = await TaskDAO.readDeleted(taskId);
+    if (!task) {
+      throw new NotFoundError("Tarea no encontrada en la papelera");
+    }
+
+    const list = await ListDAO.read(task.list);
+    if (!list) {
+      throw new ConflictError("Restaura primero la lista de la tarea");
+    }
+
+    if (!hasRole(getListRole(list, userId), "editor")) {
+      throw new ForbiddenError("Acción prohibida");
+    }
+
+    const restored = await TaskDAO.restore(taskId);
+    await ActivityDAO.record("task", task, restored, userId, "restored");
+
+    return res.status(200).json({ message: "Tarea restaurada exitosamente" });
+  }
+
+  /**
+   * Restores a deleted list together with the tasks deleted with it.
+   *
+   * Only the list owner can restore it. Fails if the owner already has
+   * another list with the same title.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Must include
+   * the list ID in `req.params.id`.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response indicating success or an error message.
+   */
+  async restoreList(req, res) {
+    const userId = req.user.id;
+    const listId = req.params.id;
+
+    const list = await ListDAO.readDeleted(listId);
+    if (!list) {
+      throw new NotFoundError("Lista no encontrada en la papelera");
+    }
+
+    if (!hasRole(getListRole(list, userId), "owner")) {
+      throw new ForbiddenError("Acción prohibida");
+    }
+
+    const restored = await ListDAO.restore(listId);
+    const restoredTasks = await TaskDAO.restoreByList(listId);
+    await ActivityDAO.record("list", list, restored, userId, "restored");
+
+    return res.status(200).json({
+      message: "Lista restaurada exitosamente",
+      restoredTasks,
+    });
+  }
+}
+
+/**
+ * Export a singleton instance of TrashController.
+ */
+module.exports = new TrashController();
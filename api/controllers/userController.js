@@ -1,9 +1,70 @@
 const GlobalController = require("./globalController");
 const UserDAO = require("../dao/userDAO");
 const ListDAO = require("../dao/listDAO");
+const TaskDAO = require("../dao/taskDAO");
+const LabelDAO = require("../dao/labelDAO");
+const SessionDAO = require("../dao/sessionDAO");
+const mongoose = require("mongoose");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcrypt");
 const { sendMail } = require("../utils/mailer");
+const { buildDigest, renderDigest } = require("../utils/digest");
+const { streamJsonExport, streamTasksCsv } = require("../utils/export");
+const { getListRole } = require("../utils/listAccess");
+const { getStatuses } = require("../utils/workflow");
+const {
+  signAccessToken,
+  hashToken,
+  generateRefreshToken,
+  parseRefreshToken,
+  refreshTokenExpiry,
+  generateEmailToken,
+  emailTokenExpiry,
+  signVerificationToken,
+  parseVerificationToken,
+  safeEqual,
+} = require("../utils/tokens");
+const {
+  isVerified,
+  canLogin,
+  canResendVerification,
+} = require("../utils/verification");
+const {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
+
+/**
+ * Base URL of the frontend, used in the links sent by email.
+ */
+const FRONTEND_BASE = "https://lumo-front-jtug.vercel.app";
+
+/**
+ * Sends the link to verify the email of a new account.
+ *
+ * @async
+ * @param {Object} user - User document.
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(user) {
+  const token = signVerificationToken(user);
+  const verifyLink = `${FRONTEND_BASE}/verify-email/?token=${encodeURIComponent(token)}`;
+
+  await sendMail(
+    user.email,
+    "Verifica tu email",
+    `
+      <h2>Hola ${user.firstName},</h2>
+      <p>Gracias por registrarte en Lumo.</p>
+      <p>Por favor haz clic al link abajo para verificar tu email:</p>
+      <a href="${verifyLink}">${verifyLink}</a>
+      <p>Si no fuiste tú el que creó esta cuenta, por favor ignora el correo.</p>
+    `,
+  );
+}
 
 /**
  * Controller class for managing User resources.
@@ -26,110 +87,280 @@ class UserController extends GlobalController {
   /**
    * Registers a new user and creates a default task list for them.
    *
+   * The account starts unverified and a verification link is sent to its
+   * email. If the email can't be sent, the user can ask for it again
+   * (see {@link resendVerification}).
+   *
    * @async
    * @param {import("express").Request} req - Express request object containing user data in `req.body`
    * @param {import("express").Response} res - Express response object
    * @returns {Promise<void>} Returns HTTP status codes:
-   *   - 201: User created successfully
+   *   - 201: User created successfully, verification email sent
    *   - 400: Validation error (e.g., required fields missing or invalid)
    *   - 409: Duplicate email
    *   - 500: Internal server error
    */
   async registerUser(req, res) {
     const { password, confirmPassword, ...rest } = req.body;
-    if (!password || !confirmPassword) {
-      return res
-        .status(400)
-        .json({ message: "Todos los campos son obligatorios" });
-    }
-    if (password !== confirmPassword) {
-      return res.status(400).json({ message: "Las contraseñas no coinciden" });
-    }
     let session;
+    let user;
     try {
       session = await this.dao.model.db.startSession();
-      let user;
       await session.withTransaction(async () => {
-        user = await this.dao.create({ ...rest, password });
+        user = await this.dao.create(
+          {
+            ...rest,
+            password,
+            verified: false,
+            verificationSentAt: new Date(),
+          },
+          { session },
+        );
         const listData = {
           title: "Tasks",
           user: user._id,
         };
         await ListDAO.create(listData, { session });
       });
-      return res.status(201).json({ message: "Registro exitoso" });
-    } catch (err) {
-      if (err.name === "ValidationError") {
-        const firstMessage = Object.values(err.errors)[0].message;
-        return res.status(400).json({ message: firstMessage });
-      }
-
-      if (err.code === 11000) {
-        return res.status(409).json({ message: "Email ya registrado" });
-      }
-
-      if (process.env.NODE_ENV === "development") {
-        console.log(`Internal server error: ${err.message}`);
-      }
-      res
-        .status(500)
-        .json({ message: "Internal server error, try again later" });
     } finally {
       session.endSession(); // Transaction end
     }
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailErr) {
+      // The account was created anyway, the email can be sent again
+    }
+
+    return res
+      .status(201)
+      .json({ message: "Registro exitoso, revisa tu email para verificarlo" });
+  }
+
+  /**
+   * Verifies the email of an account using the token sent by email.
+   *
+   * The token is bound to the email it was sent to, so it stops working if
+   * the email changes in the meantime.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. `req.params.token`
+   * contains the verification token.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Returns HTTP status codes:
+   *   - 200: Email verified, or already verified
+   *   - 400: Invalid or expired token
+   *   - 500: Internal server error
+   */
+  async verifyEmail(req, res) {
+    const payload = parseVerificationToken(req.params.token);
+    const user = payload && (await this.dao.read(payload.id));
+    if (!user || user.email !== payload.email) {
+      throw new ValidationError("Token no válida o expirada");
+    }
+
+    if (isVerified(user)) {
+      return res.status(200).json({ message: "Email ya verificado" });
+    }
+
+    await this.dao.update(user._id, {
+      verified: true,
+      $unset: { verificationSentAt: 1 },
+    });
+
+    return res.status(200).json({ message: "Email verificado exitosamente" });
+  }
+
+  /**
+   * Sends the verification link of an account again.
+   *
+   * Public, since the verification policy may not let the user log in.
+   * A new link can only be asked for once the cooldown since the last one
+   * is over (see `utils/verification.js`).
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Expected body: { email }
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Returns HTTP status codes:
+   *   - 200: Verification email sent
+   *   - 400: Email already verified
+   *   - 404: User not found
+   *   - 429: A verification email was sent too recently
+   *   - 500: Internal server error
+   */
+  async resendVerification(req, res) {
+    const { email } = req.body;
+
+    const user = await this.dao.findByEmail(email);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    if (isVerified(user)) {
+      throw new ValidationError("El email ya está verificado");
+    }
+
+    if (!canResendVerification(user)) {
+      throw new AppError("Espera un momento antes de pedir otro email", {
+        status: 429,
+        code: "TOO_MANY_REQUESTS",
+      });
+    }
+
+    user.verificationSentAt = new Date();
+    await user.save();
+
+    await sendVerificationEmail(user);
+
+    return res.status(200).json({ message: "Email de verificación enviado" });
   }
 
   /**
-   * Authenticates a user with email and password, returning a JWT token.
+   * Authenticates a user with email and password, opening a new session.
+   *
+   * The session stores the hash of the refresh token together with the
+   * user agent and IP of the device that logged in.
    *
    * @async
    * @param {import("express").Request} req - Express request object containing `email` and `password` in `req.body`
    * @param {import("express").Response} res - Express response object
    * @returns {Promise<void>} Returns HTTP status codes:
-   *   - 200: Login successful, returns `{ token }`
+   *   - 200: Login successful, returns `{ token, refreshToken }`
    *   - 400: Missing email or password
    *   - 401: Email or password incorrect
+   *   - 403: Email not verified, when the verification policy blocks login
    *   - 500: Internal server error
    */
   async loginUser(req, res) {
-    try {
-      const { email, password } = req.body;
+    const { email, password } = req.body;
 
-      if (!email || !password) {
-        return res
-          .status(400)
-          .json({ message: "Email y contraseña requeridos" });
-      }
+    const user = await this.dao.findByEmail(email);
+    if (!user) {
+      throw new UnauthorizedError("Email o contraseña son incorrectos");
+    }
 
-      const user = await this.dao.findByEmail(email);
-      if (!user) {
-        return res
-          .status(401)
-          .json({ message: "Email o contraseña son incorrectos" });
-      }
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      throw new UnauthorizedError("Email o contraseña son incorrectos");
+    }
 
-      const isMatch = await bcrypt.compare(password, user.password);
-      if (!isMatch) {
-        return res
-          .status(401)
-          .json({ message: "Email o contraseña son incorrectos" });
-      }
+    if (!canLogin(user)) {
+      throw new AppError("Verifica tu email para iniciar sesión", {
+        status: 403,
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
 
-      const token = jwt.sign(
-        { id: user._id, email: user.email },
-        process.env.JWT_SECRET,
-        { expiresIn: "1h" },
-      );
+    const sessionId = new mongoose.Types.ObjectId();
+    const refresh = generateRefreshToken(sessionId);
 
-      return res.status(200).json({ token });
-    } catch (err) {
-      if (process.env.NODE_ENV === "development") {
-        console.log(`Internal server error: ${err.message}`);
-      }
-      res
-        .status(500)
-        .json({ message: "Internal server error, try again later" });
+    await SessionDAO.create({
+      _id: sessionId,
+      user: user._id,
+      refreshTokenHash: refresh.hash,
+      userAgent: req.get("user-agent") || "",
+      ip: req.ip || "",
+      expiresAt: refreshTokenExpiry(),
+    });
+
+    const token = signAccessToken(user, sessionId);
+
+    return res.status(200).json({ token, refreshToken: refresh.token });
+  }
+
+  /**
+   * Exchanges a refresh token for a new access token and a new refresh token.
+   *
+   * The refresh token is rotated on every call. If a token that was already
+   * rotated is presented again, it is treated as stolen and the whole session
+   * is revoked, so neither the attacker nor the legitimate client can keep using it.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object containing `refreshToken` in `req.body`
+   * @param {import("express").Response} res - Express response object
+   * @returns {Promise<void>} Returns HTTP status codes:
+   *   - 200: Returns `{ token, refreshToken }`
+   *   - 400: Missing refresh token
+   *   - 401: Invalid, expired, revoked or reused refresh token
+   *   - 500: Internal server error
+   */
+  async refreshToken(req, res) {
+    const { refreshToken } = req.body;
+
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+      throw new UnauthorizedError("Refresh token no válido");
     }
+
+    const session = await SessionDAO.findActive(parsed.sessionId);
+    if (!session) {
+      throw new UnauthorizedError("Sesión expirada, inicia sesión de nuevo");
+    }
+
+    if (!safeEqual(hashToken(parsed.secret), session.refreshTokenHash)) {
+      await SessionDAO.revoke(session._id, "reuse-detected");
+      throw new UnauthorizedError("Refresh token reutilizado, sesión revocada");
+    }
+
+    const user = await this.dao.read(session.user);
+    if (!user) {
+      await SessionDAO.revoke(session._id, "logout");
+      throw new UnauthorizedError("Usuario no encontrado");
+    }
+
+    const refresh = generateRefreshToken(session._id);
+
+    // Only rotates if nobody else rotated the same token concurrently
+    const rotated = await SessionDAO.rotate(
+      session._id,
+      session.refreshTokenHash,
+      {
+        refreshTokenHash: refresh.hash,
+        userAgent: req.get("user-agent") || session.userAgent,
+        ip: req.ip || session.ip,
+      },
+    );
+    if (!rotated) {
+      await SessionDAO.revoke(session._id, "reuse-detected");
+      throw new UnauthorizedError("Refresh token reutilizado, sesión revocada");
+    }
+
+    const token = signAccessToken(user, session._id);
+
+    return res.status(200).json({ token, refreshToken: refresh.token });
+  }
+
+  /**
+   * Closes the session the current access token belongs to.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object, `req.user.sid` contains the session ID
+   * @param {import("express").Response} res - Express response object
+   * @returns {Promise<void>} Sends a JSON response with a success message or an error.
+   */
+  async logout(req, res) {
+    await SessionDAO.revoke(req.user.sid, "logout");
+
+    return res.status(200).json({ message: "Sesión cerrada" });
+  }
+
+  /**
+   * Closes every session of the authenticated user, on every device.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object, `req.user.id` contains the user ID
+   * @param {import("express").Response} res - Express response object
+   * @returns {Promise<void>} Sends a JSON response with the number of sessions closed or an error.
+   */
+  async logoutAll(req, res) {
+    const revoked = await SessionDAO.revokeAllForUser(
+      req.user.id,
+      "logout-all",
+    );
+
+    return res
+      .status(200)
+      .json({ message: "Todas las sesiones fueron cerradas", revoked });
   }
 
   /**
@@ -141,89 +372,406 @@ class UserController extends GlobalController {
    * @param {import("express").Request} req - Express request object, `req.user` contains decoded JWT info
    * @param {import("express").Response} res - Express response object
    * @returns {Promise<void>} Returns HTTP status codes:
-   *   - 200: Returns user profile `{ firstName, lastName, age, email }`
+   *   - 200: Returns user profile `{ firstName, lastName, age, email, verified, pendingEmail, reminderOffsets, digest, calendarFeed }`
+   *     (`pendingEmail` is the new email waiting for confirmation, `calendarFeed` tells whether the calendar feed is enabled)
    *   - 404: User not found
    *   - 500: Internal server error
    */
   async getUserProfile(req, res) {
-    try {
-      const userId = req.user.id;
-
-      const user = await this.dao.read(userId);
-      if (!user) {
-        return res.status(404).json({ message: "Usuario no encontrado" });
-      }
+    const userId = req.user.id;
 
-      return res.status(200).json({
-        firstName: user.firstName,
-        lastName: user.lastName,
-        age: user.age,
-        email: user.email,
-      });
-    } catch (err) {
-      if (process.env.NODE_ENV === "development") {
-        console.log(`Internal server error: ${err.message}`);
-      }
-      res
-        .status(500)
-        .json({ message: "Internal server error, try again later" });
+    const user = await this.dao.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
     }
+
+    return res.status(200).json({
+      firstName: user.firstName,
+      lastName: user.lastName,
+      age: user.age,
+      email: user.email,
+      verified: isVerified(user),
+      pendingEmail: user.pendingEmail || null,
+      reminderOffsets: user.reminderOffsets,
+      digest: {
+        frequency: user.digest.frequency,
+        sendTime: user.digest.sendTime,
+        weekday: user.digest.weekday,
+        timezone: user.digest.timezone,
+      },
+      calendarFeed: Boolean(user.calendarTokenHash),
+    });
   }
 
   /**
    * Updates the profile of the authenticated user.
    *
    * Retrieves the user ID from the decoded JWT token (`req.user.id`) and
-   * updates the user's document in the database with the data provided
-   * in `req.body`. Only updates fields allowed by the model validators.
+   * updates only the profile fields of the user. The password and the email
+   * have their own flows ({@link changePassword} and {@link requestEmailChange}),
+   * and any other field of `req.body` is ignored.
    *
    * @async
-   * @param {import("express").Request} req - Express request object. The body should
-   * contain the fields to update (e.g., firstName, lastName, age, email, password).
+   * @param {import("express").Request} req - Express request object. The body may
+   * contain `firstName`, `lastName`, `age` and `reminderOffsets`.
    * @param {import("express").Response} res - Express response object.
    * @returns {Promise<void>} Sends a JSON response with a success message or an error.
    */
   async updateUserProfile(req, res) {
-    try {
-      const userId = req.user.id;
-      const password = req.body.password;
-      const confirmPassword = req.body.confirmPassword;
-
-      if (password) {
-        if (password !== confirmPassword) {
-          return res
-            .status(400)
-            .json({ message: "Las contraseñas no coinciden" });
-        }
-      }
+    const userId = req.user.id;
+
+    const allowedFields = ["firstName", "lastName", "age", "reminderOffsets"];
+    const updates = {};
 
-      const user = await this.dao.read(userId);
-      if (!user) {
-        return res.status(404).json({ message: "Usuario no encontrado" });
+    for (const field of allowedFields) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
       }
+    }
 
-      await this.dao.update(userId, req.body);
+    const user = await this.dao.update(userId, updates);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
 
-      return res.status(200).json({
-        message: "Perfil exitosamente actualizado",
+    return res.status(200).json({
+      message: "Perfil exitosamente actualizado",
+    });
+  }
+
+  /**
+   * Changes the password of the authenticated user.
+   *
+   * The current password is required. Every other session of the user is
+   * revoked, so only the device that changed the password stays logged in.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Expected body:
+   * `{ currentPassword, password, confirmPassword }`.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Returns HTTP status codes:
+   *   - 200: Password changed
+   *   - 400: Current password incorrect or new password invalid
+   *   - 404: User not found
+   *   - 500: Internal server error
+   */
+  async changePassword(req, res) {
+    const { currentPassword, password } = req.body;
+
+    const user = await this.dao.read(req.user.id);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      throw new ValidationError("La contraseña actual es incorrecta", {
+        currentPassword: "La contraseña actual es incorrecta",
       });
-    } catch (err) {
-      if (err.name === "ValidationError") {
-        const firstMessage = Object.values(err.errors)[0].message;
-        return res.status(400).json({ message: firstMessage });
-      }
+    }
 
-      if (err.code === 11000) {
-        return res.status(409).json({ message: "Email ya registrado" });
-      }
+    user.password = password;
+    await user.save();
+
+    await SessionDAO.revokeAllForUser(
+      user._id,
+      "password-change",
+      req.user.sid,
+    );
 
-      if (process.env.NODE_ENV === "development") {
-        console.log(`Internal server error: ${err.message}`);
+    try {
+      await sendMail(
+        user.email,
+        "Contraseña exitosamente cambiada",
+        `
+        <h2>Hola ${user.firstName},</h2>
+        <p>Tu contraseña ha sido exitosamente cambiada.</p>
+        <p>Si no fuiste tú el que realizó esta acción, por favor contactanos.</p>
+        <p>Saludos,<br/>Soporte de Lumo</p>
+      `,
+      );
+    } catch (mailErr) {
+      // The password was changed anyway, the email is only a courtesy
+    }
+
+    return res
+      .status(200)
+      .json({ message: "Contraseña exitosamente cambiada" });
+  }
+
+  /**
+   * Starts the change of the email of the authenticated user.
+   *
+   * The current password is required. The new email is kept as pending and
+   * a confirmation link is sent to it; the email only changes once the link
+   * is followed (see {@link confirmEmailChange}). Requesting a new change
+   * replaces the pending one.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. Expected body:
+   * `{ email, password }`.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Returns HTTP status codes:
+   *   - 200: Confirmation email sent
+   *   - 400: Password incorrect, invalid email or same email as the current one
+   *   - 404: User not found
+   *   - 409: Email already registered
+   *   - 500: Internal server error
+   */
+  async requestEmailChange(req, res) {
+    const { email, password } = req.body;
+
+    const user = await this.dao.read(req.user.id);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      throw new ValidationError("La contraseña es incorrecta", {
+        password: "La contraseña es incorrecta",
+      });
+    }
+
+    if (email.toLowerCase() === user.email.toLowerCase()) {
+      throw new ValidationError("El email es igual al actual", {
+        email: "El email es igual al actual",
+      });
+    }
+
+    if (await this.dao.findByEmail(email)) {
+      throw new ConflictError("Email ya registrado", {
+        email: "Email ya registrado",
+      });
+    }
+
+    const { token, hash } = generateEmailToken();
+    user.pendingEmail = email;
+    user.emailChangeTokenHash = hash;
+    user.emailChangeExpires = emailTokenExpiry();
+    await user.save();
+
+    const confirmLink = `${FRONTEND_BASE}/confirm-email/?token=${token}`;
+
+    await sendMail(
+      email,
+      "Confirmar nuevo email",
+      `
+        <h2>Hola ${user.firstName},</h2>
+        <p>Solicitaste cambiar el email de tu cuenta de Lumo a esta dirección.</p>
+        <p>Por favor haz clic al link abajo para confirmarlo:</p>
+        <a href="${confirmLink}">${confirmLink}</a>
+        <p>Si no fuiste tú el que solicitó esto, por favor ignora el correo.</p>
+      `,
+    );
+
+    return res.status(200).json({
+      message: "Te enviamos un email para confirmar el cambio",
+      pendingEmail: user.pendingEmail,
+    });
+  }
+
+  /**
+   * Confirms a pending email change using the token sent to the new email.
+   *
+   * The previous email is notified of the change. Since the new email was
+   * just confirmed, the account counts as verified from then on.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. `req.params.token`
+   * contains the confirmation token.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Returns HTTP status codes:
+   *   - 200: Email changed
+   *   - 400: Invalid or expired token
+   *   - 409: Email registered by another user in the meantime
+   *   - 500: Internal server error
+   */
+  async confirmEmailChange(req, res) {
+    const user = await this.dao.findByEmailChangeToken(
+      hashToken(req.params.token),
+    );
+    if (!user) {
+      throw new ValidationError("Token no válida o expirada");
+    }
+
+    const previousEmail = user.email;
+    const updated = await this.dao.update(user._id, {
+      email: user.pendingEmail,
+      verified: true,
+      $unset: {
+        pendingEmail: 1,
+        emailChangeTokenHash: 1,
+        emailChangeExpires: 1,
+      },
+    });
+    if (!updated) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    try {
+      await sendMail(
+        previousEmail,
+        "Email exitosamente cambiado",
+        `
+        <h2>Hola ${updated.firstName},</h2>
+        <p>El email de tu cuenta de Lumo fue cambiado a ${updated.email}.</p>
+        <p>Si no fuiste tú el que realizó esta acción, por favor contactanos.</p>
+        <p>Saludos,<br/>Soporte de Lumo</p>
+      `,
+      );
+    } catch (mailErr) {
+      // The email was changed anyway, the notice is only a courtesy
+    }
+
+    return res
+      .status(200)
+      .json({ message: "Email exitosamente cambiado", email: updated.email });
+  }
+
+  /**
+   * Updates the digest email preferences of the authenticated user.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object. The body may contain
+   * `frequency` (none, daily, weekly), `sendTime` (HH:mm), `weekday` (0-6) and `timezone`.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends a JSON response with the new preferences or an error.
+   */
+  async updateDigestPreferences(req, res) {
+    const userId = req.user.id;
+
+    const allowedFields = ["frequency", "sendTime", "weekday", "timezone"];
+    const updates = {};
+
+    for (const field of allowedFields) {
+      if (req.body[field] !== undefined) {
+        updates[`digest.${field}`] = req.body[field];
       }
-      res
-        .status(500)
-        .json({ message: "Internal server error, try again later" });
     }
+
+    const user = await this.dao.update(userId, updates);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    return res.status(200).json({
+      message: "Preferencias actualizadas exitosamente",
+      digest: {
+        frequency: user.digest.frequency,
+        sendTime: user.digest.sendTime,
+        weekday: user.digest.weekday,
+        timezone: user.digest.timezone,
+      },
+    });
+  }
+
+  /**
+   * Exports the account of the authenticated user.
+   *
+   * With `format=json` (the default) the export holds the profile (without
+   * password or tokens), labels, lists and tasks. With `format=csv` it holds
+   * one row per task, with the names of its list, status and labels.
+   * Covers the lists the user owns or is a member of, without the trash.
+   *
+   * The export is streamed: if it fails halfway, the connection is closed
+   * instead of sending an error, since the status was already sent.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Responds with:
+   * - 200 and the export as an attachment if successful.
+   * - 400 if `format` is invalid.
+   * - 404 if the user does not exist.
+   * - 500 if an internal server error occurs.
+   */
+  async exportAccount(req, res) {
+    const userId = req.user.id;
+    const format = req.query.format || "json";
+
+    const user = await this.dao.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    const [lists, labels] = await Promise.all([
+      ListDAO.getAccessibleLists(user._id),
+      LabelDAO.getUserLabels(user._id),
+    ]);
+    const tasks = TaskDAO.getExportCursor(lists.map((list) => list._id));
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.status(200).set({
+      "Content-Type":
+        format === "csv"
+          ? "text/csv; charset=utf-8"
+          : "application/json; charset=utf-8",
+      "Content-Disposition": `attachment; filename="lumo-${date}.${format}"`,
+    });
+
+    if (format === "csv") {
+      await streamTasksCsv(res, { labels, lists, tasks });
+    } else {
+      await streamJsonExport(res, {
+        profile: {
+          _id: user._id,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          age: user.age,
+          email: user.email,
+          reminderOffsets: user.reminderOffsets,
+          digest: {
+            frequency: user.digest.frequency,
+            sendTime: user.digest.sendTime,
+            weekday: user.digest.weekday,
+            timezone: user.digest.timezone,
+          },
+        },
+        labels: labels.map(({ _id, name, color, createdAt, updatedAt }) => ({
+          _id,
+          name,
+          color,
+          createdAt,
+          updatedAt,
+        })),
+        lists: lists.map((list) => ({
+          _id: list._id,
+          title: list.title,
+          role: getListRole(list, user._id),
+          user: list.user,
+          members: list.members,
+          statuses: getStatuses(list),
+          defaultStatus: list.defaultStatus,
+          createdAt: list.createdAt,
+          updatedAt: list.updatedAt,
+        })),
+        tasks,
+      });
+    }
+
+    res.end();
+  }
+
+  /**
+   * Renders the digest email of the authenticated user without sending it.
+   *
+   * @async
+   * @param {import("express").Request} req - Express request object.
+   * @param {import("express").Response} res - Express response object.
+   * @returns {Promise<void>} Sends the digest as HTML or a JSON error.
+   */
+  async previewDigest(req, res) {
+    const userId = req.user.id;
+
+    const user = await this.dao.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
+
+    const digest = await buildDigest(user._id);
+
+    return res.status(200).type("html").send(renderDigest(user, digest));
   }
 
   /**
@@ -238,27 +786,18 @@ class UserController extends GlobalController {
    * @returns {Promise<void>} Sends a JSON response with a success message or an error.
    */
   async deleteUser(req, res) {
-    try {
-      const userId = req.user.id;
+    const userId = req.user.id;
 
-      const user = await this.dao.read(userId);
-      if (!user) {
-        return res.status(404).json({ message: "Usuario no encontrado" });
-      }
+    const user = await this.dao.read(userId);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
 
-      await this.dao.delete(userId);
+    await this.dao.delete(userId);
 
-      return res.status(200).json({
-        message: "Perfil exitosamente borrado",
-      });
-    } catch (err) {
-      if (process.env.NODE_ENV === "development") {
-        console.log(`Internal server error: ${err.message}`);
-      }
-      res
-        .status(500)
-        .json({ message: "Internal server error, try again later" });
-    }
+    return res.status(200).json({
+      message: "Perfil exitosamente borrado",
+    });
   }
   /**
    * Resets the user password using the reset token.
@@ -273,57 +812,39 @@ class UserController extends GlobalController {
     console.log("RESET TOKEN:", req.params.token);
 
     const { token } = req.params;
-    const { password, confirmPassword } = req.body;
+    const { password } = req.body;
 
-    if (!password || !confirmPassword) {
-      return res
-        .status(400)
-        .json({ message: "Todos los campos son necesarios" });
-    }
+    const user = await this.dao.model.findOne({
+      resetPasswordToken: token,
+      resetPasswordExpires: { $gt: Date.now() },
+    });
 
-    if (password !== confirmPassword) {
-      return res.status(400).json({ message: "Las contraseñas no coinciden" });
+    if (!user) {
+      throw new ValidationError("Token no válida o expirada");
     }
 
-    try {
-      const user = await this.dao.model.findOne({
-        resetPasswordToken: token,
-        resetPasswordExpires: { $gt: Date.now() },
-      });
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
 
-      if (!user) {
-        return res.status(400).json({ message: "Token no válida o expirada" });
-      }
+    await user.save();
 
-      user.password = password;
-      user.resetPasswordToken = undefined;
-      user.resetPasswordExpires = undefined;
-
-      await user.save();
-
-      await sendMail(
-        user.email,
-        "Contraseña exitosamente cambiada",
-        `
-        <h2>Hola ${user.firstName},</h2>
-        <p>Tu contraseña ha sido exitosamente cambiada.</p>
-        <p>Si no fuiste tú el que realizó esta acción, por favor contactanos.</p>
-        <p>Saludos,<br/>Soporte de Lumo</p>
-      `,
-      );
+    await SessionDAO.revokeAllForUser(user._id, "password-reset");
 
-      return res
-        .status(200)
-        .json({ message: "Password has been reset successfully" });
-    } catch (err) {
-      if (err.name === "ValidationError") {
-        const messages = Object.values(err.errors).map((e) => e.message);
-        return res.status(400).json({ message: messages[0] });
-      }
+    await sendMail(
+      user.email,
+      "Contraseña exitosamente cambiada",
+      `
+      <h2>Hola ${user.firstName},</h2>
+      <p>Tu contraseña ha sido exitosamente cambiada.</p>
+      <p>Si no fuiste tú el que realizó esta acción, por favor contactanos.</p>
+      <p>Saludos,<br/>Soporte de Lumo</p>
+    `,
+    );
 
-      console.error("Reset password error:", err);
-      return res.status(500).json({ message: "Internal server error" });
-    }
+    return res
+      .status(200)
+      .json({ message: "Password has been reset successfully" });
   }
 
   /**
@@ -334,48 +855,38 @@ class UserController extends GlobalController {
    * @param {import("express").Response} res - Express response object
    */
   async forgotPassword(req, res) {
-    try {
-      const { email } = req.body;
-
-      if (!email) {
-        return res.status(400).json({ message: "Email es requerido" });
-      }
-
-      const user = await this.dao.findByEmail(email);
-      if (!user) {
-        return res.status(404).json({ message: "Usuario no encontrado" });
-      }
-
-      const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-        expiresIn: "1h",
-      });
+    const { email } = req.body;
 
-      user.resetPasswordToken = token;
-      user.resetPasswordExpires = Date.now() + 3600000; // 1 hora
-      await user.save();
-
-      const frontendBase = 'https://lumo-front-jtug.vercel.app';
-      const resetLink = `${frontendBase}/reset-password/?token=${encodeURIComponent(token)}`;
+    const user = await this.dao.findByEmail(email);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado");
+    }
 
-      await sendMail(
-        user.email,
-        "Recuperar contraseña",
-        `
-          <h2>Hola ${user.firstName || "usuario"},</h2>
-          <p>A continuación tu petición de recuperar contraseña.</p>
-          <p>Por favor haz clic al link abajo (válido por 1 hora):</p>
-          <a href="${resetLink}">${resetLink}</a>
-          <p>Si no fuiste tú el que solicitó esto, por favor ignora el correo.</p>
-        `,
-      );
+    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
+      expiresIn: "1h",
+    });
+
+    user.resetPasswordToken = token;
+    user.resetPasswordExpires = Date.now() + 3600000; // 1 hora
+    await user.save();
+
+    const resetLink = `${FRONTEND_BASE}/reset-password/?token=${encodeURIComponent(token)}`;
+
+    await sendMail(
+      user.email,
+      "Recuperar contraseña",
+      `
+        <h2>Hola ${user.firstName || "usuario"},</h2>
+        <p>A continuación tu petición de recuperar contraseña.</p>
+        <p>Por favor haz clic al link abajo (válido por 1 hora):</p>
+        <a href="${resetLink}">${resetLink}</a>
+        <p>Si no fuiste tú el que solicitó esto, por favor ignora el correo.</p>
+      `,
+    );
 
-      return res
-        .status(200)
-        .json({ message: "Email de recuperar contraseña enviado" });
-    } catch (err) {
-      console.error("Error recuperar contraseña:", err);
-      return res.status(500).json({ message: "Internal server error" });
-    }
+    return res
+      .status(200)
+      .json({ message: "Email de recuperar contraseña enviado" });
   }
 }
 
@@ -0,0 +1,160 @@
+const Activity = require("../models/activity");
+const GlobalDAO = require("./globalDAO");
+
+/**
+ * Fields whose changes are recorded for each entity type.
+ */
+const TRACKED_FIELDS = {
+  task: [
+    "title",
+    "description",
+    "status",
+    "priority",
+    "dueDate",
+    "list",
+    "recurrence",
+    "reminderOffsets",
+    "subtasks",
+    "labels",
+  ],
+  list: ["title", "members", "statuses", "defaultStatus"],
+};
+
+/**
+ * Converts a field value to a plain JSON-like value so it can be stored
+ * and compared (documents, ObjectIds and dates included).
+ * @param {*} value - Field value.
+ * @returns {*} Plain value, `null` for empty values.
+ */
+function normalize(value) {
+  if (value === undefined || value === null) return null;
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Data Access Object (DAO) for the Activity model.
+ *
+ * Extends the generic {@link GlobalDAO} class to provide
+ * database operations (create, read, update, delete, getAll)
+ * specifically for Activity documents.
+ */
+class ActivityDAO extends GlobalDAO {
+  /**
+   * Create a new ActivityDAO instance.
+   *
+   * Passes the Activity Mongoose model to the parent class so that
+   * all inherited CRUD methods operate on the Activity collection.
+   */
+  constructor() {
+    super(Activity);
+
+    this.sortableFields = { createdAt: "$createdAt" };
+    this.defaultSort = [["createdAt", -1]];
+  }
+
+  /**
+   * Records a change of a task or a list.
+   *
+   * Compares the tracked fields of `before` and `after` and stores those that
+   * changed. Nothing is recorded for updates that didn't change anything.
+   * An update that changes the `list` of a task is recorded as `moved`.
+   *
+   * @async
+   * @param {"task"|"list"} entityType - Type of the entity.
+   * @param {Object|null} before - Entity before the change (`null` when created).
+   * @param {Object|null} after - Entity after the change (`null` when deleted).
+   * @param {string} actorId - ID of the user who made the change.
+   * @param {string} [action] - Forces the recorded action (e.g. `restored`)
+   * instead of deducing it from `before` and `after`.
+   * @returns {Promise<Object|null>} The history entry, or `null` if nothing changed.
+   */
+  async record(entityType, before, after, actorId, action) {
+    const entity = after || before;
+    const changes = {};
+
+    for (const field of TRACKED_FIELDS[entityType]) {
+      const oldValue = before ? normalize(before[field]) : null;
+      const newValue = after ? normalize(after[field]) : null;
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes[field] = { before: oldValue, after: newValue };
+      }
+    }
+
+    if (!action) {
+      if (!before) action = "created";
+      else if (!after) action = "deleted";
+      else if (changes.list) action = "moved";
+      else if (Object.keys(changes).length === 0) return null;
+      else action = "updated";
+    }
+
+    return this.create({
+      entityType,
+      entityId: entity._id,
+      list: entityType === "list" ? entity._id : entity.list,
+      action,
+      changes,
+      actor: actorId,
+    });
+  }
+
+  /**
+   * Returns one page of the history of a task, newest first.
+   *
+   * @async
+   * @param {string} taskId - ID of the task.
+   * @param {Object} options - Pagination options (see {@link GlobalDAO#paginate}).
+   * @returns {Promise<{ items: Array, nextCursor: (string|null) }>} History entries with their `actor` populated.
+   */
+  async getTaskHistory(taskId, options) {
+    const page = await this.paginate(
+      { entityType: "task", entityId: taskId },
+      options,
+    );
+    await this.model.populate(page.items, {
+      path: "actor",
+      select: "firstName lastName email",
+    });
+    return page;
+  }
+
+  /**
+   * Returns one page of the history of a list and its tasks, newest first.
+   * Includes the tasks that were moved out of the list.
+   *
+   * @async
+   * @param {string} listId - ID of the list.
+   * @param {Object} options - Pagination options (see {@link GlobalDAO#paginate}).
+   * @returns {Promise<{ items: Array, nextCursor: (string|null) }>} History entries with their `actor` populated.
+   */
+  async getListHistory(listId, options) {
+    const page = await this.paginate(
+      {
+        $or: [{ list: listId }, { "changes.list.before": listId.toString() }],
+      },
+      options,
+    );
+    await this.model.populate(page.items, {
+      path: "actor",
+      select: "firstName lastName email",
+    });
+    return page;
+  }
+
+  /**
+   * Removes the history of the given lists and their tasks.
+   * Only used when the lists themselves are gone for good.
+   *
+   * @async
+   * @param {Array} listIds - IDs of the lists.
+   * @returns {Promise<void>}
+   */
+  async deleteForLists(listIds) {
+    await this.model.deleteMany({ list: { $in: listIds } });
+  }
+}
+
+/**
+ * Export a singleton instance of ActivityDAO.
+ */
+module.exports = new ActivityDAO();
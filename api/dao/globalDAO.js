@@ -1,3 +1,6 @@
+const { encodeCursor, QueryError } = require("../utils/queryParser");
+const { ConflictError } = require("../utils/errors");
+
 /**
  * Generic Data Access Object (DAO) class.
  *
@@ -12,28 +15,109 @@ class GlobalDAO {
    */
   constructor(model) {
     this.model = model;
+
+    /**
+     * Query parameters accepted by {@link GlobalDAO#paginate}, mapped to a
+     * function that builds the MongoDB filter fragment (see `utils/queryParser.js`).
+     * @type {Object<string, function(string, Object): Object>}
+     */
+    this.filters = {};
+
+    /**
+     * Fields results can be sorted by, mapped to the aggregation expression
+     * used as sort key.
+     * @type {Object<string, *>}
+     */
+    this.sortableFields = { createdAt: "$createdAt", updatedAt: "$updatedAt" };
+
+    /**
+     * Sort applied when the request doesn't specify one.
+     * @type {Array<[string, number]>}
+     */
+    this.defaultSort = [["createdAt", 1]];
+
+    /**
+     * Extra fields added to every document returned by {@link GlobalDAO#paginate}
+     * (aggregations don't apply virtuals).
+     * @type {Object<string, *>}
+     */
+    this.computedFields = {};
+
+    /**
+     * When `true`, {@link GlobalDAO#delete} only flags documents with a
+     * `deletedAt` date, and every read excludes flagged documents unless
+     * the filter explicitly mentions `deletedAt`.
+     * The model must define a `deletedAt` field.
+     * @type {boolean}
+     */
+    this.softDelete = false;
+
+    /**
+     * Message of the {@link ConflictError} thrown when a create, update or
+     * restore breaks a unique index. When `null`, the
+     * database error is thrown as it is.
+     * @type {string|null}
+     */
+    this.duplicateMessage = null;
+  }
+
+  /**
+   * Turns the error of a write that broke a unique index into a
+   * {@link ConflictError} with `duplicateMessage`.
+   * @param {Error} err - Error of the write.
+   * @returns {Error} The error to throw.
+   */
+  duplicateError(err) {
+    if (err.code !== 11000 || !this.duplicateMessage) return err;
+    const fields = Object.fromEntries(
+      Object.keys(err.keyValue || {})
+        .filter((field) => field !== "user" && field !== "deletedAt")
+        .map((field) => [field, this.duplicateMessage]),
+    );
+    return new ConflictError(this.duplicateMessage, fields);
+  }
+
+  /**
+   * Adds the condition that excludes soft-deleted documents to a filter.
+   * @param {Object} [filter={}] - MongoDB filter object.
+   * @returns {Object} The filter, restricted to documents not deleted.
+   */
+  notDeleted(filter = {}) {
+    if (!this.softDelete || "deletedAt" in filter) return filter;
+    return { ...filter, deletedAt: null };
   }
 
   /**
    * Create and persist a new document.
    * @async
    * @param {Object} data - The data used to create the document.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
    * @returns {Promise<Object>} The created document.
+   * @throws {ConflictError} If the document breaks a unique index (see `duplicateMessage`).
    * @throws {Error} If validation or database errors occur.
    */
-  async create(data) {
+  async create(data, options = {}) {
     const document = new this.model(data);
-    return await document.save();
+    try {
+      return await document.save(options);
+    } catch (err) {
+      throw this.duplicateError(err);
+    }
   }
 
   /**
    * Find a document by its ID.
    * @async
    * @param {string} id - The document's unique identifier.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
    * @returns {Promise<Object>} The found document.
    */
-  async read(id) {
-    const document = await this.model.findById(id);
+  async read(id, options = {}) {
+    const document = await this.model.findOne(
+      this.notDeleted({ _id: id }),
+      null,
+      options,
+    );
     return document;
   }
 
@@ -42,27 +126,95 @@ class GlobalDAO {
    * @async
    * @param {string} id - The document's unique identifier.
    * @param {Object} updateData - The data to update the document with.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
    * @returns {Promise<Object>} The updated document.
+   * @throws {ConflictError} If the update breaks a unique index (see `duplicateMessage`).
    */
-  async update(id, updateData) {
-    const updatedDocument = await this.model.findByIdAndUpdate(id, updateData, {
-      new: true,
-      runValidators: true,
-    });
-    return updatedDocument;
+  async update(id, updateData, options = {}) {
+    try {
+      return await this.model.findOneAndUpdate(
+        this.notDeleted({ _id: id }),
+        updateData,
+        { new: true, runValidators: true, ...options },
+      );
+    } catch (err) {
+      throw this.duplicateError(err);
+    }
   }
 
   /**
    * Delete a document by ID.
+   * With soft deletion enabled, the document is only flagged with `deletedAt`.
    * @async
    * @param {string} id - The document's unique identifier.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
    * @returns {Promise<Object>} The deleted document.
    */
-  async delete(id) {
-    const deletedDocument = await this.model.findByIdAndDelete(id);
+  async delete(id, options = {}) {
+    if (this.softDelete) {
+      return await this.model.findOneAndUpdate(
+        this.notDeleted({ _id: id }),
+        { deletedAt: new Date() },
+        { new: true, ...options },
+      );
+    }
+    return await this.hardDelete(id, options);
+  }
+
+  /**
+   * Permanently delete a document by ID, even if soft deletion is enabled.
+   * @async
+   * @param {string} id - The document's unique identifier.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
+   * @returns {Promise<Object>} The deleted document.
+   */
+  async hardDelete(id, options = {}) {
+    const deletedDocument = await this.model.findByIdAndDelete(id, options);
     return deletedDocument;
   }
 
+  /**
+   * Find a soft-deleted document by its ID.
+   * @async
+   * @param {string} id - The document's unique identifier.
+   * @returns {Promise<Object|null>} The document, or `null` if it doesn't exist or isn't deleted.
+   */
+  async readDeleted(id) {
+    return await this.model.findOne({ _id: id, deletedAt: { $ne: null } });
+  }
+
+  /**
+   * Undo the soft deletion of a document.
+   * @async
+   * @param {string} id - The document's unique identifier.
+   * @returns {Promise<Object|null>} The restored document, or `null` if it wasn't deleted.
+   * @throws {ConflictError} If the document breaks a unique index (see `duplicateMessage`).
+   */
+  async restore(id) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { _id: id, deletedAt: { $ne: null } },
+        { deletedAt: null },
+        { new: true },
+      );
+    } catch (err) {
+      throw this.duplicateError(err);
+    }
+  }
+
+  /**
+   * Permanently delete every document soft-deleted before a date.
+   * @async
+   * @param {Date} before - Documents deleted before this date are purged.
+   * @returns {Promise<number>} Number of documents purged.
+   */
+  async purgeDeleted(before) {
+    const result = await this.model.deleteMany({
+      deletedAt: { $ne: null, $lt: before },
+    });
+    return result.deletedCount;
+  }
+
   /**
    * Retrieve all documents matching the given filter.
    * @async
@@ -71,8 +223,112 @@ class GlobalDAO {
    * @throws {Error} If database errors occur.
    */
   async getAll(filter = {}) {
-    return await this.model.find(filter);
+    return await this.model.find(this.notDeleted(filter));
   }
+
+  /**
+   * Retrieve one page of documents matching the given filter.
+   *
+   * Uses cursor (keyset) pagination: the cursor is the ID of the last document
+   * of the previous page, so pages stay consistent while documents are added
+   * or removed. `_id` is always used as the last sort key to break ties.
+   *
+   * @async
+   * @param {Object} [filter={}] - MongoDB filter object.
+   * @param {Object} [options={}] - Pagination options (see `utils/queryParser.js`).
+   * @param {Array<[string, number]>} [options.sort] - Sort fields and directions (1 or -1).
+   * @param {number} [options.limit=50] - Page size.
+   * @param {import("mongoose").Types.ObjectId} [options.cursor] - ID of the last document of the previous page.
+   * @param {Object<string, *>} [options.sortExpressions] - Overrides the expressions of
+   * `sortableFields` for this query (e.g. when the order depends on the parent document).
+   * @returns {Promise<{ items: Array, nextCursor: (string|null) }>} The page and the cursor of the next one.
+   * @throws {QueryError} If the cursor doesn't belong to the filtered results.
+   */
+  async paginate(
+    filter = {},
+    { sort, limit = 50, cursor, sortExpressions = {} } = {},
+  ) {
+    const match = this.model.find().cast(this.model, this.notDeleted(filter));
+    const keys = (sort && sort.length ? sort : this.defaultSort).map(
+      ([field, direction], i) => ({
+        name: `_sort${i}`,
+        expr:
+          sortExpressions[field] ?? this.sortableFields[field] ?? `$${field}`,
+        direction,
+      }),
+    );
+    keys.push({ name: "_id", expr: "$_id", direction: 1 });
+
+    const sortKeys = {};
+    for (const key of keys) {
+      if (key.name !== "_id") sortKeys[key.name] = key.expr;
+    }
+
+    const pipeline = [{ $match: match }, { $addFields: sortKeys }];
+
+    if (cursor) {
+      const [last] = await this.model.aggregate([
+        { $match: { ...match, _id: cursor } },
+        { $addFields: sortKeys },
+      ]);
+      if (!last) throw new QueryError("Cursor no válido");
+      pipeline.push({ $match: keysetCondition(keys, last) });
+    }
+
+    pipeline.push(
+      { $sort: Object.fromEntries(keys.map((k) => [k.name, k.direction])) },
+      { $limit: limit + 1 },
+      {
+        $project: Object.fromEntries(Object.keys(sortKeys).map((k) => [k, 0])),
+      },
+    );
+    if (Object.keys(this.computedFields).length) {
+      pipeline.push({ $addFields: this.computedFields });
+    }
+
+    const documents = await this.model.aggregate(pipeline);
+    const items = documents.slice(0, limit);
+    const nextCursor =
+      documents.length > limit
+        ? encodeCursor(items[items.length - 1]._id)
+        : null;
+
+    return { items, nextCursor };
+  }
+}
+
+/**
+ * Builds the condition that matches the documents placed after `last`
+ * in the order defined by `keys`:
+ * (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ...
+ *
+ * MongoDB sorts `null` before any other value, which is taken into account
+ * since `$gt`/`$lt` never match `null`.
+ *
+ * @param {Array<{ name: string, direction: number }>} keys - Sort keys.
+ * @param {Object} last - Last document of the previous page, with its sort keys.
+ * @returns {Object} MongoDB filter.
+ */
+function keysetCondition(keys, last) {
+  const branches = [];
+  const equals = {};
+
+  for (const { name, direction } of keys) {
+    const value = last[name] ?? null;
+    let after;
+    if (value === null) {
+      after = direction === 1 ? { [name]: { $ne: null } } : null;
+    } else if (direction === 1) {
+      after = { [name]: { $gt: value } };
+    } else {
+      after = { $or: [{ [name]: { $lt: value } }, { [name]: null }] };
+    }
+
+    if (after) branches.push({ ...equals, ...after });
+    equals[name] = value;
+  }
+
+  return branches.length ? { $or: branches } : { _id: null };
 }
 
 /**
@@ -0,0 +1,55 @@
+const Label = require("../models/label");
+const GlobalDAO = require("./globalDAO");
+
+/**
+ * Data Access Object (DAO) for the Label model.
+ *
+ * Extends the generic {@link GlobalDAO} class to provide
+ * database operations (create, read, update, delete, getAll)
+ * specifically for Label documents.
+ */
+class LabelDAO extends GlobalDAO {
+  /**
+   * Create a new LabelDAO instance.
+   *
+   * Passes the Label Mongoose model to the parent class so that
+   * all inherited CRUD methods operate on the Label collection.
+   */
+  constructor() {
+    super(Label);
+
+    this.duplicateMessage = "Ya existe una etiqueta con ese nombre";
+  }
+
+  /**
+   * Returns the labels of a user sorted by name.
+   *
+   * @async
+   * @param {string} userId - ID of the user.
+   * @returns {Promise<Array>} Labels of the user.
+   */
+  async getUserLabels(userId) {
+    return this.model.find({ user: userId }).sort({ name: 1 });
+  }
+
+  /**
+   * Counts how many of the given labels belong to a user.
+   *
+   * @async
+   * @param {string} userId - ID of the user.
+   * @param {Array<string>} labelIds - IDs of the labels.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
+   * @returns {Promise<number>} Number of labels owned by the user.
+   */
+  async countUserLabels(userId, labelIds, options = {}) {
+    return this.model.countDocuments(
+      { _id: { $in: labelIds }, user: userId },
+      options,
+    );
+  }
+}
+
+/**
+ * Export a singleton instance of LabelDAO.
+ */
+module.exports = new LabelDAO();
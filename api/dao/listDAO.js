@@ -1,5 +1,11 @@
 const List = require("../models/list");
 const GlobalDAO = require("./globalDAO");
+const { parseDate } = require("../utils/queryParser");
+
+/**
+ * Maximum length of a list title (see the List model).
+ */
+const MAX_TITLE_LENGTH = 30;
 
 /**
  * Data Access Object (DAO) for the List model.
@@ -17,6 +23,191 @@ class ListDAO extends GlobalDAO {
    */
   constructor() {
     super(List);
+
+    this.filters = {
+      createdAfter: (value) => ({
+        createdAt: { $gte: parseDate(value, "createdAfter") },
+      }),
+    };
+    this.sortableFields = {
+      title: "$title",
+      createdAt: "$createdAt",
+      updatedAt: "$updatedAt",
+    };
+    this.defaultSort = [["createdAt", 1]];
+    this.softDelete = true;
+    this.duplicateMessage = "Ya existe una lista con ese título";
+  }
+
+  /**
+   * Returns every list a user owns or is a member of.
+   *
+   * @async
+   * @param {string} userId - ID of the user.
+   * @returns {Promise<Array>} Lists the user can access.
+   */
+  async getAccessibleLists(userId) {
+    return this.model.find(
+      this.notDeleted({
+        $or: [{ user: userId }, { "members.user": userId }],
+      }),
+    );
+  }
+
+  /**
+   * Returns the IDs of every list a user owns or is a member of.
+   *
+   * @async
+   * @param {string} userId - ID of the user.
+   * @param {"viewer"|"editor"} [minRole="viewer"] - Only lists where the user's
+   * membership grants at least this role (owned lists are always included).
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
+   * @returns {Promise<Array>} IDs of the lists the user can access.
+   */
+  async getAccessibleListIds(userId, minRole = "viewer", options = {}) {
+    const membership =
+      minRole === "editor"
+        ? { members: { $elemMatch: { user: userId, role: "editor" } } }
+        : { "members.user": userId };
+    const lists = await this.model.find(
+      this.notDeleted({ $or: [{ user: userId }, membership] }),
+      { _id: 1 },
+      options,
+    );
+    return lists.map((list) => list._id);
+  }
+
+  /**
+   * Returns the title a copy of a list gets: "Tasks (copy)", or
+   * "Tasks (copy 2)", "Tasks (copy 3)"... when the previous ones are taken
+   * by other lists of the same user. Copying a copy numbers it from the
+   * original title instead of nesting suffixes.
+   *
+   * @async
+   * @param {string} title - Title of the list being copied.
+   * @param {string} userId - ID of the owner of the copy.
+   * @returns {Promise<string>} Title not used by any other list of the user.
+   */
+  async getCopyTitle(title, userId) {
+    const copySuffix = / \(copy(?: \d+)?\)$/;
+    const base = title.replace(copySuffix, "");
+    const copies = await this.getAll({ user: userId, title: copySuffix });
+    const taken = new Set(copies.map((list) => list.title));
+
+    for (let n = 1; ; n++) {
+      const suffix = n === 1 ? " (copy)" : ` (copy ${n})`;
+      const candidate =
+        base.slice(0, MAX_TITLE_LENGTH - suffix.length).trimEnd() + suffix;
+      if (!taken.has(candidate)) return candidate;
+    }
+  }
+
+  /**
+   * Returns the lists a user owns with any of the given titles.
+   *
+   * @async
+   * @param {string} userId - ID of the user.
+   * @param {Array<string>} titles - Titles to look for.
+   * @returns {Promise<Array>} Lists found (at most one per title).
+   */
+  async getUserListsByTitle(userId, titles) {
+    return this.getAll({ user: userId, title: { $in: titles } });
+  }
+
+  /**
+   * Returns the soft-deleted lists owned by a user.
+   *
+   * @async
+   * @param {string} userId - ID of the user.
+   * @returns {Promise<Array>} Deleted lists, most recently deleted first.
+   */
+  async getDeletedLists(userId) {
+    return this.model
+      .find({ user: userId, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 });
+  }
+
+  /**
+   * Searches lists by text in their title.
+   *
+   * @async
+   * @param {string} text - Text to search for.
+   * @param {Array} listIds - Lists the search is restricted to.
+   * @param {number} [limit=20] - Maximum number of results.
+   * @returns {Promise<Array>} Matching lists sorted by relevance, with their `score`.
+   */
+  async search(text, listIds, limit = 20) {
+    return this.model
+      .find(
+        this.notDeleted({ $text: { $search: text }, _id: { $in: listIds } }),
+        { score: { $meta: "textScore" } },
+      )
+      .sort({ score: { $meta: "textScore" } })
+      .limit(limit);
+  }
+
+  /**
+   * Returns a list with its owner and members populated with their public profile.
+   *
+   * @async
+   * @param {string} listId - ID of the list.
+   * @returns {Promise<Object|null>} The populated list, or `null` if it does not exist.
+   */
+  async getWithMembers(listId) {
+    return this.model
+      .findOne(this.notDeleted({ _id: listId }))
+      .populate("user", "firstName lastName email")
+      .populate("members.user", "firstName lastName email");
+  }
+
+  /**
+   * Shares a list with a user.
+   *
+   * @async
+   * @param {string} listId - ID of the list.
+   * @param {string} userId - ID of the user to add.
+   * @param {"editor"|"viewer"} role - Role granted to the user.
+   * @returns {Promise<Object|null>} The updated list, or `null` if the user was already a member.
+   */
+  async addMember(listId, userId, role) {
+    return this.model.findOneAndUpdate(
+      this.notDeleted({ _id: listId, "members.user": { $ne: userId } }),
+      { $push: { members: { user: userId, role } } },
+      { new: true, runValidators: true },
+    );
+  }
+
+  /**
+   * Changes the role of a list member.
+   *
+   * @async
+   * @param {string} listId - ID of the list.
+   * @param {string} userId - ID of the member.
+   * @param {"editor"|"viewer"} role - New role.
+   * @returns {Promise<Object|null>} The updated list, or `null` if the user is not a member.
+   */
+  async updateMemberRole(listId, userId, role) {
+    return this.model.findOneAndUpdate(
+      this.notDeleted({ _id: listId, "members.user": userId }),
+      { $set: { "members.$.role": role } },
+      { new: true, runValidators: true },
+    );
+  }
+
+  /**
+   * Removes a member from a list.
+   *
+   * @async
+   * @param {string} listId - ID of the list.
+   * @param {string} userId - ID of the member.
+   * @returns {Promise<Object|null>} The updated list, or `null` if the user is not a member.
+   */
+  async removeMember(listId, userId) {
+    return this.model.findOneAndUpdate(
+      this.notDeleted({ _id: listId, "members.user": userId }),
+      { $pull: { members: { user: userId } } },
+      { new: true },
+    );
   }
 }
 
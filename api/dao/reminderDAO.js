@@ -0,0 +1,45 @@
+const Reminder = require("../models/reminder");
+const GlobalDAO = require("./globalDAO");
+
+/**
+ * Data Access Object (DAO) for the Reminder model.
+ *
+ * Extends the generic {@link GlobalDAO} class to provide
+ * database operations (create, read, update, delete, getAll)
+ * specifically for Reminder documents.
+ */
+class ReminderDAO extends GlobalDAO {
+  /**
+   * Create a new ReminderDAO instance.
+   *
+   * Passes the Reminder Mongoose model to the parent class so that
+   * all inherited CRUD methods operate on the Reminder collection.
+   */
+  constructor() {
+    super(Reminder);
+  }
+
+  /**
+   * Records a reminder before sending it.
+   *
+   * Relies on the unique index of the collection, so only one process
+   * can claim the same reminder.
+   *
+   * @async
+   * @param {Object} data - `task`, `user`, `dueDate` and `offset` of the reminder.
+   * @returns {Promise<Object|null>} The reminder record, or `null` if it was already claimed.
+   */
+  async claim(data) {
+    try {
+      return await this.create(data);
+    } catch (err) {
+      if (err.code === 11000) return null;
+      throw err;
+    }
+  }
+}
+
+/**
+ * Export a singleton instance of ReminderDAO.
+ */
+module.exports = new ReminderDAO();
@@ -0,0 +1,97 @@
+const Session = require("../models/session");
+const GlobalDAO = require("./globalDAO");
+
+/**
+ * Data Access Object (DAO) for the Session model.
+ *
+ * Extends the generic {@link GlobalDAO} class to provide
+ * database operations (create, read, update, delete, getAll)
+ * specifically for Session documents.
+ */
+class SessionDAO extends GlobalDAO {
+  /**
+   * Create a new SessionDAO instance.
+   *
+   * Passes the Session Mongoose model to the parent class so that
+   * all inherited CRUD methods operate on the Session collection.
+   */
+  constructor() {
+    super(Session);
+  }
+
+  /**
+   * Finds a session that has not been revoked and has not expired yet.
+   *
+   * @async
+   * @param {string} sessionId - ID of the session.
+   * @returns {Promise<Object|null>} The session document, or `null` if it is not active.
+   */
+  async findActive(sessionId) {
+    return this.model.findOne({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+  }
+
+  /**
+   * Replaces the refresh token hash of a session, but only if it still holds
+   * the expected hash. This prevents two concurrent refreshes with the same
+   * token from both succeeding.
+   *
+   * @async
+   * @param {string} sessionId - ID of the session.
+   * @param {string} expectedHash - Hash the session must currently hold.
+   * @param {Object} updateData - New `refreshTokenHash` plus device info to store.
+   * @returns {Promise<Object|null>} The updated session, or `null` if the hash did not match.
+   */
+  async rotate(sessionId, expectedHash, updateData) {
+    return this.model.findOneAndUpdate(
+      { _id: sessionId, refreshTokenHash: expectedHash, revokedAt: null },
+      { ...updateData, lastUsedAt: new Date() },
+      { new: true },
+    );
+  }
+
+  /**
+   * Marks a single session as revoked.
+   *
+   * @async
+   * @param {string} sessionId - ID of the session to revoke.
+   * @param {string} reason - Why the session was revoked.
+   * @returns {Promise<Object|null>} The revoked session, or `null` if it was already revoked.
+   */
+  async revoke(sessionId, reason) {
+    return this.model.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason },
+      { new: true },
+    );
+  }
+
+  /**
+   * Marks every active session of a user as revoked.
+   *
+   * @async
+   * @param {string} userId - ID of the user.
+   * @param {string} reason - Why the sessions were revoked.
+   * @param {string} [exceptSessionId] - Session kept active (e.g. the current one).
+   * @returns {Promise<number>} Number of sessions revoked.
+   */
+  async revokeAllForUser(userId, reason, exceptSessionId) {
+    const result = await this.model.updateMany(
+      {
+        user: userId,
+        revokedAt: null,
+        ...(exceptSessionId && { _id: { $ne: exceptSessionId } }),
+      },
+      { revokedAt: new Date(), revokedReason: reason },
+    );
+    return result.modifiedCount;
+  }
+}
+
+/**
+ * Export a singleton instance of SessionDAO.
+ */
+module.exports = new SessionDAO();
@@ -1,6 +1,280 @@
 const mongoose = require("mongoose");
 const Task = require("../models/task");
+const List = require("../models/list");
+const Label = require("../models/label");
 const GlobalDAO = require("./globalDAO");
+const ListDAO = require("./listDAO");
+const { nextOccurrence } = require("../utils/recurrence");
+const { rankBetween } = require("../utils/rank");
+const {
+  DEFAULT_STATUSES,
+  OPEN_TASK_FILTER,
+  findStatus,
+  getDefaultStatus,
+  getStatuses,
+  invalidStatusMessage,
+  isCompleted,
+  mapStatus,
+  statusOrderExpr,
+} = require("../utils/workflow");
+const {
+  QueryError,
+  parseDate,
+  parseBoolean,
+  parseEnumList,
+  parseObjectId,
+} = require("../utils/queryParser");
+
+/**
+ * Valid task priorities, from least to most important.
+ */
+const TASK_PRIORITIES = ["none", "low", "medium", "high", "urgent"];
+
+/**
+ * How the `labels` filter matches tasks: with `any` of the labels or with `all` of them.
+ */
+const LABEL_MODES = ["any", "all"];
+
+/**
+ * Aggregation expression that ranks statuses in the order of the default
+ * workflow (ongoing, unassigned, done), used when tasks of several lists are
+ * sorted together. Custom statuses go last.
+ */
+const STATUS_ORDER_EXPR = statusOrderExpr(DEFAULT_STATUSES);
+
+/**
+ * Fields of a list needed to resolve the statuses of its tasks.
+ */
+const WORKFLOW_FIELDS = { statuses: 1, defaultStatus: 1 };
+
+/**
+ * Aggregation expression that weighs priorities from 0 (none) to 4 (urgent),
+ * so sorting by it descending puts the most important tasks first.
+ */
+const PRIORITY_WEIGHT_EXPR = {
+  $switch: {
+    branches: TASK_PRIORITIES.map((priority, weight) => ({
+      case: { $eq: ["$priority", priority] },
+      then: weight,
+    })),
+    default: 0,
+  },
+};
+
+/**
+ * Aggregation expression that places tasks without due date last.
+ */
+const DUE_DATE_SORT_EXPR = { $ifNull: ["$dueDate", new Date("9999-12-31")] };
+
+/**
+ * Aggregation expressions that sort tasks by their manual position,
+ * placing tasks that were never positioned last ("~" sorts after any rank).
+ */
+const POSITION_SORT_EXPR = { $ifNull: ["$position", "~"] };
+const BOARD_POSITION_SORT_EXPR = { $ifNull: ["$boardPosition", "~"] };
+
+/**
+ * Aggregation expression equivalent to the `completionRatio` virtual
+ * of the Task model (aggregations don't apply virtuals).
+ */
+const COMPLETION_RATIO_EXPR = {
+  $let: {
+    vars: { subtasks: { $ifNull: ["$subtasks", []] } },
+    in: {
+      $cond: [
+        { $gt: [{ $size: "$$subtasks" }, 0] },
+        {
+          $divide: [
+            {
+              $size: { $filter: { input: "$$subtasks", cond: "$$this.done" } },
+            },
+            { $size: "$$subtasks" },
+          ],
+        },
+        null,
+      ],
+    },
+  },
+};
+
+/**
+ * Aggregation expression that tells whether a task is completed. Tasks saved
+ * before workflows existed don't have `completed`, and were completed when `done`.
+ */
+const COMPLETED_EXPR = {
+  $cond: [
+    { $eq: [{ $type: "$completed" }, "bool"] },
+    "$completed",
+    { $eq: ["$status", "done"] },
+  ],
+};
+
+/**
+ * Returns the update pipeline stage that puts tasks into a status of a
+ * workflow. `completedAt` is stamped on the tasks that become completed
+ * and cleared on the ones that are reopened; completed tasks keep theirs.
+ * @param {{ key: string, done: boolean }} status - Status the tasks get.
+ * @param {Object} [fields={}] - Other fields to set.
+ * @returns {Object} `$set` stage.
+ */
+function statusStage(status, fields = {}) {
+  return {
+    $set: {
+      ...fields,
+      status: status.key,
+      completed: status.done,
+      completedAt: status.done
+        ? { $cond: [COMPLETED_EXPR, "$completedAt", "$$NOW"] }
+        : null,
+    },
+  };
+}
+
+/**
+ * Returns the `completedAt` a task gets when it is put into a status.
+ * It is stamped when the task becomes completed; completed tasks keep
+ * theirs, even none (e.g. copies, see {@link copyOf}).
+ * @param {Object} task - Task with its current `status`, `completed` and `completedAt`.
+ * @param {{ done: boolean }} status - Status the task gets.
+ * @returns {Date|null} Completion date.
+ */
+function completedAtFor(task, status) {
+  if (!status.done) return null;
+  return isCompleted(task) ? (task.completedAt ?? null) : new Date();
+}
+
+/**
+ * Parses the `status` query parameter: a comma separated list of status keys.
+ * Statuses depend on each list, so only their format is checked.
+ * @param {string} value - Raw value (e.g. "ongoing,review").
+ * @returns {Array<string>} Status keys.
+ * @throws {QueryError} If any key is malformed.
+ */
+function parseStatusList(value) {
+  const keys = String(value).split(",").filter(Boolean);
+  if (
+    keys.length === 0 ||
+    !keys.every((key) => /^[a-z0-9_-]{1,20}$/.test(key))
+  ) {
+    throw new QueryError(
+      "status debe ser una lista de estados separados por coma",
+    );
+  }
+  return keys;
+}
+
+/**
+ * Builds the validation error of a single field, shaped like the ones
+ * Mongoose throws when saving a document.
+ * @param {string} path - Invalid field.
+ * @param {string} message - Message of the error.
+ * @param {*} value - Invalid value.
+ * @returns {import("mongoose").Error.ValidationError} The error.
+ */
+function fieldError(path, message, value) {
+  const error = new mongoose.Error.ValidationError();
+  error.addError(
+    path,
+    new mongoose.Error.ValidatorError({ path, message, value }),
+  );
+  return error;
+}
+
+/**
+ * Applies the rules of recurring tasks to an update, as the Task model does
+ * on save: a recurring task needs a due date, starts a new series if it
+ * wasn't in one, and monthly rules pin the day of the month of the due date
+ * so short months don't make the series drift.
+ * @param {Object} task - Current task (needs `_id`, `dueDate`, `recurrence` and `seriesId`).
+ * @param {Object} updateData - Update to apply.
+ * @returns {Object} The update, completed with `seriesId` and `byMonthDay` if needed.
+ * @throws {import("mongoose").Error.ValidationError} If the task would recur without a due date.
+ */
+function withRecurrenceRules(task, updateData) {
+  const recurrence =
+    updateData.recurrence !== undefined
+      ? updateData.recurrence
+      : task.recurrence;
+  if (!recurrence || !recurrence.frequency) return updateData;
+
+  const dueDate =
+    updateData.dueDate !== undefined ? updateData.dueDate : task.dueDate;
+  if (!dueDate) {
+    throw fieldError(
+      "dueDate",
+      "Una tarea recurrente debe tener fecha de vencimiento",
+      dueDate,
+    );
+  }
+
+  const updates = { ...updateData };
+  if (!task.seriesId) updates.seriesId = task._id;
+  if (
+    updateData.recurrence &&
+    recurrence.frequency === "monthly" &&
+    !recurrence.byMonthDay
+  ) {
+    updates.recurrence = {
+      ...recurrence,
+      byMonthDay: new Date(dueDate).getUTCDate(),
+    };
+  }
+  return updates;
+}
+
+/**
+ * Returns the fields a copy of a task starts with.
+ *
+ * The copy belongs to the given list and user, keeps the content, status
+ * (mapped to the workflow of the list, see {@link mapStatus}), due date and
+ * checklist of the original, and starts its own series when the original
+ * is recurring. `completedAt` is set to `null` rather than copied or
+ * stamped, since a copy is not a new completion (see the Task model's
+ * validate hook). Labels are translated to the ones of the user
+ * (see {@link TaskDAO#copierLabels}).
+ *
+ * @param {Object} task - Task to copy.
+ * @param {Object} list - List the copy belongs to.
+ * @param {string} userId - ID of the user who makes the copy.
+ * @param {Map<string, Object>} labelMap - Label the copy gets for each label ID of the original.
+ * @returns {Object} Data of the copy.
+ */
+function copyOf(task, list, userId, labelMap) {
+  const _id = new mongoose.Types.ObjectId();
+  const recurrence =
+    task.recurrence && task.recurrence.toObject
+      ? task.recurrence.toObject()
+      : task.recurrence;
+
+  return {
+    _id,
+    title: task.title,
+    description: task.description,
+    status: mapStatus(task, list),
+    priority: task.priority,
+    dueDate: task.dueDate,
+    list: list._id,
+    user: userId,
+    recurrence: recurrence || null,
+    seriesId: recurrence && recurrence.frequency ? _id : null,
+    reminderOffsets: task.reminderOffsets,
+    completedAt: null,
+    labels: [
+      ...new Set(
+        (task.labels || [])
+          .map((id) => labelMap.get(id.toString()))
+          .filter(Boolean)
+          .map((id) => id.toString()),
+      ),
+    ],
+    // Tasks saved before subtasks existed don't have the field
+    subtasks: (task.subtasks || []).map((s) => ({
+      title: s.title,
+      done: s.done,
+      order: s.order,
+    })),
+  };
+}
 
 /**
  * Data Access Object (DAO) for the Task model.
@@ -18,45 +292,1213 @@ class TaskDAO extends GlobalDAO {
    */
   constructor() {
     super(Task);
+
+    this.filters = {
+      status: (value) => ({ status: { $in: parseStatusList(value) } }),
+      priority: (value) => ({
+        priority: { $in: parseEnumList(value, TASK_PRIORITIES, "priority") },
+      }),
+      list: (value) => ({ list: parseObjectId(value, "list") }),
+      dueBefore: (value) => ({
+        dueDate: { $lte: parseDate(value, "dueBefore") },
+      }),
+      dueAfter: (value) => ({
+        dueDate: { $gte: parseDate(value, "dueAfter") },
+      }),
+      overdue: (value) => {
+        const overdue = {
+          $and: [{ dueDate: { $lt: new Date() } }, OPEN_TASK_FILTER],
+        };
+        return parseBoolean(value, "overdue") ? overdue : { $nor: [overdue] };
+      },
+      createdAfter: (value) => ({
+        createdAt: { $gte: parseDate(value, "createdAfter") },
+      }),
+      labels: (value, query) => {
+        const ids = String(value)
+          .split(",")
+          .filter(Boolean)
+          .map((id) => parseObjectId(id, "labels"));
+        const [mode] = query.labelMode
+          ? parseEnumList(query.labelMode, LABEL_MODES, "labelMode")
+          : ["any"];
+        return { labels: mode === "all" ? { $all: ids } : { $in: ids } };
+      },
+    };
+    this.sortableFields = {
+      title: "$title",
+      status: STATUS_ORDER_EXPR,
+      priority: PRIORITY_WEIGHT_EXPR,
+      dueDate: DUE_DATE_SORT_EXPR,
+      createdAt: "$createdAt",
+      updatedAt: "$updatedAt",
+      position: POSITION_SORT_EXPR,
+      boardPosition: BOARD_POSITION_SORT_EXPR,
+    };
+    this.defaultSort = [
+      ["status", 1],
+      ["dueDate", 1],
+    ];
+    this.computedFields = { completionRatio: COMPLETION_RATIO_EXPR };
+    this.softDelete = true;
+  }
+
+  /**
+   * Create and persist a new task.
+   *
+   * Unless given, the task gets the default status of its list and is placed
+   * at the end of its list and at the end of its kanban column
+   * (see {@link boardPositionAtEnd}).
+   *
+   * @async
+   * @param {Object} data - The data used to create the task.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
+   * @returns {Promise<Object>} The created task.
+   */
+  async create(data, options = {}) {
+    let status = data.status;
+    if (!status) {
+      const list = await List.findById(data.list, WORKFLOW_FIELDS, options);
+      status = getDefaultStatus(list);
+    }
+
+    return super.create(
+      {
+        ...data,
+        status,
+        position:
+          data.position ??
+          (await this.positionAtEnd("position", { list: data.list }, options)),
+        boardPosition:
+          data.boardPosition ??
+          (await this.boardPositionAtEnd(status, data.user, options)),
+      },
+      options,
+    );
+  }
+
+  /**
+   * Update a task by ID.
+   *
+   * When the update changes the status, it must be one of the statuses of
+   * the task's list (or of `updateData.list` when the task also moves), and
+   * `completed` and `completedAt` are kept in sync with it. When it changes
+   * the recurrence or the due date, the rules of recurring tasks are applied
+   * (see {@link withRecurrenceRules}). Both as the Task model does on save.
+   *
+   * @async
+   * @param {string} id - The task's unique identifier.
+   * @param {Object} updateData - The data to update the task with.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
+   * @returns {Promise<Object|null>} The updated task.
+   * @throws {import("mongoose").Error.ValidationError} If the status is not
+   * valid, or the task would recur without a due date.
+   */
+  async update(id, updateData, options = {}) {
+    if (
+      updateData.status === undefined &&
+      updateData.recurrence === undefined &&
+      updateData.dueDate === undefined
+    ) {
+      return super.update(id, updateData, options);
+    }
+
+    const task = await this.model.findOne(
+      this.notDeleted({ _id: id }),
+      {
+        list: 1,
+        status: 1,
+        completed: 1,
+        completedAt: 1,
+        dueDate: 1,
+        recurrence: 1,
+        seriesId: 1,
+      },
+      options,
+    );
+    if (!task) return null;
+
+    const updates = withRecurrenceRules(task, updateData);
+    if (updateData.status === undefined) {
+      return super.update(id, updates, options);
+    }
+
+    const list = await List.findById(
+      updateData.list ?? task.list,
+      WORKFLOW_FIELDS,
+      options,
+    );
+    const status = findStatus(list, updateData.status);
+    if (!status) {
+      throw fieldError("status", invalidStatusMessage(list), updateData.status);
+    }
+
+    return super.update(
+      id,
+      {
+        ...updates,
+        completed: status.done,
+        completedAt: completedAtFor(task, status),
+      },
+      options,
+    );
+  }
+
+  /**
+   * Applies a new workflow to the tasks of a list.
+   *
+   * Tasks in a status that no longer exists move to its replacement (or to
+   * the list's default status), and `completed` and `completedAt` are updated
+   * for the statuses whose `done` flag changed.
+   *
+   * @async
+   * @param {Object} list - List with its new `statuses` and `defaultStatus`.
+   * @param {Object<string, string>} [replacements={}] - Removed status key mapped to the key its tasks move to.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
+   * @returns {Promise<number>} Number of tasks updated.
+   */
+  async applyWorkflow(list, replacements = {}, options = {}) {
+    const used = await this.model.distinct(
+      "status",
+      { list: list._id },
+      options,
+    );
+    let modified = 0;
+
+    for (const key of used) {
+      const status =
+        findStatus(list, key) ||
+        findStatus(list, replacements[key]) ||
+        findStatus(list, getDefaultStatus(list));
+      const result = await this.model.updateMany(
+        {
+          list: list._id,
+          status: key,
+          $or: [
+            { status: { $ne: status.key } },
+            { completed: { $ne: status.done } },
+          ],
+        },
+        [statusStage(status)],
+        options,
+      );
+      modified += result.modifiedCount;
+    }
+
+    return modified;
+  }
+
+  /**
+   * Returns a position placed after every positioned task matching a filter.
+   *
+   * @async
+   * @param {"position"|"boardPosition"} field - Position field.
+   * @param {Object} filter - Tasks that share the order (a list, or a status
+   * column of one or more lists).
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
+   * @returns {Promise<string>} New position.
+   */
+  async positionAtEnd(field, filter, options = {}) {
+    const last = await this.model
+      .findOne(
+        this.notDeleted({ ...filter, [field]: { $ne: null } }),
+        { [field]: 1 },
+        options,
+      )
+      .sort({ [field]: -1 });
+    return rankBetween(last ? last[field] : null, null);
+  }
+
+  /**
+   * Returns a position placed after every task of a kanban column.
+   *
+   * The board of a user shows the tasks of every list they can access
+   * (see `TaskController.getKanbanTasks`), so the column spans all of them,
+   * as when tasks are moved within the board (see {@link reposition}).
+   *
+   * @async
+   * @param {string} status - Status key of the column.
+   * @param {string} userId - ID of the user whose board the task is placed in.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
+   * @returns {Promise<string>} New board position.
+   */
+  async boardPositionAtEnd(status, userId, options = {}) {
+    const listIds = await ListDAO.getAccessibleListIds(
+      userId,
+      "viewer",
+      options,
+    );
+    return this.positionAtEnd(
+      "boardPosition",
+      { status, list: { $in: listIds } },
+      options,
+    );
+  }
+
+  /**
+   * Gives a position to the tasks matching a filter that don't have one yet
+   * (tasks created before manual ordering existed), appending them in
+   * automatic order after the positioned ones.
+   *
+   * @async
+   * @param {"position"|"boardPosition"} field - Position field.
+   * @param {Object} filter - Tasks that share the order (a list or a status column).
+   * @returns {Promise<number>} Number of tasks positioned.
+   */
+  async assignMissingPositions(field, filter) {
+    const missing = await this.model.aggregate([
+      { $match: this.notDeleted({ ...filter, [field]: null }) },
+      {
+        $addFields: {
+          _statusOrder: STATUS_ORDER_EXPR,
+          _dueForSort: DUE_DATE_SORT_EXPR,
+        },
+      },
+      { $sort: { _statusOrder: 1, _dueForSort: 1, _id: 1 } },
+      { $project: { _id: 1 } },
+    ]);
+    if (missing.length === 0) return 0;
+
+    let rank = await this.positionAtEnd(field, filter);
+    const operations = missing.map((task, i) => {
+      if (i > 0) rank = rankBetween(rank, null);
+      return {
+        updateOne: { filter: { _id: task._id }, update: { [field]: rank } },
+      };
+    });
+    await this.model.bulkWrite(operations);
+    return missing.length;
+  }
+
+  /**
+   * Returns a position right before or right after another task,
+   * in the order shared by the tasks matching a filter.
+   *
+   * @async
+   * @param {"position"|"boardPosition"} field - Position field.
+   * @param {Object} filter - Tasks that share the order (a list or a status column).
+   * @param {string} anchorId - ID of the task to place the new position next to.
+   * @param {"before"|"after"} placement - Side of the anchor task.
+   * @param {string} [excludeId] - Task ignored as neighbour (the one being moved).
+   * @returns {Promise<string>} New position.
+   */
+  async positionNextTo(field, filter, anchorId, placement, excludeId) {
+    await this.assignMissingPositions(field, filter);
+
+    const anchor = await this.model.findById(anchorId, { [field]: 1 });
+    const anchorRank = anchor[field];
+    const before = placement === "before";
+
+    const neighbour = await this.model
+      .findOne(
+        this.notDeleted({
+          ...filter,
+          _id: { $ne: excludeId },
+          [field]: before ? { $lt: anchorRank } : { $gt: anchorRank },
+        }),
+        { [field]: 1 },
+      )
+      .sort({ [field]: before ? -1 : 1 });
+    const neighbourRank = neighbour ? neighbour[field] : null;
+
+    return before
+      ? rankBetween(neighbourRank, anchorRank)
+      : rankBetween(anchorRank, neighbourRank);
+  }
+
+  /**
+   * Moves a task to a new position of its list or of its kanban column,
+   * optionally changing its list and status at the same time.
+   *
+   * Only the moved task is written. When the task changes list (or status),
+   * it is also appended at the end of the other order it belongs to.
+   *
+   * @async
+   * @param {Object} task - Task document to move.
+   * @param {Object} move - Where the task is moved to.
+   * @param {string} move.list - ID of the list the task ends up in.
+   * @param {string} move.status - Status the task ends up with.
+   * @param {"list"|"board"} [move.view="list"] - Order the move refers to.
+   * @param {string} [move.anchorId] - Task the moved task is placed next to
+   * (must belong to the same list or column). Without it the task goes last.
+   * @param {"before"|"after"} [move.placement="after"] - Side of the anchor task.
+   * @param {Array} move.listIds - Lists visible in the kanban board of the user.
+   * @returns {Promise<Object|null>} The updated task.
+   */
+  async reposition(
+    task,
+    { list, status, view = "list", anchorId, placement = "after", listIds },
+  ) {
+    const updates = { list, status };
+    const listChanged = list.toString() !== task.list.toString();
+    const statusChanged = status !== task.status;
+
+    const [field, filter] =
+      view === "board"
+        ? ["boardPosition", { status, list: { $in: listIds } }]
+        : ["position", { list }];
+    updates[field] = anchorId
+      ? await this.positionNextTo(field, filter, anchorId, placement, task._id)
+      : await this.positionAtEnd(field, filter);
+
+    if (view === "board" && listChanged) {
+      updates.position = await this.positionAtEnd("position", { list });
+    }
+    if (view === "list" && statusChanged) {
+      updates.boardPosition = await this.positionAtEnd("boardPosition", {
+        status,
+        list: { $in: listIds },
+      });
+    }
+
+    return await this.update(task._id, updates);
+  }
+
+  /**
+   * Moves several tasks into another list, appending them at the end of it
+   * in the given order. Tasks whose status doesn't exist in the list get
+   * an equivalent one (see {@link mapStatus}).
+   *
+   * @async
+   * @param {Array} tasks - Task documents to move.
+   * @param {string} listId - ID of the list the tasks are moved to.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
+   * @returns {Promise<number>} Number of tasks moved.
+   */
+  async moveTasks(tasks, listId, options = {}) {
+    if (tasks.length === 0) return 0;
+
+    const list = await List.findById(listId, WORKFLOW_FIELDS, options);
+    let position = await this.positionAtEnd(
+      "position",
+      { list: listId },
+      options,
+    );
+    const operations = tasks.map((task, i) => {
+      if (i > 0) position = rankBetween(position, null);
+      const status = findStatus(list, mapStatus(task, list));
+      return {
+        updateOne: {
+          filter: this.notDeleted({ _id: task._id }),
+          update: {
+            list: listId,
+            position,
+            status: status.key,
+            completed: status.done,
+            completedAt: completedAtFor(task, status),
+          },
+        },
+      };
+    });
+
+    const result = await this.model.bulkWrite(operations, options);
+    return result.modifiedCount;
+  }
+
+  /**
+   * Creates a copy of a task.
+   *
+   * A copy in the same list is placed right after the original;
+   * a copy in another list goes last.
+   *
+   * @async
+   * @param {Object} task - Task document to copy.
+   * @param {string} listId - ID of the list the copy belongs to.
+   * @param {string} userId - ID of the user who makes the copy.
+   * @returns {Promise<Object>} The created copy.
+   */
+  async duplicate(task, listId, userId) {
+    const list = await List.findById(listId, WORKFLOW_FIELDS);
+    const labelMap = await this.copierLabels([task], userId);
+    const data = copyOf(task, list, userId, labelMap);
+    if (task.list.toString() === listId.toString()) {
+      data.position = await this.positionNextTo(
+        "position",
+        { list: task.list },
+        task._id,
+        "after",
+      );
+    }
+    return await this.create(data);
+  }
+
+  /**
+   * Copies several tasks into a list, appending them at the end of it in the
+   * given order. Each copy also goes last in its kanban column.
+   *
+   * @async
+   * @param {Array} tasks - Tasks to copy.
+   * @param {Object} list - List the copies belong to.
+   * @param {string} userId - ID of the user who makes the copies.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
+   * @returns {Promise<Array>} The created copies.
+   */
+  async copyTasks(tasks, list, userId, options = {}) {
+    const labelMap = await this.copierLabels(tasks, userId, options);
+    return await this.insertAtEnd(
+      list,
+      tasks.map((task) => copyOf(task, list, userId, labelMap)),
+      options,
+    );
+  }
+
+  /**
+   * Maps the labels of tasks a user copies to labels the user owns.
+   *
+   * Users can only see and use their own labels (see `LabelDAO`), so the
+   * labels of other users are replaced by the user's label with the same
+   * name, or dropped if the user has none.
+   *
+   * @async
+   * @param {Array} tasks - Tasks being copied.
+   * @param {string} userId - ID of the user who makes the copies.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
+   * @returns {Promise<Map<string, Object>>} ID of the label each copied label
+   * ID becomes. Labels that are dropped are left out.
+   */
+  async copierLabels(tasks, userId, options = {}) {
+    const ids = [
+      ...new Set(
+        tasks.flatMap((task) => (task.labels || []).map((id) => id.toString())),
+      ),
+    ];
+    const labelMap = new Map();
+    if (ids.length === 0) return labelMap;
+
+    const labels = await Label.find(
+      { _id: { $in: ids } },
+      { name: 1, user: 1 },
+      options,
+    );
+    const isOwn = (label) => label.user.toString() === userId.toString();
+    const foreign = labels.filter((label) => !isOwn(label));
+    const own = foreign.length
+      ? await Label.find(
+          { user: userId, name: { $in: foreign.map((label) => label.name) } },
+          { name: 1 },
+          options,
+        )
+      : [];
+    const byName = new Map(own.map((label) => [label.name, label._id]));
+
+    for (const label of labels) {
+      const mapped = isOwn(label) ? label._id : byName.get(label.name);
+      if (mapped) labelMap.set(label._id.toString(), mapped);
+    }
+    return labelMap;
+  }
+
+  /**
+   * Inserts several new tasks at the end of a list in the given order, each
+   * one also last in its kanban column (in the board of the user who creates
+   * them, see {@link boardPositionAtEnd}).
+   *
+   * `completed` and `completedAt` are resolved here from the list's workflow,
+   * since the list may have been created in the same transaction. Like the
+   * Task model, `completedAt` is stamped on done tasks unless given, even
+   * as `null`.
+   *
+   * @async
+   * @param {Object} list - List the tasks belong to.
+   * @param {Array<Object>} tasks - Data of the tasks, with a status of the list
+   * and the same `user`.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
+   * @returns {Promise<Array>} The created tasks.
+   */
+  async insertAtEnd(list, tasks, options = {}) {
+    if (tasks.length === 0) return [];
+
+    const listIds = await ListDAO.getAccessibleListIds(
+      tasks[0].user,
+      "viewer",
+      options,
+    );
+
+    let position = await this.positionAtEnd(
+      "position",
+      { list: list._id },
+      options,
+    );
+    const boardPositions = {};
+    const documents = [];
+    for (const [i, data] of tasks.entries()) {
+      const status =
+        findStatus(list, data.status) ||
+        findStatus(list, getDefaultStatus(list));
+      if (i > 0) position = rankBetween(position, null);
+      boardPositions[status.key] = boardPositions[status.key]
+        ? rankBetween(boardPositions[status.key], null)
+        : await this.positionAtEnd(
+            "boardPosition",
+            { status: status.key, list: { $in: listIds } },
+            options,
+          );
+      documents.push({
+        ...data,
+        list: list._id,
+        status: status.key,
+        completed: status.done,
+        completedAt: status.done
+          ? data.completedAt === undefined
+            ? new Date()
+            : data.completedAt
+          : null,
+        position,
+        boardPosition: boardPositions[status.key],
+      });
+    }
+
+    return await this.model.insertMany(documents, options);
+  }
+
+  /**
+   * Creates the next occurrence of a recurring task.
+   *
+   * The new task copies the title, description, list, recurrence rule and
+   * subtasks (unchecked) of the given one, with the next due date of the rule.
+   * Each occurrence can only generate its successor once, even if it is
+   * marked as done several times.
+   *
+   * @async
+   * @param {Object} task - Current occurrence of the series.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
+   * @returns {Promise<Object|null>} The new occurrence, or `null` if the task is not
+   * recurring, the series is over or the next occurrence already exists.
+   */
+  async createNextOccurrence(task, options = {}) {
+    if (!task.recurrence || !task.recurrence.frequency) return null;
+
+    const dueDate = nextOccurrence(
+      task.recurrence,
+      task.dueDate,
+      task.occurrenceIndex,
+    );
+
+    const claimed = await this.model.findOneAndUpdate(
+      { _id: task._id, nextOccurrenceCreated: { $ne: true } },
+      { nextOccurrenceCreated: true },
+      options,
+    );
+    if (!claimed || !dueDate) return null;
+
+    return await this.create(
+      {
+        title: task.title,
+        description: task.description,
+        priority: task.priority,
+        list: task.list,
+        user: task.user,
+        dueDate,
+        recurrence: task.recurrence.toObject
+          ? task.recurrence.toObject()
+          : task.recurrence,
+        seriesId: task.seriesId || task._id,
+        occurrenceIndex: (task.occurrenceIndex || 0) + 1,
+        subtasks: task.subtasks.map((s) => ({
+          title: s.title,
+          order: s.order,
+        })),
+      },
+      options,
+    );
+  }
+
+  /**
+   * Applies the same update to every occurrence of a series.
+   *
+   * A new monthly rule pins the day of the month of the given occurrence
+   * (see {@link withRecurrenceRules}).
+   *
+   * @async
+   * @param {Object} task - Occurrence of the series the update was made from.
+   * @param {Object} updateData - Fields to update.
+   * @returns {Promise<number>} Number of occurrences updated.
+   * @throws {import("mongoose").Error.ValidationError} If the series would recur without a due date.
+   */
+  async updateSeries(task, updateData) {
+    const result = await this.model.updateMany(
+      this.notDeleted({ seriesId: task.seriesId }),
+      withRecurrenceRules(task, updateData),
+      { runValidators: true },
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Soft-deletes every occurrence of a series.
+   *
+   * @async
+   * @param {string} seriesId - ID of the series.
+   * @returns {Promise<number>} Number of occurrences deleted.
+   */
+  async deleteSeries(seriesId) {
+    const result = await this.model.updateMany(this.notDeleted({ seriesId }), {
+      deletedAt: new Date(),
+    });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Soft-deletes every task of a list, flagging them as deleted together
+   * with the list so they come back when the list is restored.
+   *
+   * @async
+   * @param {string} listId - ID of the list.
+   * @param {Date} deletedAt - Deletion date, the same one stored in the list.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
+   * @returns {Promise<number>} Number of tasks deleted.
+   */
+  async deleteByList(listId, deletedAt, options = {}) {
+    const result = await this.model.updateMany(
+      this.notDeleted({ list: listId }),
+      { deletedAt, deletedWithList: true },
+      options,
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Moves every task of a list into another list, appending them at the end
+   * of it in their manual order (see {@link moveTasks}). Tasks whose status
+   * doesn't exist in that list get an equivalent one (see {@link mapStatus}).
+   *
+   * @async
+   * @param {string} fromListId - ID of the list the tasks are in.
+   * @param {string} toListId - ID of the list the tasks are moved to.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
+   * @returns {Promise<number>} Number of tasks moved.
+   */
+  async moveByList(fromListId, toListId, options = {}) {
+    const from = await List.findById(fromListId, WORKFLOW_FIELDS, options);
+    const tasks = await this.model.find(
+      this.notDeleted({ list: fromListId }),
+      { status: 1, completed: 1, completedAt: 1, position: 1 },
+      options,
+    );
+
+    // Tasks without a position go last, as in the manual order of the list
+    tasks.sort((a, b) => {
+      const rankA = a.position ?? "~";
+      const rankB = b.position ?? "~";
+      if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+      return a._id.toString() < b._id.toString() ? -1 : 1;
+    });
+
+    // Tasks saved before workflows existed are completed if their status was
+    for (const task of tasks) {
+      if (typeof task.completed !== "boolean") {
+        const source = findStatus(from, task.status);
+        task.completed = source ? source.done : undefined;
+      }
+    }
+
+    return this.moveTasks(tasks, toListId, options);
+  }
+
+  /**
+   * Finds the tasks that are not deleted but whose list no longer exists
+   * or is in the trash.
+   *
+   * @async
+   * @returns {Promise<Array>} Orphaned tasks, each with `listDeletedAt` set to the
+   * deletion date of its list (`null` if the list doesn't exist at all).
+   */
+  async getOrphanTasks() {
+    return this.model.aggregate([
+      { $match: this.notDeleted() },
+      {
+        $lookup: {
+          from: "lists",
+          localField: "list",
+          foreignField: "_id",
+          as: "_list",
+          pipeline: [{ $project: { deletedAt: 1 } }],
+        },
+      },
+      {
+        $match: {
+          $or: [{ _list: { $size: 0 } }, { "_list.deletedAt": { $ne: null } }],
+        },
+      },
+      {
+        $addFields: {
+          listDeletedAt: {
+            $ifNull: [{ $first: "$_list.deletedAt" }, null],
+          },
+        },
+      },
+      { $project: { _list: 0 } },
+    ]);
+  }
+
+  /**
+   * Detaches a label from every task, deleted ones included.
+   *
+   * @async
+   * @param {string} labelId - ID of the label.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
+   * @returns {Promise<number>} Number of tasks the label was removed from.
+   */
+  async removeLabel(labelId, options = {}) {
+    const result = await this.model.updateMany(
+      { labels: labelId },
+      { $pull: { labels: labelId } },
+      options,
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Restores the tasks that were deleted together with a list.
+   *
+   * @async
+   * @param {string} listId - ID of the list.
+   * @returns {Promise<number>} Number of tasks restored.
+   */
+  async restoreByList(listId) {
+    const result = await this.model.updateMany(
+      { list: listId, deletedAt: { $ne: null }, deletedWithList: true },
+      { deletedAt: null, deletedWithList: false },
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Counts the tasks that were deleted together with a list.
+   *
+   * @async
+   * @param {string} listId - ID of the list.
+   * @returns {Promise<number>} Number of tasks.
+   */
+  async countDeletedWithList(listId) {
+    return this.model.countDocuments({
+      list: listId,
+      deletedAt: { $ne: null },
+      deletedWithList: true,
+    });
+  }
+
+  /**
+   * Returns the tasks deleted one by one (not together with their list)
+   * from the given lists.
+   *
+   * @async
+   * @param {Array} listIds - IDs of the lists.
+   * @returns {Promise<Array>} Deleted tasks, most recently deleted first.
+   */
+  async getDeletedTasks(listIds) {
+    return this.model
+      .find({
+        list: { $in: listIds },
+        deletedAt: { $ne: null },
+        deletedWithList: { $ne: true },
+      })
+      .sort({ deletedAt: -1 });
+  }
+
+  /**
+   * Searches tasks by text in their title and description.
+   *
+   * Results are sorted by relevance and include the `_id` and `title`
+   * of the list each task belongs to.
+   *
+   * @async
+   * @param {string} text - Text to search for.
+   * @param {Object} options - Search options.
+   * @param {Array} options.listIds - Lists the search is restricted to.
+   * @param {string} [options.status] - Only tasks with this status.
+   * @param {Date} [options.dueFrom] - Only tasks due on or after this date.
+   * @param {Date} [options.dueTo] - Only tasks due on or before this date.
+   * @param {number} [options.limit=20] - Maximum number of results.
+   * @returns {Promise<Array>} Matching tasks with their `score`.
+   */
+  async search(text, { listIds, status, dueFrom, dueTo, limit = 20 }) {
+    const match = this.notDeleted({
+      $text: { $search: text },
+      list: { $in: listIds },
+    });
+    if (status) match.status = status;
+    if (dueFrom || dueTo) {
+      match.dueDate = {};
+      if (dueFrom) match.dueDate.$gte = dueFrom;
+      if (dueTo) match.dueDate.$lte = dueTo;
+    }
+
+    return this.model.aggregate([
+      { $match: match },
+      { $addFields: { score: { $meta: "textScore" } } },
+      { $sort: { score: -1 } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: "lists",
+          localField: "list",
+          foreignField: "_id",
+          as: "list",
+          pipeline: [{ $project: { title: 1 } }],
+        },
+      },
+      { $unwind: "$list" },
+      { $addFields: { completionRatio: COMPLETION_RATIO_EXPR } },
+    ]);
+  }
+
+  /**
+   * Returns a cursor over the tasks of some lists, for the account export.
+   * Tasks are read one by one, grouped by list and in the lists' manual order.
+   *
+   * @param {Array} listIds - IDs of the lists.
+   * @returns {import("mongoose").Cursor} Cursor over plain task objects.
+   */
+  getExportCursor(listIds) {
+    return this.model
+      .find(this.notDeleted({ list: { $in: listIds } }))
+      .sort({ list: 1, position: 1, _id: 1 })
+      .lean()
+      .cursor();
+  }
+
+  /**
+   * Returns every task with a due date of some lists, for the calendar feed.
+   *
+   * @async
+   * @param {Array} listIds - IDs of the lists.
+   * @returns {Promise<Array>} Plain task objects sorted by due date.
+   */
+  async getTasksWithDueDate(listIds) {
+    return this.model
+      .find(this.notDeleted({ list: { $in: listIds }, dueDate: { $ne: null } }))
+      .sort({ dueDate: 1 })
+      .lean();
+  }
+
+  /**
+   * Returns the open (not completed) tasks due within a date range, with their owner
+   * and list populated. Used by the reminder job.
+   *
+   * @async
+   * @param {Date} from - Start of the range (inclusive).
+   * @param {Date} to - End of the range (inclusive).
+   * @returns {Promise<Array>} Tasks not marked as done, due between `from` and `to`.
+   */
+  async getOpenTasksDueBetween(from, to) {
+    return this.model
+      .find(
+        this.notDeleted({
+          $and: [OPEN_TASK_FILTER],
+          dueDate: { $gte: from, $lte: to },
+        }),
+      )
+      .populate("user", "firstName email reminderOffsets verified")
+      .populate("list", "title");
+  }
+
+  /**
+   * Appends a subtask at the end of a task's checklist.
+   *
+   * @async
+   * @param {Object} task - Task document the subtask is added to.
+   * @param {string} title - Title of the new subtask.
+   * @returns {Promise<Object>} The saved task.
+   */
+  async addSubtask(task, title) {
+    const lastOrder = task.subtasks.reduce(
+      (max, s) => Math.max(max, s.order),
+      -1,
+    );
+    task.subtasks.push({ title, order: lastOrder + 1 });
+    return await task.save();
+  }
+
+  /**
+   * Flips the `done` flag of a subtask.
+   *
+   * @async
+   * @param {Object} task - Task document that contains the subtask.
+   * @param {string} subtaskId - ID of the subtask.
+   * @returns {Promise<Object|null>} The saved task, or `null` if the subtask does not exist.
+   */
+  async toggleSubtask(task, subtaskId) {
+    const subtask = task.subtasks.id(subtaskId);
+    if (!subtask) return null;
+    subtask.done = !subtask.done;
+    return await task.save();
+  }
+
+  /**
+   * Reorders a task's checklist following the given list of subtask IDs.
+   *
+   * @async
+   * @param {Object} task - Task document that contains the subtasks.
+   * @param {Array<string>} subtaskIds - Every subtask ID of the task, in the new order.
+   * @returns {Promise<Object|null>} The saved task, or `null` if the IDs don't match the task's subtasks.
+   */
+  async reorderSubtasks(task, subtaskIds) {
+    const current = task.subtasks.map((s) => s._id.toString());
+    const wanted = subtaskIds.map(String);
+    if (
+      wanted.length !== current.length ||
+      new Set(wanted).size !== wanted.length ||
+      !wanted.every((id) => current.includes(id))
+    ) {
+      return null;
+    }
+
+    for (const subtask of task.subtasks) {
+      subtask.order = wanted.indexOf(subtask._id.toString());
+    }
+    task.subtasks.sort((a, b) => a.order - b.order);
+    return await task.save();
+  }
+
+  /**
+   * Removes a subtask from a task's checklist.
+   *
+   * @async
+   * @param {Object} task - Task document that contains the subtask.
+   * @param {string} subtaskId - ID of the subtask.
+   * @returns {Promise<Object|null>} The saved task, or `null` if the subtask does not exist.
+   */
+  async deleteSubtask(task, subtaskId) {
+    const subtask = task.subtasks.id(subtaskId);
+    if (!subtask) return null;
+    subtask.deleteOne();
+    return await task.save();
   }
 
   /**
    * Returns all tasks associated with a list ordered by:
-   *  1) status (ongoing, unassigned, done)
+   *  1) status, in the order of the list's workflow (ongoing, unassigned, done by default)
    *  2) dueDate asc (tasks without dueDate will be last)
    *
+   * With the `priority` order, tasks are sorted by priority first (urgent to
+   * none) and then as above. With the `manual` order, by the position users
+   * gave them.
+   *
+   * Each task includes its subtasks' `completionRatio`.
+   *
    * @param {string} listId - ID of the list to get the tasks from.
+   * @param {Object} [options={}] - Options.
+   * @param {"auto"|"priority"|"manual"} [options.order="auto"] - Sort mode.
    * @returns {Promise<Array>} sorted tasks.
    */
-  async getTasksByListOrdered(listId) {
+  async getTasksByListOrdered(listId, { order = "auto" } = {}) {
     const _id =
       typeof listId === "string" ? new mongoose.Types.ObjectId(listId) : listId;
 
+    const list = await List.findById(_id, WORKFLOW_FIELDS);
+
+    const sorts = {
+      auto: { statusOrder: 1, _dueForSort: 1 },
+      priority: { _priorityWeight: -1, statusOrder: 1, _dueForSort: 1 },
+      manual: { _positionForSort: 1, _id: 1 },
+    };
+
     const tasks = await this.model.aggregate([
-      { $match: { list: _id } },
+      { $match: this.notDeleted({ list: _id }) },
 
       {
         $addFields: {
-          statusOrder: {
-            $switch: {
-              branches: [
-                { case: { $eq: ["$status", "ongoing"] }, then: 0 },
-                { case: { $eq: ["$status", "unassigned"] }, then: 1 },
-                { case: { $eq: ["$status", "done"] }, then: 2 },
-              ],
-              default: 3,
+          statusOrder: statusOrderExpr(getStatuses(list)),
+          _dueForSort: DUE_DATE_SORT_EXPR,
+          _positionForSort: POSITION_SORT_EXPR,
+          _priorityWeight: PRIORITY_WEIGHT_EXPR,
+          completionRatio: COMPLETION_RATIO_EXPR,
+        },
+      },
+
+      { $sort: sorts[order] || sorts.auto },
+
+      {
+        $project: {
+          statusOrder: 0,
+          _dueForSort: 0,
+          _positionForSort: 0,
+          _priorityWeight: 0,
+        },
+      },
+    ]);
+
+    return tasks;
+  }
+
+  /**
+   * Counts the tasks completed in a date range, grouped by day or by week
+   * (weeks start on Monday) in a time zone.
+   *
+   * Only tasks with a `completedAt` are counted, so tasks completed before
+   * it was recorded are left out.
+   *
+   * @async
+   * @param {Array} listIds - IDs of the lists whose tasks are counted.
+   * @param {Object} range - Range and grouping.
+   * @param {Date} range.from - Start of the range.
+   * @param {Date} range.to - End of the range.
+   * @param {"day"|"week"} range.unit - Length of each period.
+   * @param {string} range.timeZone - IANA time zone the periods are computed in.
+   * @returns {Promise<Array<{ period: string, count: number }>>} Periods with
+   * completed tasks, keyed by their first day (`YYYY-MM-DD`), in ascending order.
+   */
+  async countCompletedByPeriod(listIds, { from, to, unit, timeZone }) {
+    return this.model.aggregate([
+      {
+        $match: this.notDeleted({
+          list: { $in: listIds },
+          completedAt: { $gte: from, $lte: to },
+        }),
+      },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: "%Y-%m-%d",
+              timezone: timeZone,
+              date: {
+                $dateTrunc: {
+                  date: "$completedAt",
+                  unit,
+                  timezone: timeZone,
+                  startOfWeek: "monday",
+                },
+              },
             },
           },
-          _dueForSort: { $ifNull: ["$dueDate", new Date("9999-12-31")] },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, period: "$_id", count: 1 } },
+    ]);
+  }
+
+  /**
+   * Measures how long the tasks completed in a date range took, from their
+   * creation to their completion.
+   *
+   * @async
+   * @param {Array} listIds - IDs of the lists whose tasks are measured.
+   * @param {Object} range - Range of completion dates.
+   * @param {Date} range.from - Start of the range.
+   * @param {Date} range.to - End of the range.
+   * @returns {Promise<{ count: number, averageHours: number|null, minHours: number|null, maxHours: number|null }>}
+   * Number of tasks measured and their completion times in hours.
+   */
+  async getCompletionTimes(listIds, { from, to }) {
+    const [result] = await this.model.aggregate([
+      {
+        $match: this.notDeleted({
+          list: { $in: listIds },
+          completedAt: { $gte: from, $lte: to },
+        }),
+      },
+      {
+        $project: {
+          hours: {
+            $divide: [{ $subtract: ["$completedAt", "$createdAt"] }, 3600000],
+          },
         },
       },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          averageHours: { $avg: "$hours" },
+          minHours: { $min: "$hours" },
+          maxHours: { $max: "$hours" },
+        },
+      },
+      { $project: { _id: 0 } },
+    ]);
+
+    return (
+      result || { count: 0, averageHours: null, minHours: null, maxHours: null }
+    );
+  }
+
+  /**
+   * Counts the tasks of each list: in total, completed, open, overdue and
+   * completed within a date range.
+   *
+   * @async
+   * @param {Array} listIds - IDs of the lists.
+   * @param {Object} range - Range of completion dates.
+   * @param {Date} range.from - Start of the range.
+   * @param {Date} range.to - End of the range.
+   * @param {Date} [now=new Date()] - Date used to decide which tasks are overdue.
+   * @returns {Promise<Array<{ list: Object, total: number, completed: number, open: number, overdue: number, completedInRange: number }>>}
+   * Counts of the lists that have tasks.
+   */
+  async countByList(listIds, { from, to }, now = new Date()) {
+    const count = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
 
-      { $sort: { statusOrder: 1, _dueForSort: 1 } },
+    return this.model.aggregate([
+      { $match: this.notDeleted({ list: { $in: listIds } }) },
+      { $addFields: { _completed: COMPLETED_EXPR } },
+      {
+        $group: {
+          _id: "$list",
+          total: { $sum: 1 },
+          completed: count("$_completed"),
+          overdue: count({
+            $and: [
+              { $not: ["$_completed"] },
+              { $eq: [{ $type: "$dueDate" }, "date"] },
+              { $lt: ["$dueDate", now] },
+            ],
+          }),
+          completedInRange: count({
+            $and: [
+              { $gte: ["$completedAt", from] },
+              { $lte: ["$completedAt", to] },
+            ],
+          }),
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          list: "$_id",
+          total: 1,
+          completed: 1,
+          open: { $subtract: ["$total", "$completed"] },
+          overdue: 1,
+          completedInRange: 1,
+        },
+      },
+    ]);
+  }
 
-      { $project: { statusOrder: 0, _dueForSort: 0 } },
+  /**
+   * Returns the days, in a time zone, on which at least one task was completed.
+   *
+   * @async
+   * @param {Array} listIds - IDs of the lists whose tasks are read.
+   * @param {string} timeZone - IANA time zone the days are computed in.
+   * @returns {Promise<Array<string>>} Days as `YYYY-MM-DD`, most recent first.
+   */
+  async getCompletionDays(listIds, timeZone) {
+    const days = await this.model.aggregate([
+      {
+        $match: this.notDeleted({
+          list: { $in: listIds },
+          completedAt: { $ne: null },
+        }),
+      },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: "%Y-%m-%d",
+              date: "$completedAt",
+              timezone: timeZone,
+            },
+          },
+        },
+      },
+      { $sort: { _id: -1 } },
     ]);
 
-    return tasks;
+    return days.map((day) => day._id);
   }
 }
 
@@ -1,6 +1,9 @@
 const User = require("../models/user");
 const List = require("../models/list");
 const Task = require("../models/task");
+const Session = require("../models/session");
+const Activity = require("../models/activity");
+const Label = require("../models/label");
 const GlobalDAO = require("./globalDAO");
 
 /**
@@ -19,6 +22,8 @@ class UserDAO extends GlobalDAO {
    */
   constructor() {
     super(User);
+
+    this.duplicateMessage = "Email ya registrado";
   }
 
   /**
@@ -32,22 +37,141 @@ class UserDAO extends GlobalDAO {
     return this.model.findOne({ email });
   }
 
+  /**
+   * Finds the user a calendar feed token belongs to.
+   *
+   * @async
+   * @param {string} hash - Hash of the token (see `utils/tokens.js`).
+   * @returns {Promise<Object|null>} The user, or `null` if no user has that token.
+   */
+  async findByCalendarToken(hash) {
+    return this.model.findOne({ calendarTokenHash: hash });
+  }
+
+  /**
+   * Finds the user an unexpired email change token belongs to.
+   *
+   * @async
+   * @param {string} hash - Hash of the token (see `utils/tokens.js`).
+   * @returns {Promise<Object|null>} The user, or `null` if no user has that token or it expired.
+   */
+  async findByEmailChangeToken(hash) {
+    return this.model.findOne({
+      emailChangeTokenHash: hash,
+      emailChangeExpires: { $gt: new Date() },
+    });
+  }
+
+  /**
+   * Returns every user subscribed to the digest email.
+   *
+   * @async
+   * @returns {Promise<Array>} Users whose digest frequency is not `none`.
+   */
+  async getDigestSubscribers() {
+    return this.model
+      .find({ "digest.frequency": { $in: ["daily", "weekly"] } })
+      .select("firstName email digest verified");
+  }
+
+  /**
+   * Returns the users that registered before a date and never verified their email.
+   *
+   * @async
+   * @param {Date} before - Registration date limit.
+   * @returns {Promise<Array>} IDs of the users.
+   */
+  async getUnverifiedBefore(before) {
+    return this.model
+      .find({ verified: false, createdAt: { $lt: before } })
+      .select("_id");
+  }
+
+  /**
+   * Tells whether a user registered before a date and still hasn't verified
+   * their email, e.g. to re-check it right before purging the account.
+   *
+   * @async
+   * @param {string} userId - ID of the user.
+   * @param {Date} before - Registration date limit.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
+   * @returns {Promise<boolean>} `true` if the user is still unverified.
+   */
+  async isUnverifiedBefore(userId, before, options = {}) {
+    const user = await this.model.findOne(
+      { _id: userId, verified: false, createdAt: { $lt: before } },
+      { _id: 1 },
+      options,
+    );
+    return Boolean(user);
+  }
+
+  /**
+   * Atomically replaces the key of the last digest sent to a user.
+   *
+   * Only succeeds if the stored key is still `expectedKey`, so two runs
+   * can't claim the same digest.
+   *
+   * @async
+   * @param {string} userId - ID of the user.
+   * @param {string|null} expectedKey - Key currently stored.
+   * @param {string|null} newKey - Key to store.
+   * @returns {Promise<Object|null>} The updated user, or `null` if the key had changed.
+   */
+  async claimDigest(userId, expectedKey, newKey) {
+    return this.model.findOneAndUpdate(
+      { _id: userId, "digest.lastSentKey": expectedKey },
+      { "digest.lastSentKey": newKey },
+      { new: true },
+    );
+  }
+
   /**
    * Overrides delete method from GlobalDAO.
-   * - Deletes all lists associated to the user.
+   * - Deletes all lists owned by the user, including tasks other members added to them
+   *   and their history.
+   * - Removes the user from the lists shared with them.
    * - Deletes all tasks associated to the user.
+   * - Deletes all sessions associated to the user.
+   * - Deletes the user's labels, detaching them from the tasks of other users.
    * - Finally, deletes the user.
    *
    * @async
    * @param {string} userId - ID of the user to be deleted.
+   * @param {Object} [options={}] - Mongoose options (e.g. `{ session }` inside a transaction).
    * @returns {Promise<Object|null>} Doc of the user just deleted, null if the doc didn't exist.
    */
-  async delete(userId) {
-    await List.deleteMany({ user: userId });
+  async delete(userId, options = {}) {
+    const ownedLists = await List.find({ user: userId }, { _id: 1 }, options);
+
+    const ownedListIds = ownedLists.map((l) => l._id);
+
+    await Task.deleteMany({ list: { $in: ownedListIds } }, options);
+
+    await Activity.deleteMany({ list: { $in: ownedListIds } }, options);
+
+    await List.deleteMany({ user: userId }, options);
+
+    await List.updateMany(
+      { "members.user": userId },
+      { $pull: { members: { user: userId } } },
+      options,
+    );
+
+    await Task.deleteMany({ user: userId }, options);
+
+    await Session.deleteMany({ user: userId }, options);
 
-    await Task.deleteMany({ user: userId });
+    const labels = await Label.find({ user: userId }, { _id: 1 }, options);
+    const labelIds = labels.map((l) => l._id);
+    await Task.updateMany(
+      { labels: { $in: labelIds } },
+      { $pull: { labels: { $in: labelIds } } },
+      options,
+    );
+    await Label.deleteMany({ user: userId }, options);
 
-    const deletedUser = await this.model.findByIdAndDelete(userId);
+    const deletedUser = await this.model.findByIdAndDelete(userId, options);
 
     return deletedUser;
   }
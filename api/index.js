@@ -4,9 +4,29 @@ require("dotenv").config();
 const cors = require("cors");
 const routes = require("./routes/routes.js");
 const { connectDB } = require("./config/database");
+const { startJobs } = require("./jobs");
+const requestId = require("./middlewares/requestId");
+const errorHandler = require("./middlewares/errorHandler");
+const { NotFoundError } = require("./utils/errors");
 
 const app = express();
 
+/**
+ * Give every request an ID, returned in error responses.
+ */
+app.use(requestId);
+
+/**
+ * Imports receive whole export files, so they accept larger bodies,
+ * and CSV files as text. Registered first so the default JSON parser
+ * doesn't reject them.
+ */
+app.use(
+  "/api/import",
+  express.json({ limit: "5mb" }),
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+);
+
 /**
  * Middleware configuration
  * - Parse JSON request bodies
@@ -35,6 +55,13 @@ app.use("/api/", routes);
  */
 app.get("/", (req, res) => res.send("Server is running"));
 
+/**
+ * Answer unknown routes and every error thrown by the routes with the
+ * structured error body (see `middlewares/errorHandler.js`).
+ */
+app.use((req, res, next) => next(new NotFoundError("Ruta no encontrada")));
+app.use(errorHandler);
+
 /**
  * Start the server only if this file is run directly
  * (prevents multiple servers when testing with imports).
@@ -47,4 +74,9 @@ if (require.main === module) {
       console.log(`Server running on http://localhost:${PORT}`);
     });
   }
+
+  /**
+   * Start the background jobs (see `jobs/index.js`).
+   */
+  startJobs();
 }
@@ -0,0 +1,100 @@
+const UserDAO = require("../dao/userDAO");
+const { sendMail } = require("../utils/mailer");
+const { buildDigest, renderDigest } = require("../utils/digest");
+const { canReceiveMail } = require("../utils/verification");
+
+/**
+ * Returns the local date, time and weekday of a date in a time zone.
+ * @param {Date} date - Date to convert.
+ * @param {string} timeZone - IANA time zone.
+ * @returns {{ dateKey: string, time: string, weekday: number }} Local date as
+ * `YYYY-MM-DD`, local time as `HH:mm` and weekday (0 = Sunday).
+ */
+function localParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      weekday: "short",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value]),
+  );
+  const weekdays = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: weekdays.indexOf(parts.weekday),
+  };
+}
+
+/**
+ * Tells whether a user's digest is due at `now`.
+ * @param {Object} prefs - Digest preferences of the user.
+ * @param {Date} now - Current date.
+ * @returns {string|null} Key identifying this digest (the local date), or
+ * `null` if no digest has to be sent now.
+ */
+function dueDigestKey(prefs, now) {
+  if (!prefs || prefs.frequency === "none") return null;
+
+  const local = localParts(now, prefs.timezone);
+  if (local.time < prefs.sendTime) return null;
+  if (prefs.frequency === "weekly" && local.weekday !== prefs.weekday) {
+    return null;
+  }
+  if (prefs.lastSentKey === local.dateKey) return null;
+  return local.dateKey;
+}
+
+/**
+ * Sends the digest emails that are due at `now`.
+ *
+ * A digest is sent once the user's local send time has passed, at most once
+ * per local day (daily) or on the chosen weekday (weekly). The digest is
+ * claimed in the database before sending, so restarts or concurrent runs
+ * don't send it twice; if sending fails the claim is undone. Users the
+ * verification policy doesn't allow to email are skipped.
+ *
+ * @async
+ * @param {Date} [now=new Date()] - Current date (injectable for tests).
+ * @param {Object} [deps] - Injectable dependencies.
+ * @param {Function} [deps.send=sendMail] - Function used to send the emails.
+ * @returns {Promise<number>} Number of digests sent.
+ */
+async function sendDigests(now = new Date(), { send = sendMail } = {}) {
+  const users = await UserDAO.getDigestSubscribers();
+
+  let sent = 0;
+  for (const user of users) {
+    if (!canReceiveMail(user)) continue;
+
+    const key = dueDigestKey(user.digest, now);
+    if (!key) continue;
+
+    const previousKey = user.digest.lastSentKey;
+    const claimed = await UserDAO.claimDigest(user._id, previousKey, key);
+    if (!claimed) continue;
+
+    try {
+      const digest = await buildDigest(user._id, now);
+      await send(
+        user.email,
+        "Resumen de tus tareas",
+        renderDigest(user, digest),
+      );
+      sent++;
+    } catch (err) {
+      await UserDAO.claimDigest(user._id, key, previousKey);
+    }
+  }
+
+  return sent;
+}
+
+module.exports = { sendDigests, dueDigestKey, localParts };
@@ -0,0 +1,120 @@
+const TaskDAO = require("../dao/taskDAO");
+const ReminderDAO = require("../dao/reminderDAO");
+const { sendMail, escapeHtml } = require("../utils/mailer");
+const { canReceiveMail } = require("../utils/verification");
+
+/**
+ * Reminder offsets (minutes before the due date) used when neither the task
+ * nor its owner define their own: 1 day before, 1 hour before and when due.
+ */
+const DEFAULT_REMINDER_OFFSETS = [1440, 60, 0];
+
+/**
+ * Largest offset accepted by the Task and User models (30 days).
+ */
+const MAX_REMINDER_OFFSET = 43200;
+
+/**
+ * Overdue tasks older than this are not reminded anymore.
+ */
+const OVERDUE_LOOKBACK_DAYS = Number(process.env.REMINDER_LOOKBACK_DAYS) || 7;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Returns the offset of the reminder that should be sent now for a task.
+ *
+ * Only the most recent reminder due is considered, so after a downtime the
+ * user gets a single reminder instead of every one that was missed.
+ *
+ * @param {Array<number>} offsets - Reminder offsets in minutes.
+ * @param {Date} dueDate - Due date of the task.
+ * @param {Date} now - Current date.
+ * @returns {number|null} The offset, or `null` if no reminder is due yet.
+ */
+function currentOffset(offsets, dueDate, now) {
+  const due = offsets
+    .filter((offset) => dueDate.getTime() - offset * MINUTE_MS <= now.getTime())
+    .sort((a, b) => a - b);
+  return due.length ? due[0] : null;
+}
+
+/**
+ * Builds the email body of a reminder.
+ * @param {Object} task - Task with its `user` and `list` populated.
+ * @param {Date} now - Current date.
+ * @returns {{ subject: string, html: string }} Email subject and body.
+ */
+function renderReminder(task, now) {
+  const overdue = task.dueDate <= now;
+  const title = escapeHtml(task.title);
+  const listTitle = task.list ? escapeHtml(task.list.title) : "";
+  return {
+    subject: overdue
+      ? `Tarea vencida: ${task.title}`
+      : `Recordatorio: ${task.title} vence pronto`,
+    html: `
+      <h2>Hola ${escapeHtml(task.user.firstName || "usuario")},</h2>
+      <p>La tarea <b>${title}</b>${listTitle ? ` de la lista <b>${listTitle}</b>` : ""}
+      ${overdue ? "venció" : "vence"} el ${task.dueDate.toISOString()}.</p>
+      <p>Saludos,<br/>Soporte de Lumo</p>
+    `,
+  };
+}
+
+/**
+ * Sends the due-date reminders that are due at `now`.
+ *
+ * For every open task due soon (or overdue for less than the lookback period),
+ * picks the reminder offset from the task, then its owner, then the defaults.
+ * Each reminder is recorded before it is sent, so it's never sent twice; if
+ * sending fails the record is removed so the next run retries it. Owners the
+ * verification policy doesn't allow to email are skipped.
+ *
+ * @async
+ * @param {Date} [now=new Date()] - Current date (injectable for tests).
+ * @param {Object} [deps] - Injectable dependencies.
+ * @param {Function} [deps.send=sendMail] - Function used to send the emails.
+ * @returns {Promise<number>} Number of reminders sent.
+ */
+async function sendDueReminders(now = new Date(), { send = sendMail } = {}) {
+  const from = new Date(
+    now.getTime() - OVERDUE_LOOKBACK_DAYS * 1440 * MINUTE_MS,
+  );
+  const to = new Date(now.getTime() + MAX_REMINDER_OFFSET * MINUTE_MS);
+  const tasks = await TaskDAO.getOpenTasksDueBetween(from, to);
+
+  let sent = 0;
+  for (const task of tasks) {
+    if (!task.user || !task.user.email || !canReceiveMail(task.user)) continue;
+
+    const offsets =
+      task.reminderOffsets ||
+      (task.user.reminderOffsets && task.user.reminderOffsets.length
+        ? task.user.reminderOffsets
+        : DEFAULT_REMINDER_OFFSETS);
+
+    const offset = currentOffset(offsets, task.dueDate, now);
+    if (offset === null) continue;
+
+    const reminder = await ReminderDAO.claim({
+      task: task._id,
+      user: task.user._id,
+      dueDate: task.dueDate,
+      offset,
+    });
+    if (!reminder) continue;
+
+    const { subject, html } = renderReminder(task, now);
+    try {
+      await send(task.user.email, subject, html);
+      sent++;
+    } catch (err) {
+      await ReminderDAO.delete(reminder._id);
+    }
+  }
+
+  return sent;
+}
+
+module.exports = { sendDueReminders, currentOffset, DEFAULT_REMINDER_OFFSETS };
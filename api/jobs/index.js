@@ -0,0 +1,70 @@
+const Scheduler = require("./scheduler");
+const { sendDueReminders } = require("./dueReminders");
+const { sendDigests } = require("./digests");
+const { purgeTrash } = require("./trashPurge");
+const { repairOrphanTasks } = require("./orphanTasks");
+const { purgeUnverifiedUsers } = require("./unverifiedUsers");
+
+/**
+ * Scheduler shared by every background job of the API.
+ */
+const scheduler = new Scheduler();
+
+/**
+ * How often the due-date reminder job runs (5 minutes by default).
+ */
+const REMINDERS_INTERVAL_MS =
+  Number(process.env.REMINDERS_INTERVAL_MS) || 5 * 60 * 1000;
+
+scheduler.register("due-reminders", REMINDERS_INTERVAL_MS, (now) =>
+  sendDueReminders(now),
+);
+
+/**
+ * How often the digest job checks for digests to send (15 minutes by default).
+ */
+const DIGESTS_INTERVAL_MS =
+  Number(process.env.DIGESTS_INTERVAL_MS) || 15 * 60 * 1000;
+
+scheduler.register("digests", DIGESTS_INTERVAL_MS, (now) => sendDigests(now));
+
+/**
+ * How often the trash is purged (every hour by default).
+ */
+const TRASH_PURGE_INTERVAL_MS =
+  Number(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+scheduler.register("trash-purge", TRASH_PURGE_INTERVAL_MS, (now) =>
+  purgeTrash(now),
+);
+
+/**
+ * How often orphaned tasks are looked for and repaired (once a day by default).
+ */
+const ORPHAN_REPAIR_INTERVAL_MS =
+  Number(process.env.ORPHAN_REPAIR_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+
+scheduler.register("orphan-tasks", ORPHAN_REPAIR_INTERVAL_MS, () =>
+  repairOrphanTasks(),
+);
+
+/**
+ * How often the accounts never verified are purged (every hour by default).
+ */
+const UNVERIFIED_PURGE_INTERVAL_MS =
+  Number(process.env.UNVERIFIED_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+scheduler.register("unverified-users", UNVERIFIED_PURGE_INTERVAL_MS, (now) =>
+  purgeUnverifiedUsers(now),
+);
+
+/**
+ * Start every background job.
+ * Set `JOBS_ENABLED=false` to run the API without them (e.g. on extra instances).
+ */
+function startJobs() {
+  if (process.env.JOBS_ENABLED === "false") return;
+  scheduler.start();
+}
+
+module.exports = { scheduler, startJobs };
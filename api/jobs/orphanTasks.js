@@ -0,0 +1,60 @@
+const TaskDAO = require("../dao/taskDAO");
+const ListDAO = require("../dao/listDAO");
+
+/**
+ * Title of the list orphaned tasks are moved to when their list no longer exists.
+ */
+const RECOVERED_LIST_TITLE = "Tareas recuperadas";
+
+/**
+ * Finds and repairs tasks left behind by lists deleted before list deletion
+ * cascaded to their tasks.
+ *
+ * - Tasks whose list is in the trash are sent to the trash with it, so they
+ *   are restored or purged together with the list.
+ * - Tasks whose list doesn't exist anymore are moved into a
+ *   "Tareas recuperadas" list of their owner, created if needed.
+ *
+ * @async
+ * @returns {Promise<{ trashed: number, recovered: number }>} Number of tasks repaired.
+ */
+async function repairOrphanTasks() {
+  const orphans = await TaskDAO.getOrphanTasks();
+  const recoveredLists = new Map();
+  let trashed = 0;
+  let recovered = 0;
+
+  for (const task of orphans) {
+    if (task.listDeletedAt) {
+      await TaskDAO.update(task._id, {
+        deletedAt: task.listDeletedAt,
+        deletedWithList: true,
+      });
+      trashed++;
+      continue;
+    }
+
+    const owner = task.user.toString();
+    if (!recoveredLists.has(owner)) {
+      const [existing] = await ListDAO.getAll({
+        user: task.user,
+        title: RECOVERED_LIST_TITLE,
+      });
+      recoveredLists.set(
+        owner,
+        existing ||
+          (await ListDAO.create({
+            title: RECOVERED_LIST_TITLE,
+            user: task.user,
+          })),
+      );
+    }
+
+    await TaskDAO.update(task._id, { list: recoveredLists.get(owner)._id });
+    recovered++;
+  }
+
+  return { trashed, recovered };
+}
+
+module.exports = { repairOrphanTasks };
@@ -0,0 +1,86 @@
+/**
+ * Minimal in-process job scheduler.
+ *
+ * Runs registered jobs periodically on the same Node process as the API.
+ * A job never overlaps with itself: if a run takes longer than its interval,
+ * the next tick is skipped. The clock is injectable so jobs can be tested
+ * with fake timers.
+ */
+class Scheduler {
+  /**
+   * Create a new Scheduler.
+   * @param {Object} [clock] - Timer functions, defaults to the global ones.
+   * @param {function(): Date} [clock.now] - Returns the current date.
+   * @param {Function} [clock.setInterval] - Same signature as the global `setInterval`.
+   * @param {Function} [clock.clearInterval] - Same signature as the global `clearInterval`.
+   */
+  constructor(clock = {}) {
+    this.clock = {
+      now: clock.now || (() => new Date()),
+      setInterval: clock.setInterval || setInterval,
+      clearInterval: clock.clearInterval || clearInterval,
+    };
+    this.jobs = new Map();
+  }
+
+  /**
+   * Register a job.
+   * @param {string} name - Unique name of the job.
+   * @param {number} intervalMs - Milliseconds between runs.
+   * @param {function(Date): Promise<*>} handler - Job body, receives the current date.
+   */
+  register(name, intervalMs, handler) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+    this.jobs.set(name, { intervalMs, handler, timer: null, running: false });
+  }
+
+  /**
+   * Run a job immediately, unless it is already running.
+   * @async
+   * @param {string} name - Name of the job.
+   * @returns {Promise<*>} What the handler returned, or `undefined` if the run was skipped.
+   */
+  async runNow(name) {
+    const job = this.jobs.get(name);
+    if (!job) throw new Error(`Job "${name}" is not registered`);
+    if (job.running) return undefined;
+
+    job.running = true;
+    try {
+      return await job.handler(this.clock.now());
+    } catch (err) {
+      console.error(`Error running job "${name}":`, err.message);
+      return undefined;
+    } finally {
+      job.running = false;
+    }
+  }
+
+  /**
+   * Start running every registered job on its interval.
+   */
+  start() {
+    for (const [name, job] of this.jobs) {
+      if (job.timer) continue;
+      job.timer = this.clock.setInterval(
+        () => this.runNow(name),
+        job.intervalMs,
+      );
+      if (job.timer && job.timer.unref) job.timer.unref();
+    }
+  }
+
+  /**
+   * Stop every running job timer.
+   */
+  stop() {
+    for (const job of this.jobs.values()) {
+      if (job.timer) this.clock.clearInterval(job.timer);
+      job.timer = null;
+    }
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,28 @@
+const TaskDAO = require("../dao/taskDAO");
+const ListDAO = require("../dao/listDAO");
+
+/**
+ * Days deleted tasks and lists stay in the trash before being purged.
+ */
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * Permanently deletes the tasks and lists that have been in the trash
+ * for longer than the retention period.
+ *
+ * @async
+ * @param {Date} [now=new Date()] - Current date (injectable for tests).
+ * @returns {Promise<{ tasks: number, lists: number }>} Number of documents purged.
+ */
+async function purgeTrash(now = new Date()) {
+  const before = new Date(
+    now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+  );
+
+  const tasks = await TaskDAO.purgeDeleted(before);
+  const lists = await ListDAO.purgeDeleted(before);
+
+  return { tasks, lists };
+}
+
+module.exports = { purgeTrash, TRASH_RETENTION_DAYS };
@@ -0,0 +1,54 @@
+const UserDAO = require("../dao/userDAO");
+const { VERIFICATION_POLICY } = require("../utils/verification");
+
+/**
+ * Days an account has to verify its email before being deleted.
+ */
+const UNVERIFIED_RETENTION_DAYS =
+  Number(process.env.UNVERIFIED_RETENTION_DAYS) || 7;
+
+/**
+ * Deletes the accounts that never verified their email within the
+ * retention period, with everything they own (see `UserDAO.delete`).
+ *
+ * Each account is deleted in its own transaction, after checking again that
+ * it is still unverified, so an account verified while the job runs is kept
+ * and an account is never left half deleted.
+ *
+ * Nothing is deleted with the "none" verification policy, since unverified
+ * accounts are fully usable then.
+ *
+ * @async
+ * @param {Date} [now=new Date()] - Current date (injectable for tests).
+ * @returns {Promise<number>} Number of accounts deleted.
+ */
+async function purgeUnverifiedUsers(now = new Date()) {
+  if (VERIFICATION_POLICY === "none") return 0;
+
+  const before = new Date(
+    now.getTime() - UNVERIFIED_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+  );
+
+  const users = await UserDAO.getUnverifiedBefore(before);
+  let purged = 0;
+  for (const user of users) {
+    let session;
+    try {
+      session = await UserDAO.model.db.startSession();
+      let deleted = false;
+      await session.withTransaction(async () => {
+        deleted = await UserDAO.isUnverifiedBefore(user._id, before, {
+          session,
+        });
+        if (deleted) await UserDAO.delete(user._id, { session });
+      });
+      if (deleted) purged++;
+    } finally {
+      if (session) session.endSession(); // Transaction end
+    }
+  }
+
+  return purged;
+}
+
+module.exports = { purgeUnverifiedUsers, UNVERIFIED_RETENTION_DAYS };
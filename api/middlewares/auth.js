@@ -1,29 +1,44 @@
 const jwt = require("jsonwebtoken");
+const SessionDAO = require("../dao/sessionDAO");
+const { UnauthorizedError, ForbiddenError } = require("../utils/errors");
 
 /**
  * Middleware to authenticate requests using a JWT token.
  *
  * Checks for a token in the `Authorization` header,
- * verifies it, and attaches the decoded payload to `req.user`.
- * If no token is provided or verification fails, returns an error response.
+ * verifies it, makes sure the session it was issued for is still active
+ * and attaches the decoded payload to `req.user`.
+ * If no token is provided, verification fails or the session was revoked,
+ * passes the error to the error handler.
  *
+ * @async
  * @param {import("express").Request} req - Express request object.
  * @param {import("express").Response} res - Express response object.
  * @param {import("express").NextFunction} next - Express next middleware function.
- * @returns {void} Sends a 401 or 403 response if authentication fails, otherwise calls next().
+ * @returns {Promise<void>} Calls next() with an {@link UnauthorizedError} (401) or
+ * {@link ForbiddenError} (403) if authentication fails, otherwise calls next().
  */
-function authenticateToken(req, res, next) {
+async function authenticateToken(req, res, next) {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1]; // Extracts token after 'Bearer '
 
-  if (!token) return res.status(401).json({ message: "Token missing" });
+  if (!token) return next(new UnauthorizedError("Token missing"));
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(403).json({ message: "Invalid token" });
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return next(new ForbiddenError("Invalid token"));
+  }
 
-    req.user = decoded;
-    next(); // Continues to the next handler
-  });
+  // Tokens that are not bound to a session (e.g. password reset tokens) are not access tokens
+  if (!decoded.sid) return next(new ForbiddenError("Invalid token"));
+
+  const session = await SessionDAO.findActive(decoded.sid);
+  if (!session) return next(new UnauthorizedError("Session revoked"));
+
+  req.user = decoded;
+  next(); // Continues to the next handler
 }
 
 /**
@@ -0,0 +1,31 @@
+const { toAppError, errorBody } = require("../utils/errors");
+
+/**
+ * Express error-handling middleware. Answers every error with the same body:
+ * `{ code, message, fields, requestId }`.
+ *
+ * Internal errors are logged with the request ID; their details are never
+ * sent to the client. If the response had already started (e.g. a streamed
+ * export), the connection is closed instead.
+ *
+ * @param {Error} err - Error thrown while handling the request.
+ * @param {import("express").Request} req - Express request object.
+ * @param {import("express").Response} res - Express response object.
+ * @param {import("express").NextFunction} next - Express next middleware function.
+ */
+function errorHandler(err, req, res, next) {
+  const error = toAppError(err);
+
+  if (error.status >= 500) {
+    console.error(`[${req.id}] Internal server error: ${err.stack || err}`);
+  }
+
+  if (res.headersSent) return next(err);
+
+  res.status(error.status).json({ ...errorBody(error), requestId: req.id });
+}
+
+/**
+ * Export the errorHandler middleware.
+ */
+module.exports = errorHandler;
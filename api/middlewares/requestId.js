@@ -0,0 +1,26 @@
+const crypto = require("crypto");
+
+/**
+ * Middleware that gives every request an ID, used to match error responses
+ * with the server logs.
+ *
+ * Reuses the `X-Request-Id` header sent by a proxy or client when it looks
+ * safe, otherwise generates a new one. The ID is stored in `req.id` and
+ * returned in the `X-Request-Id` response header.
+ *
+ * @param {import("express").Request} req - Express request object.
+ * @param {import("express").Response} res - Express response object.
+ * @param {import("express").NextFunction} next - Express next middleware function.
+ */
+function requestId(req, res, next) {
+  const header = req.get("x-request-id");
+  req.id =
+    header && /^[\w-]{1,100}$/.test(header) ? header : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+}
+
+/**
+ * Export the requestId middleware.
+ */
+module.exports = requestId;
@@ -0,0 +1,58 @@
+const { validateSchema } = require("../utils/validation");
+const { ValidationError } = require("../utils/errors");
+
+/**
+ * Parts of the request a route schema can declare.
+ */
+const SECTIONS = ["params", "query", "body"];
+
+/**
+ * Builds a middleware that validates the request against a route schema
+ * before the controller runs (see `utils/validation.js`).
+ *
+ * The schema declares the fields of `params`, `query` and `body`; a part
+ * the schema leaves out must be empty. The coerced values replace the
+ * originals, so controllers read the typed values. Every invalid field is
+ * reported at once in a {@link ValidationError}.
+ *
+ * @param {{ params?: Object, query?: Object, body?: Object }} schema - Rules of each part of the request.
+ * @returns {import("express").RequestHandler} Validation middleware.
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const errors = {};
+    const values = {};
+
+    for (const section of SECTIONS) {
+      const data = req[section] ?? {};
+      if (typeof data !== "object" || Array.isArray(data)) {
+        errors[section] = `${section} debe ser un objeto`;
+        continue;
+      }
+      const result = validateSchema(schema[section] || {}, data);
+      Object.assign(errors, result.errors);
+      values[section] = result.value;
+    }
+
+    const messages = Object.values(errors);
+    if (messages.length > 0) {
+      return next(new ValidationError(messages[0], errors));
+    }
+
+    req.params = values.params;
+    req.body = values.body;
+    // `req.query` is a getter in Express 5, so it is shadowed instead
+    Object.defineProperty(req, "query", {
+      value: values.query,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+    next();
+  };
+}
+
+/**
+ * Export the validate middleware factory.
+ */
+module.exports = validate;
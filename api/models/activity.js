@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+/**
+ * Activity schema definition.
+ *
+ * Represents an immutable entry of the history of a task or a list:
+ * who did what and when, with the before/after value of every changed field.
+ * `list` is the list the entity belonged to, so a list's history also
+ * includes the history of its tasks.
+ */
+const ActivitySchema = new mongoose.Schema(
+  {
+    entityType: {
+      type: String,
+      enum: ["task", "list"],
+      required: true,
+      immutable: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      immutable: true,
+    },
+    list: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "List",
+      immutable: true,
+    },
+    action: {
+      type: String,
+      enum: ["created", "updated", "moved", "deleted", "restored"],
+      required: true,
+      immutable: true,
+    },
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+      immutable: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      immutable: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, minimize: false },
+);
+
+ActivitySchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+ActivitySchema.index({ list: 1, createdAt: -1 });
+
+/**
+ * History entries can't be modified once written.
+ */
+function preventUpdate(next) {
+  next(new Error("Activity entries are immutable"));
+}
+ActivitySchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"],
+  preventUpdate,
+);
+
+/**
+ * Mongoose model for the Activity collection.
+ * Provides an interface to interact with activity documents.
+ */
+module.exports = mongoose.model("Activity", ActivitySchema);
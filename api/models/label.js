@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+/**
+ * Label schema definition.
+ *
+ * Represents a label (tag) a user creates to categorize tasks across lists.
+ * Tasks reference their labels in `task.labels`.
+ */
+const LabelSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "El nombre es requerido"],
+      trim: true,
+      maxlength: [20, "El nombre no puede tener más de 20 caracteres"],
+    },
+    color: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^#[0-9a-f]{6}$/, "El color debe tener el formato #rrggbb"],
+      default: "#9e9e9e",
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true },
+);
+
+/**
+ * Makes it so a user can't have more than one label with the same name.
+ */
+LabelSchema.index({ user: 1, name: 1 }, { unique: true });
+
+/**
+ * Mongoose model for the Label collection.
+ * Provides an interface to interact with label documents.
+ */
+module.exports = mongoose.model("Label", LabelSchema);
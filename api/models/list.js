@@ -1,4 +1,76 @@
 const mongoose = require("mongoose");
+const { findStatus, invalidStatusMessage } = require("../utils/workflow");
+
+/**
+ * List member schema definition.
+ *
+ * Represents a user the list owner shared the list with.
+ * - `editor` members can create, update and delete tasks.
+ * - `viewer` members can only read the list and its tasks.
+ */
+const ListMemberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ["editor", "viewer"],
+        message: "El rol debe ser editor o viewer",
+      },
+      default: "viewer",
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Workflow status schema definition.
+ *
+ * Represents one of the statuses (kanban columns) tasks of a list go through.
+ * `done` marks the statuses that count as completed (see `utils/workflow.js`).
+ */
+const ListStatusSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "La clave del estado es requerida"],
+      trim: true,
+      match: [
+        /^[a-z0-9_-]{1,20}$/,
+        "La clave del estado solo puede tener minúsculas, números, - y _ (máximo 20)",
+      ],
+    },
+    label: {
+      type: String,
+      required: [true, "El nombre del estado es requerido"],
+      trim: true,
+      maxlength: [
+        30,
+        "El nombre del estado no puede tener más de 30 caracteres",
+      ],
+    },
+    color: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^#[0-9a-f]{6}$/, "El color debe tener el formato #rrggbb"],
+      default: "#9e9e9e",
+    },
+    done: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false },
+);
 
 /**
  * List schema definition.
@@ -19,14 +91,71 @@ const ListSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    members: {
+      type: [ListMemberSchema],
+      default: [],
+    },
+    // Ordered workflow of the list; unset means the default one
+    statuses: {
+      type: [ListStatusSchema],
+      default: undefined,
+      validate: {
+        validator: (statuses) =>
+          statuses.length >= 1 &&
+          statuses.length <= 12 &&
+          new Set(statuses.map((s) => s.key)).size === statuses.length,
+        message:
+          "Una lista debe tener entre 1 y 12 estados con claves distintas",
+      },
+    },
+    // Status new tasks get; must be one of `statuses`
+    defaultStatus: {
+      type: String,
+      default: null,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true },
 );
 
+/**
+ * The default status must be one of the statuses of the list.
+ */
+ListSchema.pre("validate", function (next) {
+  if (this.defaultStatus && !findStatus(this, this.defaultStatus)) {
+    this.invalidate(
+      "defaultStatus",
+      invalidStatusMessage(this),
+      this.defaultStatus,
+    );
+  }
+  next();
+});
+
 /**
  * Makes it so a user can't have more than one list with the same title.
+ * `deletedAt` is part of the key so lists in the trash don't block their
+ * title (active lists all share `deletedAt: null`).
+ * Replaces the former `{ title, user }` index, which existing databases
+ * drop with `npm run sync-list-indexes`.
  */
-ListSchema.index({ title: 1, user: 1 }, { unique: true });
+ListSchema.index({ title: 1, user: 1, deletedAt: 1 }, { unique: true });
+
+/**
+ * Speeds up looking for the lists shared with a user.
+ */
+ListSchema.index({ "members.user": 1 });
+
+/**
+ * Full-text index used by the search endpoint.
+ */
+ListSchema.index(
+  { title: "text" },
+  { default_language: "spanish", name: "ListTextIndex" },
+);
 
 /**
  * Mongoose model for the List collection.
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+/**
+ * Reminder schema definition.
+ *
+ * Records every due-date reminder already sent, so the reminder job
+ * never sends the same reminder twice, even after a restart.
+ * A reminder is identified by the task, the due date it was computed for
+ * and the offset (minutes before the due date) that triggered it.
+ */
+const ReminderSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Task",
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  dueDate: {
+    type: Date,
+    required: true,
+  },
+  offset: {
+    type: Number,
+    required: true,
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * Makes it impossible to record the same reminder twice.
+ */
+ReminderSchema.index({ task: 1, dueDate: 1, offset: 1 }, { unique: true });
+
+/**
+ * Removes old reminder records after 90 days.
+ */
+ReminderSchema.index({ sentAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+/**
+ * Mongoose model for the Reminder collection.
+ * Provides an interface to interact with reminder documents.
+ */
+module.exports = mongoose.model("Reminder", ReminderSchema);
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+/**
+ * Session schema definition.
+ *
+ * Represents a login session stored in MongoDB. Every successful login
+ * creates a session that holds the hash of its current refresh token,
+ * the device that opened it and when it was last used.
+ */
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout-all",
+        "reuse-detected",
+        "password-reset",
+        "password-change",
+        null,
+      ],
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+/**
+ * Lets MongoDB remove sessions automatically once they expire.
+ */
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Mongoose model for the Session collection.
+ * Provides an interface to interact with session documents.
+ */
+module.exports = mongoose.model("Session", SessionSchema);
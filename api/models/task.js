@@ -1,4 +1,83 @@
 const mongoose = require("mongoose");
+const {
+  findStatus,
+  getDefaultStatus,
+  invalidStatusMessage,
+} = require("../utils/workflow");
+
+/**
+ * Subtask schema definition.
+ *
+ * Represents a checklist item embedded inside a task.
+ * `order` defines its position within the task's checklist.
+ */
+const SubtaskSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "El título de la subtarea es requerido"],
+      trim: true,
+      maxlength: [100, "La subtarea no puede tener más de 100 caracteres"],
+    },
+    done: {
+      type: Boolean,
+      default: false,
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { id: false },
+);
+
+/**
+ * Recurrence rule schema definition.
+ *
+ * Reduced RRULE model used to generate the next occurrence of a task
+ * once the current one is marked as done (see `utils/recurrence.js`).
+ */
+const RecurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: {
+        values: ["daily", "weekly", "monthly"],
+        message: "La frecuencia debe ser daily, weekly o monthly",
+      },
+      required: [true, "La frecuencia es requerida"],
+    },
+    interval: {
+      type: Number,
+      min: [1, "El intervalo debe ser al menos 1"],
+      max: [365, "El intervalo no puede ser mayor a 365"],
+      default: 1,
+    },
+    byWeekday: {
+      type: [
+        {
+          type: Number,
+          min: [0, "Los días de la semana van de 0 (domingo) a 6 (sábado)"],
+          max: [6, "Los días de la semana van de 0 (domingo) a 6 (sábado)"],
+        },
+      ],
+      default: undefined,
+    },
+    byMonthDay: {
+      type: Number,
+      min: [1, "El día del mes debe estar entre 1 y 31"],
+      max: [31, "El día del mes debe estar entre 1 y 31"],
+    },
+    until: {
+      type: Date,
+    },
+    count: {
+      type: Number,
+      min: [1, "La cantidad de repeticiones debe ser al menos 1"],
+    },
+  },
+  { _id: false },
+);
 
 /**
  * Task schema definition.
@@ -19,10 +98,27 @@ const TaskSchema = new mongoose.Schema(
       trim: true,
       maxlength: [200, "La descripción no puede tener más de 200 caracteres"],
     },
+    // Key of one of the statuses of the list (see `utils/workflow.js`)
     status: {
       type: String,
-      enum: ["ongoing", "unassigned", "done"],
-      default: "unassigned",
+      trim: true,
+    },
+    // Whether the status counts as completed in the list's workflow
+    completed: {
+      type: Boolean,
+    },
+    // When the task was last completed, `null` while it is open
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    priority: {
+      type: String,
+      enum: {
+        values: ["none", "low", "medium", "high", "urgent"],
+        message: "La prioridad debe ser none, low, medium, high o urgent",
+      },
+      default: "none",
     },
     dueDate: {
       type: Date,
@@ -37,10 +133,179 @@ const TaskSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    recurrence: {
+      type: RecurrenceSchema,
+      default: null,
+    },
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      index: true,
+    },
+    occurrenceIndex: {
+      type: Number,
+      default: 0,
+    },
+    nextOccurrenceCreated: {
+      type: Boolean,
+      default: false,
+    },
+    // Overrides the user's reminder offsets for this task
+    reminderOffsets: {
+      type: [
+        {
+          type: Number,
+          min: [0, "El recordatorio no puede ser después del vencimiento"],
+          max: [43200, "El recordatorio no puede ser más de 30 días antes"],
+        },
+      ],
+      default: undefined,
+    },
+    labels: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Label",
+        },
+      ],
+      default: [],
+      index: true,
+    },
+    // Manual order of the task within its list (see `utils/rank.js`)
+    position: {
+      type: String,
+      default: null,
+    },
+    // Manual order of the task within its kanban status column
+    boardPosition: {
+      type: String,
+      default: null,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedWithList: {
+      type: Boolean,
+      default: false,
+    },
+    subtasks: {
+      type: [SubtaskSchema],
+      default: [],
+      validate: {
+        validator: (subtasks) => subtasks.length <= 50,
+        message: "Una tarea no puede tener más de 50 subtareas",
+      },
+    },
+  },
+  {
+    timestamps: true,
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
   },
-  { timestamps: true },
 );
 
+/**
+ * Full-text index used by the search endpoint.
+ * Matches in the title weigh more than matches in the description.
+ */
+TaskSchema.index(
+  { title: "text", description: "text" },
+  {
+    weights: { title: 3, description: 1 },
+    default_language: "spanish",
+    name: "TaskTextIndex",
+  },
+);
+
+/**
+ * Indexes used to read the tasks of a list or a kanban column in manual order.
+ */
+TaskSchema.index({ list: 1, position: 1 });
+TaskSchema.index({ status: 1, boardPosition: 1 });
+
+/**
+ * Index used by the statistics to read the tasks completed in a date range.
+ */
+TaskSchema.index({ list: 1, completedAt: 1 });
+
+/**
+ * A recurring task needs a due date to compute its next occurrence.
+ * Also starts a new series and pins the day of the month for monthly rules,
+ * so short months don't make the series drift.
+ *
+ * Updates done with `findOneAndUpdate` don't run this hook, so they go
+ * through {@link TaskDAO#update}, which applies the same rules.
+ */
+TaskSchema.pre("validate", function (next) {
+  if (this.recurrence && this.recurrence.frequency) {
+    if (!this.dueDate) {
+      this.invalidate(
+        "dueDate",
+        "Una tarea recurrente debe tener fecha de vencimiento",
+      );
+    }
+    if (!this.seriesId) {
+      this.seriesId = this._id;
+    }
+    if (
+      this.recurrence.frequency === "monthly" &&
+      !this.recurrence.byMonthDay &&
+      this.dueDate
+    ) {
+      this.recurrence.byMonthDay = this.dueDate.getUTCDate();
+    }
+  }
+  next();
+});
+
+/**
+ * The status must be one of the statuses of the task's list. New tasks
+ * without a status get the list's default one. Also keeps `completed`
+ * in sync with the status, stamping `completedAt` when the task becomes
+ * completed and clearing it when the task is reopened.
+ *
+ * Tasks that were already completed keep their `completedAt`, even none:
+ * new tasks given `completedAt: null` (copies, see `TaskDAO#duplicate`)
+ * count as completed before it was recorded.
+ *
+ * Updates done with `findOneAndUpdate` don't run this hook, so they go
+ * through {@link TaskDAO#update}, which applies the same rules.
+ */
+TaskSchema.pre("validate", async function () {
+  if (!this.list || !(this.isNew || this.isModified("status"))) return;
+
+  const list = await mongoose
+    .model("List")
+    .findById(this.list, { statuses: 1, defaultStatus: 1 })
+    .session(this.$session());
+  if (!list) return;
+
+  if (!this.status) this.status = getDefaultStatus(list);
+  const status = findStatus(list, this.status);
+  if (!status) {
+    this.invalidate("status", invalidStatusMessage(list), this.status);
+    return;
+  }
+  const wasCompleted = this.isNew
+    ? !this.$isDefault("completedAt")
+    : this.completed === true;
+  this.completed = status.done;
+  if (!status.done) this.completedAt = null;
+  else if (!wasCompleted && !this.completedAt) this.completedAt = new Date();
+});
+
+/**
+ * Ratio of completed subtasks, between 0 and 1.
+ * `null` when the task has no subtasks.
+ */
+TaskSchema.virtual("completionRatio").get(function () {
+  if (!this.subtasks || this.subtasks.length === 0) return null;
+  const done = this.subtasks.filter((s) => s.done).length;
+  return done / this.subtasks.length;
+});
+
 /**
  * Mongoose model for the Task collection.
  * Provides an interface to interact with task documents.
@@ -1,49 +1,168 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
 
+/**
+ * Format of a valid email address.
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Checks that a string is a valid IANA time zone (e.g. "America/Bogota").
+ * @param {string} timeZone - Time zone name.
+ * @returns {boolean} `true` if the runtime recognizes the time zone.
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Digest preferences schema definition.
+ *
+ * Defines if and when the user receives the digest email of open tasks.
+ * `sendTime` and `weekday` are interpreted in the user's `timezone`.
+ */
+const DigestPreferencesSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: {
+        values: ["none", "daily", "weekly"],
+        message: "La frecuencia debe ser none, daily o weekly",
+      },
+      default: "none",
+    },
+    sendTime: {
+      type: String,
+      match: [
+        /^([01]\d|2[0-3]):[0-5]\d$/,
+        "La hora debe tener el formato HH:mm",
+      ],
+      default: "08:00",
+    },
+    weekday: {
+      type: Number,
+      min: [0, "El día de la semana va de 0 (domingo) a 6 (sábado)"],
+      max: [6, "El día de la semana va de 0 (domingo) a 6 (sábado)"],
+      default: 1,
+    },
+    timezone: {
+      type: String,
+      default: "America/Bogota",
+      validate: {
+        validator: isValidTimeZone,
+        message: "Zona horaria no válida",
+      },
+    },
+    lastSentKey: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
 /**
  * User schema definition.
  *
  * Represents application users stored in MongoDB.
  * Includes authentication fields and automatic timestamps.
  */
-const UserSchema = new mongoose.Schema({
-  firstName: {
-    type: String,
-    required: [true, "Los nombres son requeridos"],
-    trim: true,
-  },
-  lastName: {
-    type: String,
-    required: [true, "Los apellidos son requeridos"],
-    trim: true,
+const UserSchema = new mongoose.Schema(
+  {
+    firstName: {
+      type: String,
+      required: [true, "Los nombres son requeridos"],
+      trim: true,
+    },
+    lastName: {
+      type: String,
+      required: [true, "Los apellidos son requeridos"],
+      trim: true,
+    },
+    age: {
+      type: Number,
+      min: [13, "El usuario debe tener al menos 13 años"],
+      required: true,
+    },
+    email: {
+      type: String,
+      required: [true, "El correo es requerido"],
+      unique: true,
+      match: [EMAIL_PATTERN, "Inserte un email válido"],
+    },
+    password: {
+      type: String,
+      required: [true, "La contraseña es requerida"],
+      match: [
+        /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[\W_]).{8,}$/,
+        "La contraseña debe tener al menos 8 caracteres, 1 mayúscula, 1 minúscula, 1 número y 1 carácter especial",
+      ],
+    },
+    // Minutes before a task's due date when reminders are sent (0 = when it is due)
+    reminderOffsets: {
+      type: [
+        {
+          type: Number,
+          min: [0, "El recordatorio no puede ser después del vencimiento"],
+          max: [43200, "El recordatorio no puede ser más de 30 días antes"],
+        },
+      ],
+      default: [1440, 60, 0],
+    },
+    digest: {
+      type: DigestPreferencesSchema,
+      default: () => ({}),
+    },
+    // SHA-256 hash of the token of the calendar feed (see `utils/tokens.js`)
+    calendarTokenHash: {
+      type: String,
+    },
+    resetPasswordToken: {
+      type: String,
+    },
+    resetPasswordExpires: {
+      type: Date,
+    },
+    // New email waiting for confirmation, and the hash of the token sent to it
+    pendingEmail: {
+      type: String,
+      trim: true,
+      match: [EMAIL_PATTERN, "Inserte un email válido"],
+    },
+    emailChangeTokenHash: {
+      type: String,
+    },
+    emailChangeExpires: {
+      type: Date,
+    },
+    // Set to false on registration until the email is verified (see `utils/verification.js`).
+    // Accounts created before verification existed don't have it and count as verified.
+    verified: {
+      type: Boolean,
+    },
+    // When the last verification email was sent, to limit resends
+    verificationSentAt: {
+      type: Date,
+    },
   },
-  age: {
-    type: Number,
-    min: [13, "El usuario debe tener al menos 13 años"],
-    required: true,
-  },
-  email: {
-    type: String,
-    required: [true, "El correo es requerido"],
-    unique: true,
-    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Inserte un email válido"],
-  },
-  password: {
-    type: String,
-    required: [true, "La contraseña es requerida"],
-    match: [
-      /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[\W_]).{8,}$/,
-      "La contraseña debe tener al menos 8 caracteres, 1 mayúscula, 1 minúscula, 1 número y 1 carácter especial",
-    ],
-  },
-  resetPasswordToken: {
-    type: String,
-  },
-  resetPasswordExpires: {
-    type: Date,
-  },
-});
+  { timestamps: true },
+);
+
+/**
+ * Index used to find the owner of a calendar feed. Users without a feed
+ * don't have the field, so they are left out.
+ */
+UserSchema.index({ calendarTokenHash: 1 }, { unique: true, sparse: true });
+
+/**
+ * Index used by the purge of accounts never verified.
+ */
+UserSchema.index({ verified: 1, createdAt: 1 });
 
 /**
  * Hashes the password after validating all fields just before saving the document.
@@ -0,0 +1,39 @@
+const express = require("express");
+const router = express.Router();
+const authenticateToken = require("../middlewares/auth");
+
+const CalendarController = require("../controllers/calendarController");
+
+/**
+ * @route POST /api/calendar/token
+ * @description Generate a new secret token (and URL) for the user's calendar feed,
+ * invalidating the previous one.
+ * @access Private (requires valid JWT)
+ */
+router.post("/token", authenticateToken, (req, res) =>
+  CalendarController.regenerateToken(req, res),
+);
+
+/**
+ * @route DELETE /api/calendar/token
+ * @description Disable the user's calendar feed.
+ * @access Private (requires valid JWT)
+ */
+router.delete("/token", authenticateToken, (req, res) =>
+  CalendarController.deleteToken(req, res),
+);
+
+/**
+ * @route GET /api/calendar/:token.ics
+ * @description iCalendar feed with every task with a due date of the user's lists.
+ * @param {string} token - The secret token of the feed.
+ * @query {string} [list] - Only tasks of this list.
+ * @query {string} [type] - "event" (default) or "todo" to render tasks as to-dos.
+ * @access Public (authorized by the feed token)
+ */
+router.get("/:token.ics", (req, res) => CalendarController.getFeed(req, res));
+
+/**
+ * Export the router instance to be mounted in the main routes file.
+ */
+module.exports = router;
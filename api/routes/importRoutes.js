@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const authenticateToken = require("../middlewares/auth");
+
+const ImportController = require("../controllers/importController");
+
+/**
+ * @route POST /api/import
+ * @description Import tasks from a CSV file, a Trello board export or a Todoist CSV export.
+ * Columns or projects become lists (reusing the user's lists with the same title).
+ * @body {string|object} - The file: CSV as `text/csv` or `text/plain`, Trello JSON as `application/json` (max 5 MB).
+ * @query {string} [source] - "csv" (default), "trello" or "todoist".
+ * @query {string} [mode] - "dry-run" (default) to report what would be imported, or "commit".
+ * @query {string} [list] - List of the tasks whose file doesn't name one (default "Importadas").
+ * @access Private (requires valid JWT)
+ */
+router.post("/", authenticateToken, (req, res) =>
+  ImportController.importTasks(req, res),
+);
+
+/**
+ * Export the router instance to be mounted in the main routes file.
+ */
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require("express");
+const router = express.Router();
+const authenticateToken = require("../middlewares/auth");
+
+const LabelController = require("../controllers/labelController");
+
+/**
+ * @route GET /api/labels
+ * @description Retrieve the labels of the user, sorted by name.
+ * @access Private (requires valid JWT)
+ */
+router.get("/", authenticateToken, (req, res) =>
+  LabelController.getUserLabels(req, res),
+);
+
+/**
+ * @route POST /api/labels
+ * @description Create a new label.
+ * @body {string} name - The name of the label.
+ * @body {string} [color] - The color of the label, as #rrggbb.
+ * @access Private (requires valid JWT)
+ */
+router.post("/", authenticateToken, (req, res) =>
+  LabelController.createLabel(req, res),
+);
+
+/**
+ * @route PUT /api/labels/:id
+ * @description Update an existing label by ID.
+ * @param {string} id - The unique identifier of the label.
+ * @body {string} [name] - Updated name (optional).
+ * @body {string} [color] - Updated color (optional).
+ * @access Private (requires valid JWT, label owner only)
+ */
+router.put("/:id", authenticateToken, (req, res) =>
+  LabelController.updateLabel(req, res),
+);
+
+/**
+ * @route DELETE /api/labels/:id
+ * @description Delete a label by ID, detaching it from every task.
+ * @param {string} id - The unique identifier of the label.
+ * @access Private (requires valid JWT, label owner only)
+ */
+router.delete("/:id", authenticateToken, (req, res) =>
+  LabelController.deleteLabel(req, res),
+);
+
+/**
+ * Export the router instance to be mounted in the main routes file.
+ */
+module.exports = router;
@@ -1,35 +1,61 @@
 const express = require("express");
 const router = express.Router();
 const authenticateToken = require("../middlewares/auth");
+const validate = require("../middlewares/validate");
 
 const ListController = require("../controllers/listController");
+const ListSchemas = require("../schemas/listSchemas");
 
 /**
  * @route GET /api/lists/get-user-lists
- * @description Retrieve all lists related to a given user.
+ * @description Retrieve one page of the lists related to a given user.
+ * @query {date} [createdAfter] - Only lists created on or after this date.
+ * @query {string} [sort] - Comma separated sort fields, `-` prefix for descending.
+ * @query {number} [limit] - Page size (default 50, max 100).
+ * @query {string} [cursor] - `nextCursor` returned by the previous page.
  * @access Private (requires valid JWT)
  */
-router.get("/get-user-lists", authenticateToken, (req, res) =>
-  ListController.getUserLists(req, res),
+router.get(
+  "/get-user-lists",
+  authenticateToken,
+  validate(ListSchemas.userLists),
+  (req, res) => ListController.getUserLists(req, res),
 );
 
 /**
  * @route GET /api/lists/get-tasks/:id
- * @description Retrieve all tasks related to a given list.
+ * @description Retrieve one page of the tasks related to a given list.
  * @param {string} id - The unique identifier of the list.
+ * @query {string} [status] - Comma separated statuses to include.
+ * @query {string} [priority] - Comma separated priorities to include.
+ * @query {date} [dueBefore] - Only tasks due on or before this date.
+ * @query {date} [dueAfter] - Only tasks due on or after this date.
+ * @query {boolean} [overdue] - Only overdue (true) or not overdue (false) tasks.
+ * @query {date} [createdAfter] - Only tasks created on or after this date.
+ * @query {string} [labels] - Comma separated label IDs.
+ * @query {string} [labelMode] - "any" (default) to match tasks with any of the labels, or "all".
+ * @query {string} [sort] - Comma separated sort fields, `-` prefix for descending.
+ * @query {string} [order] - "auto" (default) or "manual" to sort by the position users gave the tasks.
+ * @query {number} [limit] - Page size (default 50, max 100).
+ * @query {string} [cursor] - `nextCursor` returned by the previous page.
  * @access Private (requires valid JWT)
  */
-router.get("/get-tasks/:id", authenticateToken, (req, res) =>
-  ListController.getListTasks(req, res),
+router.get(
+  "/get-tasks/:id",
+  authenticateToken,
+  validate(ListSchemas.listTasks),
+  (req, res) => ListController.getListTasks(req, res),
 );
 
 /**
  * @route POST /api/lists
  * @description Create a new list.
  * @body {string} title - The title of the list.
+ * @body {object[]} [statuses] - Ordered workflow statuses (ongoing, unassigned and done by default).
+ * @body {string} [defaultStatus] - Key of the status new tasks get.
  * @access Private (requires valid JWT)
  */
-router.post("/", authenticateToken, (req, res) =>
+router.post("/", authenticateToken, validate(ListSchemas.create), (req, res) =>
   ListController.createList(req, res),
 );
 
@@ -40,18 +66,140 @@ router.post("/", authenticateToken, (req, res) =>
  * @body {string} [title] - Updated title (optional).
  * @access Private (requires valid JWT)
  */
-router.put("/:id", authenticateToken, (req, res) =>
-  ListController.updateList(req, res),
+router.put(
+  "/:id",
+  authenticateToken,
+  validate(ListSchemas.update),
+  (req, res) => ListController.updateList(req, res),
+);
+
+/**
+ * @route GET /api/lists/:id/statuses
+ * @description Retrieve the ordered workflow statuses of a list.
+ * @param {string} id - The unique identifier of the list.
+ * @access Private (requires valid JWT)
+ */
+router.get(
+  "/:id/statuses",
+  authenticateToken,
+  validate(ListSchemas.byId),
+  (req, res) => ListController.getListStatuses(req, res),
+);
+
+/**
+ * @route PUT /api/lists/:id/statuses
+ * @description Replace the workflow statuses of a list.
+ * @param {string} id - The unique identifier of the list.
+ * @body {object[]} statuses - Ordered statuses, each with `key`, `label`, `color` and `done`.
+ * @body {string} [defaultStatus] - Key of the status new tasks get.
+ * @body {object} [replacements] - Removed status key mapped to the key its tasks move to.
+ * @access Private (requires valid JWT, list owner only)
+ */
+router.put(
+  "/:id/statuses",
+  authenticateToken,
+  validate(ListSchemas.updateStatuses),
+  (req, res) => ListController.updateListStatuses(req, res),
 );
 
 /**
  * @route DELETE /api/lists/:id
- * @description Delete a list by ID.
+ * @description Delete a list by ID, deleting its tasks or moving them to another list.
+ * @param {string} id - The unique identifier of the list.
+ * @query {string} [tasks] - "delete" (default) or "move".
+ * @query {string} [target] - The list the tasks are moved to (required with tasks=move).
+ * @access Private (requires valid JWT)
+ */
+router.delete(
+  "/:id",
+  authenticateToken,
+  validate(ListSchemas.remove),
+  (req, res) => ListController.deleteList(req, res),
+);
+
+/**
+ * @route POST /api/lists/:id/duplicate
+ * @description Duplicate a list and its tasks. The copy is titled "<title> (copy)", "<title> (copy 2)"...
+ * @param {string} id - The unique identifier of the list.
+ * @access Private (requires valid JWT)
+ */
+router.post(
+  "/:id/duplicate",
+  authenticateToken,
+  validate(ListSchemas.byId),
+  (req, res) => ListController.duplicateList(req, res),
+);
+
+/**
+ * @route GET /api/lists/:id/history
+ * @description Retrieve the history of changes of a list and its tasks, newest first.
  * @param {string} id - The unique identifier of the list.
+ * @query {number} [limit] - Page size (default 50, max 100).
+ * @query {string} [cursor] - `nextCursor` returned by the previous page.
  * @access Private (requires valid JWT)
  */
-router.delete("/:id", authenticateToken, (req, res) =>
-  ListController.deleteList(req, res),
+router.get(
+  "/:id/history",
+  authenticateToken,
+  validate(ListSchemas.history),
+  (req, res) => ListController.getListHistory(req, res),
+);
+
+/**
+ * @route GET /api/lists/:id/members
+ * @description Retrieve the owner and members of a list.
+ * @param {string} id - The unique identifier of the list.
+ * @access Private (requires valid JWT)
+ */
+router.get(
+  "/:id/members",
+  authenticateToken,
+  validate(ListSchemas.byId),
+  (req, res) => ListController.getListMembers(req, res),
+);
+
+/**
+ * @route POST /api/lists/:id/members
+ * @description Share a list with a registered user.
+ * @param {string} id - The unique identifier of the list.
+ * @body {string} email - The email of the user to invite.
+ * @body {string} role - The role granted to the user (editor or viewer).
+ * @access Private (requires valid JWT, list owner only)
+ */
+router.post(
+  "/:id/members",
+  authenticateToken,
+  validate(ListSchemas.addMember),
+  (req, res) => ListController.addListMember(req, res),
+);
+
+/**
+ * @route PUT /api/lists/:id/members/:userId
+ * @description Change the role of a list member.
+ * @param {string} id - The unique identifier of the list.
+ * @param {string} userId - The unique identifier of the member.
+ * @body {string} role - The new role (editor or viewer).
+ * @access Private (requires valid JWT, list owner only)
+ */
+router.put(
+  "/:id/members/:userId",
+  authenticateToken,
+  validate(ListSchemas.updateMember),
+  (req, res) => ListController.updateListMember(req, res),
+);
+
+/**
+ * @route DELETE /api/lists/:id/members/:userId
+ * @description Remove a member from a list (or leave a shared list).
+ * @param {string} id - The unique identifier of the list.
+ * @param {string} userId - The unique identifier of the member.
+ * @access Private (requires valid JWT, list owner or the member themselves)
+ */
+router.delete(
+  "/:id/members/:userId",
+  authenticateToken,
+  validate(ListSchemas.removeMember),
+  (req, res) => ListController.removeListMember(req, res),
 );
 
 /**
@@ -2,6 +2,12 @@ const express = require("express");
 const userRoutes = require("./userRoutes");
 const taskRoutes = require("./taskRoutes");
 const listRoutes = require("./listRoutes");
+const searchRoutes = require("./searchRoutes");
+const trashRoutes = require("./trashRoutes");
+const labelRoutes = require("./labelRoutes");
+const statsRoutes = require("./statsRoutes");
+const calendarRoutes = require("./calendarRoutes");
+const importRoutes = require("./importRoutes");
 
 const router = express.Router();
 
@@ -11,6 +17,12 @@ const router = express.Router();
 router.use("/users", userRoutes);
 router.use("/tasks", taskRoutes);
 router.use("/lists", listRoutes);
+router.use("/search", searchRoutes);
+router.use("/trash", trashRoutes);
+router.use("/labels", labelRoutes);
+router.use("/stats", statsRoutes);
+router.use("/calendar", calendarRoutes);
+router.use("/import", importRoutes);
 
 /**
  * Export the main router instance.
@@ -0,0 +1,25 @@
+const express = require("express");
+const router = express.Router();
+const authenticateToken = require("../middlewares/auth");
+
+const SearchController = require("../controllers/searchController");
+
+/**
+ * @route GET /api/search
+ * @description Search tasks and lists of the user by text, sorted by relevance.
+ * @query {string} q - The text to search for.
+ * @query {string} [status] - Only tasks with this status.
+ * @query {date} [dueFrom] - Only tasks due on or after this date.
+ * @query {date} [dueTo] - Only tasks due on or before this date.
+ * @query {string} [list] - Only results of this list.
+ * @query {number} [limit] - Maximum results per type (default 20, max 50).
+ * @access Private (requires valid JWT)
+ */
+router.get("/", authenticateToken, (req, res) =>
+  SearchController.search(req, res),
+);
+
+/**
+ * Export the router instance to be mounted in the main routes file.
+ */
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require("express");
+const router = express.Router();
+const authenticateToken = require("../middlewares/auth");
+
+const StatsController = require("../controllers/statsController");
+
+/**
+ * Every statistics route accepts these query parameters:
+ * @query {date} [from] - Start of the range (default: 30 days before `to`).
+ * @query {date} [to] - End of the range (default: now). At most 366 days after `from`.
+ * @query {string} [interval] - "day" (default) or "week" (weeks start on Monday).
+ * @query {string} [list] - Only tasks of this list.
+ *
+ * Dates are grouped in the time zone of the user's digest preferences.
+ */
+
+/**
+ * @route GET /api/stats
+ * @description Retrieve every statistic at once: completed tasks per period,
+ * completion time, overdue count, per-list counts and streaks.
+ * @access Private (requires valid JWT)
+ */
+router.get("/", authenticateToken, (req, res) =>
+  StatsController.getStats(req, res),
+);
+
+/**
+ * @route GET /api/stats/completed
+ * @description Retrieve the tasks completed in the range, per day or week.
+ * @access Private (requires valid JWT)
+ */
+router.get("/completed", authenticateToken, (req, res) =>
+  StatsController.getCompleted(req, res),
+);
+
+/**
+ * @route GET /api/stats/completion-time
+ * @description Retrieve how many hours the tasks completed in the range took since their creation.
+ * @access Private (requires valid JWT)
+ */
+router.get("/completion-time", authenticateToken, (req, res) =>
+  StatsController.getCompletionTime(req, res),
+);
+
+/**
+ * @route GET /api/stats/overdue
+ * @description Retrieve the number of overdue tasks, in total and per list.
+ * @access Private (requires valid JWT)
+ */
+router.get("/overdue", authenticateToken, (req, res) =>
+  StatsController.getOverdue(req, res),
+);
+
+/**
+ * @route GET /api/stats/lists
+ * @description Retrieve the total, completed, open and overdue tasks of each list.
+ * @access Private (requires valid JWT)
+ */
+router.get("/lists", authenticateToken, (req, res) =>
+  StatsController.getLists(req, res),
+);
+
+/**
+ * @route GET /api/stats/streak
+ * @description Retrieve the current and longest streaks of days with completed tasks.
+ * @access Private (requires valid JWT)
+ */
+router.get("/streak", authenticateToken, (req, res) =>
+  StatsController.getStreak(req, res),
+);
+
+/**
+ * Export the router instance to be mounted in the main routes file.
+ */
+module.exports = router;
@@ -1,15 +1,31 @@
 const express = require("express");
 const router = express.Router();
 const authenticateToken = require("../middlewares/auth");
+const validate = require("../middlewares/validate");
 
 const TaskController = require("../controllers/taskController");
+const TaskSchemas = require("../schemas/taskSchemas");
 
 /**
- * @route POST /api/tasks/
- * @description Returns all the tasks associated to the user sorted by status.
+ * @route GET /api/tasks/
+ * @description Returns the tasks associated to the user grouped by status, one page per column.
+ * The board has one column per workflow status of the user's lists (or of `list`).
+ * @query {string} [status] - Comma separated statuses to include.
+ * @query {string} [priority] - Comma separated priorities to include.
+ * @query {string} [list] - Only tasks of this list.
+ * @query {date} [dueBefore] - Only tasks due on or before this date.
+ * @query {date} [dueAfter] - Only tasks due on or after this date.
+ * @query {boolean} [overdue] - Only overdue (true) or not overdue (false) tasks.
+ * @query {date} [createdAfter] - Only tasks created on or after this date.
+ * @query {string} [labels] - Comma separated label IDs.
+ * @query {string} [labelMode] - "any" (default) to match tasks with any of the labels, or "all".
+ * @query {string} [sort] - Comma separated sort fields, `-` prefix for descending (e.g. `-priority` for the most urgent first).
+ * @query {string} [order] - "auto" (default) or "manual" to sort each column by board position.
+ * @query {number} [limit] - Page size per column (default 50, max 100).
+ * @query {string} [cursor] - `nextCursor` of a column (requires a single `status`).
  * @access Private (requires valid JWT)
  */
-router.get("/", authenticateToken, (req, res) =>
+router.get("/", authenticateToken, validate(TaskSchemas.kanban), (req, res) =>
   TaskController.getKanbanTasks(req, res),
 );
 
@@ -18,15 +34,63 @@ router.get("/", authenticateToken, (req, res) =>
  * @description Create a new task.
  * @body {string} title - The title of the task.
  * @body {string} description - The description of the task.
- * @body {string} status - The status of the task.
+ * @body {string} [status] - The status of the task, one of its list's workflow (defaults to the list's default status).
+ * @body {string} [priority] - none (default), low, medium, high or urgent.
  * @body {date} dueDate - The due date of the task.
+ * @body {object} [recurrence] - Recurrence rule (frequency, interval, byWeekday, byMonthDay, until, count).
+ * @body {number[]} [reminderOffsets] - Minutes before the due date to send reminders.
+ * @body {string[]} [labels] - IDs of the user's labels attached to the task.
  * @body {string} list - The ID of the list who contains this task (refers to a List document).
  * @access Private (requires valid JWT)
  */
-router.post("/", authenticateToken, (req, res) =>
+router.post("/", authenticateToken, validate(TaskSchemas.create), (req, res) =>
   TaskController.createTask(req, res),
 );
 
+/**
+ * @route POST /api/tasks/bulk
+ * @description Run a batch of create/update/delete/move task operations.
+ * @body {object[]} operations - Operations (at most 100): `{ op: "create", data }`, `{ op: "update", id, data }`,
+ * `{ op: "delete", id }` or `{ op: "move", id, list }`.
+ * @body {boolean} [allOrNothing] - When true (default), the batch runs in a single transaction and nothing is saved
+ * if any operation fails; when false, each operation runs in its own transaction.
+ * @access Private (requires valid JWT)
+ */
+router.post(
+  "/bulk",
+  authenticateToken,
+  validate(TaskSchemas.bulk),
+  (req, res) => TaskController.bulkTasks(req, res),
+);
+
+/**
+ * @route POST /api/tasks/move
+ * @description Move one or many tasks to another list.
+ * @body {string[]} taskIds - IDs of the tasks to move (at most 100).
+ * @body {string} list - The ID of the list the tasks are moved to.
+ * @access Private (requires valid JWT)
+ */
+router.post(
+  "/move",
+  authenticateToken,
+  validate(TaskSchemas.move),
+  (req, res) => TaskController.moveTasks(req, res),
+);
+
+/**
+ * @route POST /api/tasks/:id/duplicate
+ * @description Duplicate a task into the same or another list.
+ * @param {string} id - The unique identifier of the task.
+ * @body {string} [list] - The ID of the list the copy belongs to (defaults to the task's list).
+ * @access Private (requires valid JWT)
+ */
+router.post(
+  "/:id/duplicate",
+  authenticateToken,
+  validate(TaskSchemas.duplicate),
+  (req, res) => TaskController.duplicateTask(req, res),
+);
+
 /**
  * @route PUT /api/tasks/:id
  * @description Update an existing task by ID.
@@ -34,21 +98,122 @@ router.post("/", authenticateToken, (req, res) =>
  * @body {string} [title] - Updated title (optional).
  * @body {string} [description] - Updated description (optional).
  * @body {string} [status] - Updated status (optional).
+ * @body {string} [priority] - Updated priority (optional).
  * @body {date} [dueDate] - Updated due date (optional).
+ * @body {object} [recurrence] - Updated recurrence rule, or null to stop repeating (optional).
+ * @body {number[]} [reminderOffsets] - Minutes before the due date to send reminders (optional).
+ * @body {string[]} [labels] - IDs of the labels attached to the task (optional).
+ * @query {string} [scope] - "occurrence" (default) or "series" for recurring tasks.
  * @access Private (requires valid JWT)
  */
-router.put("/:id", authenticateToken, (req, res) =>
-  TaskController.updateTask(req, res),
+router.put(
+  "/:id",
+  authenticateToken,
+  validate(TaskSchemas.update),
+  (req, res) => TaskController.updateTask(req, res),
 );
 
 /**
  * @route DELETE /api/tasks/:id
  * @description Delete a task by ID.
  * @param {string} id - The unique identifier of the task.
+ * @query {string} [scope] - "occurrence" (default) or "series" for recurring tasks.
+ * @access Private (requires valid JWT)
+ */
+router.delete(
+  "/:id",
+  authenticateToken,
+  validate(TaskSchemas.remove),
+  (req, res) => TaskController.deleteTask(req, res),
+);
+
+/**
+ * @route PUT /api/tasks/:id/position
+ * @description Move a task before or after another task, optionally changing its status or list.
+ * @param {string} id - The unique identifier of the task.
+ * @body {string} [before] - ID of the task the moved task is placed before.
+ * @body {string} [after] - ID of the task the moved task is placed after.
+ * @body {string} [status] - New status of the task (optional).
+ * @body {string} [list] - ID of the new list of the task (optional).
+ * @body {string} [view] - "list" (default) to move it within its list or "board" within its kanban column.
+ * @access Private (requires valid JWT)
+ */
+router.put(
+  "/:id/position",
+  authenticateToken,
+  validate(TaskSchemas.reposition),
+  (req, res) => TaskController.repositionTask(req, res),
+);
+
+/**
+ * @route GET /api/tasks/:id/history
+ * @description Retrieve the history of changes of a task, newest first.
+ * @param {string} id - The unique identifier of the task.
+ * @query {number} [limit] - Page size (default 50, max 100).
+ * @query {string} [cursor] - `nextCursor` returned by the previous page.
+ * @access Private (requires valid JWT)
+ */
+router.get(
+  "/:id/history",
+  authenticateToken,
+  validate(TaskSchemas.history),
+  (req, res) => TaskController.getTaskHistory(req, res),
+);
+
+/**
+ * @route POST /api/tasks/:id/subtasks
+ * @description Add a subtask at the end of a task's checklist.
+ * @param {string} id - The unique identifier of the task.
+ * @body {string} title - The title of the subtask.
+ * @access Private (requires valid JWT)
+ */
+router.post(
+  "/:id/subtasks",
+  authenticateToken,
+  validate(TaskSchemas.addSubtask),
+  (req, res) => TaskController.addSubtask(req, res),
+);
+
+/**
+ * @route PUT /api/tasks/:id/subtasks/order
+ * @description Reorder the subtasks of a task.
+ * @param {string} id - The unique identifier of the task.
+ * @body {string[]} subtaskIds - Every subtask ID of the task, in the new order.
+ * @access Private (requires valid JWT)
+ */
+router.put(
+  "/:id/subtasks/order",
+  authenticateToken,
+  validate(TaskSchemas.reorderSubtasks),
+  (req, res) => TaskController.reorderSubtasks(req, res),
+);
+
+/**
+ * @route PATCH /api/tasks/:id/subtasks/:subtaskId/toggle
+ * @description Toggle the done flag of a subtask.
+ * @param {string} id - The unique identifier of the task.
+ * @param {string} subtaskId - The unique identifier of the subtask.
+ * @access Private (requires valid JWT)
+ */
+router.patch(
+  "/:id/subtasks/:subtaskId/toggle",
+  authenticateToken,
+  validate(TaskSchemas.subtask),
+  (req, res) => TaskController.toggleSubtask(req, res),
+);
+
+/**
+ * @route DELETE /api/tasks/:id/subtasks/:subtaskId
+ * @description Delete a subtask from a task's checklist.
+ * @param {string} id - The unique identifier of the task.
+ * @param {string} subtaskId - The unique identifier of the subtask.
  * @access Private (requires valid JWT)
  */
-router.delete("/:id", authenticateToken, (req, res) =>
-  TaskController.deleteTask(req, res),
+router.delete(
+  "/:id/subtasks/:subtaskId",
+  authenticateToken,
+  validate(TaskSchemas.subtask),
+  (req, res) => TaskController.deleteSubtask(req, res),
 );
 
 /**
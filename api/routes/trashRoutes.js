@@ -0,0 +1,39 @@
+const express = require("express");
+const router = express.Router();
+const authenticateToken = require("../middlewares/auth");
+
+const TrashController = require("../controllers/trashController");
+
+/**
+ * @route GET /api/trash
+ * @description Retrieve the deleted lists and tasks of the user.
+ * @access Private (requires valid JWT)
+ */
+router.get("/", authenticateToken, (req, res) =>
+  TrashController.getTrash(req, res),
+);
+
+/**
+ * @route POST /api/trash/tasks/:id/restore
+ * @description Restore a deleted task.
+ * @param {string} id - The unique identifier of the task.
+ * @access Private (requires valid JWT)
+ */
+router.post("/tasks/:id/restore", authenticateToken, (req, res) =>
+  TrashController.restoreTask(req, res),
+);
+
+/**
+ * @route POST /api/trash/lists/:id/restore
+ * @description Restore a deleted list and the tasks deleted with it.
+ * @param {string} id - The unique identifier of the list.
+ * @access Private (requires valid JWT, list owner only)
+ */
+router.post("/lists/:id/restore", authenticateToken, (req, res) =>
+  TrashController.restoreList(req, res),
+);
+
+/**
+ * Export the router instance to be mounted in the main routes file.
+ */
+module.exports = router;
@@ -1,21 +1,26 @@
 const express = require("express");
 const router = express.Router();
 const authenticateToken = require("../middlewares/auth");
+const validate = require("../middlewares/validate");
 
 const UserController = require("../controllers/userController");
+const UserSchemas = require("../schemas/userSchemas");
 
 /**
  * @route GET /api/users/profile
  * @description Retrieve a user's profile info by ID.
  * @access Private (requires valid JWT)
  */
-router.get("/user-profile", authenticateToken, (req, res) =>
-  UserController.getUserProfile(req, res),
+router.get(
+  "/user-profile",
+  authenticateToken,
+  validate(UserSchemas.empty),
+  (req, res) => UserController.getUserProfile(req, res),
 );
 
 /**
  * @route POST /api/users/
- * @description Create a user.
+ * @description Create a user and send a link to verify their email.
  * @body {string} firstName - The first name of the user.
  * @body {string} lastName - The last name of the user.
  * @body {int} age - The age of the user.
@@ -24,7 +29,33 @@ router.get("/user-profile", authenticateToken, (req, res) =>
  * @body {string} confirmPassword - The password of the user.
  * @access Public
  */
-router.post("/", (req, res) => UserController.registerUser(req, res));
+router.post("/", validate(UserSchemas.register), (req, res) =>
+  UserController.registerUser(req, res),
+);
+
+/**
+ * @route POST /api/users/verify-email/:token
+ * @description Verify the email of an account using the token sent by email.
+ * @param {string} token - The verification token sent by email.
+ * @access Public
+ */
+router.post(
+  "/verify-email/:token",
+  validate(UserSchemas.verifyEmail),
+  (req, res) => UserController.verifyEmail(req, res),
+);
+
+/**
+ * @route POST /api/users/resend-verification
+ * @description Send the verification link of an unverified account again.
+ * @body {string} email - The email of the account.
+ * @access Public
+ */
+router.post(
+  "/resend-verification",
+  validate(UserSchemas.resendVerification),
+  (req, res) => UserController.resendVerification(req, res),
+);
 
 /**
  * @route POST /api/users/login
@@ -33,17 +64,142 @@ router.post("/", (req, res) => UserController.registerUser(req, res));
  * @body {string} password - The user's password.
  * @access Public
  */
-router.post("/login", (req, res) => UserController.loginUser(req, res));
+router.post("/login", validate(UserSchemas.login), (req, res) =>
+  UserController.loginUser(req, res),
+);
+
+/**
+ * @route POST /api/users/refresh-token
+ * @description Rotate a refresh token and return a new access token.
+ * @body {string} refreshToken - The refresh token returned by the last login or refresh.
+ * @access Public
+ */
+router.post("/refresh-token", validate(UserSchemas.refreshToken), (req, res) =>
+  UserController.refreshToken(req, res),
+);
+
+/**
+ * @route POST /api/users/logout
+ * @description Revoke the session of the current access token.
+ * @access Private (requires valid JWT)
+ */
+router.post(
+  "/logout",
+  authenticateToken,
+  validate(UserSchemas.empty),
+  (req, res) => UserController.logout(req, res),
+);
+
+/**
+ * @route POST /api/users/logout-all
+ * @description Revoke every session of the authenticated user.
+ * @access Private (requires valid JWT)
+ */
+router.post(
+  "/logout-all",
+  authenticateToken,
+  validate(UserSchemas.empty),
+  (req, res) => UserController.logoutAll(req, res),
+);
 
 /**
  * @route PUT /api/users/update-profile
- * @description Update an existing user by ID.
- * @body {string} [username] - Updated username (optional).
- * @body {string} [password] - Updated password (optional).
+ * @description Update the profile of the authenticated user. The email and the
+ * password have their own routes.
+ * @body {string} [firstName] - Updated first name (optional).
+ * @body {string} [lastName] - Updated last name (optional).
+ * @body {int} [age] - Updated age (optional).
+ * @body {number[]} [reminderOffsets] - Minutes before due dates to send reminders (optional).
+ * @access Private (requires valid JWT)
+ */
+router.put(
+  "/update-profile",
+  authenticateToken,
+  validate(UserSchemas.updateProfile),
+  (req, res) => UserController.updateUserProfile(req, res),
+);
+
+/**
+ * @route PUT /api/users/change-password
+ * @description Change the password of the authenticated user and revoke their other sessions.
+ * @body {string} currentPassword - The current password.
+ * @body {string} password - The new password.
+ * @body {string} confirmPassword - Confirmation of the new password.
+ * @access Private (requires valid JWT)
+ */
+router.put(
+  "/change-password",
+  authenticateToken,
+  validate(UserSchemas.changePassword),
+  (req, res) => UserController.changePassword(req, res),
+);
+
+/**
+ * @route POST /api/users/change-email
+ * @description Send a confirmation link to a new email. The email changes once it is confirmed.
+ * @body {string} email - The new email.
+ * @body {string} password - The current password.
+ * @access Private (requires valid JWT)
+ */
+router.post(
+  "/change-email",
+  authenticateToken,
+  validate(UserSchemas.changeEmail),
+  (req, res) => UserController.requestEmailChange(req, res),
+);
+
+/**
+ * @route POST /api/users/confirm-email/:token
+ * @description Confirm a pending email change using the token sent to the new email.
+ * @param {string} token - The confirmation token sent by email.
+ * @access Public
+ */
+router.post(
+  "/confirm-email/:token",
+  validate(UserSchemas.confirmEmail),
+  (req, res) => UserController.confirmEmailChange(req, res),
+);
+
+/**
+ * @route PUT /api/users/digest-preferences
+ * @description Update the digest email preferences of the user.
+ * @body {string} [frequency] - none, daily or weekly (optional).
+ * @body {string} [sendTime] - Local send time as HH:mm (optional).
+ * @body {int} [weekday] - Day of the week for weekly digests, 0 = Sunday (optional).
+ * @body {string} [timezone] - IANA time zone, e.g. America/Bogota (optional).
+ * @access Private (requires valid JWT)
+ */
+router.put(
+  "/digest-preferences",
+  authenticateToken,
+  validate(UserSchemas.digestPreferences),
+  (req, res) => UserController.updateDigestPreferences(req, res),
+);
+
+/**
+ * @route GET /api/users/digest-preview
+ * @description Render the digest email of the user as HTML without sending it.
+ * @access Private (requires valid JWT)
+ */
+router.get(
+  "/digest-preview",
+  authenticateToken,
+  validate(UserSchemas.empty),
+  (req, res) => UserController.previewDigest(req, res),
+);
+
+/**
+ * @route GET /api/users/export
+ * @description Download the user's account: profile, labels, lists and tasks as JSON,
+ * or the tasks as CSV. The export is streamed.
+ * @query {string} [format] - "json" (default) or "csv".
  * @access Private (requires valid JWT)
  */
-router.put("/update-profile", authenticateToken, (req, res) =>
-  UserController.updateUserProfile(req, res),
+router.get(
+  "/export",
+  authenticateToken,
+  validate(UserSchemas.exportAccount),
+  (req, res) => UserController.exportAccount(req, res),
 );
 
 /**
@@ -51,8 +207,11 @@ router.put("/update-profile", authenticateToken, (req, res) =>
  * @description Delete a user by ID.
  * @access Private (requires valid JWT
  */
-router.delete("/delete-user", authenticateToken, (req, res) =>
-  UserController.deleteUser(req, res),
+router.delete(
+  "/delete-user",
+  authenticateToken,
+  validate(UserSchemas.empty),
+  (req, res) => UserController.deleteUser(req, res),
 );
 
 /**
@@ -61,20 +220,24 @@ router.delete("/delete-user", authenticateToken, (req, res) =>
  * @body {string} email - The user's email.
  * @access Public
  */
-router.post("/recover-password", (req, res) =>
-  UserController.forgotPassword(req, res),
+router.post(
+  "/recover-password",
+  validate(UserSchemas.recoverPassword),
+  (req, res) => UserController.forgotPassword(req, res),
 );
 
 /**
  * @route POST /api/users/reset-password/:token
  * @description Reset password using token from email.
  * @param {string} token - The reset token sent by email.
- * @body {string} newPassword - The new password.
+ * @body {string} password - The new password.
  * @body {string} confirmPassword - Confirmation of the new password.
  * @access Public
  */
-router.post("/reset-password/:token", (req, res) =>
-  UserController.resetPassword(req, res),
+router.post(
+  "/reset-password/:token",
+  validate(UserSchemas.resetPassword),
+  (req, res) => UserController.resetPassword(req, res),
 );
 
 /**
@@ -0,0 +1,39 @@
+/**
+ * Rules shared by the request schemas of several routers
+ * (see `utils/validation.js`).
+ */
+
+/**
+ * `:id` route parameter.
+ */
+const ID_PARAMS = {
+  id: { type: "objectId", required: true },
+};
+
+/**
+ * Pagination query parameters (see `utils/queryParser.js`).
+ */
+const PAGE_QUERY = {
+  limit: { type: "integer", min: 1, max: 100 },
+  cursor: { type: "string" },
+};
+
+/**
+ * Filter and sort query parameters of the task listings. Comma separated
+ * values are checked by the task filters (see `TaskDAO`).
+ */
+const TASK_QUERY = {
+  ...PAGE_QUERY,
+  status: { type: "string" },
+  priority: { type: "string" },
+  dueBefore: { type: "date" },
+  dueAfter: { type: "date" },
+  overdue: { type: "boolean" },
+  createdAfter: { type: "date" },
+  labels: { type: "string" },
+  labelMode: { type: "string", values: ["any", "all"] },
+  sort: { type: "string" },
+  order: { type: "string", values: ["auto", "manual"] },
+};
+
+module.exports = { ID_PARAMS, PAGE_QUERY, TASK_QUERY };
@@ -0,0 +1,154 @@
+/**
+ * Request schemas of the list routes (see `utils/validation.js`).
+ */
+
+const { ID_PARAMS, PAGE_QUERY, TASK_QUERY } = require("./common");
+
+/**
+ * `:id` and `:userId` route parameters.
+ */
+const MEMBER_PARAMS = {
+  ...ID_PARAMS,
+  userId: { type: "objectId", required: true },
+};
+
+/**
+ * Workflow statuses of a list (see `utils/workflow.js`).
+ */
+const STATUSES = {
+  type: "array",
+  items: {
+    type: "object",
+    fields: {
+      key: { type: "string", required: true },
+      label: { type: "string", required: true },
+      color: { type: "string" },
+      done: { type: "boolean" },
+    },
+  },
+};
+
+/**
+ * Role of a list member.
+ */
+const ROLE = { type: "string", values: ["editor", "viewer"] };
+
+/**
+ * GET /api/lists/get-user-lists
+ */
+const userLists = {
+  query: {
+    ...PAGE_QUERY,
+    createdAfter: { type: "date" },
+    sort: { type: "string" },
+  },
+};
+
+/**
+ * GET /api/lists/get-tasks/:id
+ */
+const listTasks = {
+  params: ID_PARAMS,
+  query: TASK_QUERY,
+};
+
+/**
+ * POST /api/lists
+ */
+const create = {
+  body: {
+    title: { type: "string", required: true },
+    statuses: STATUSES,
+    defaultStatus: { type: "string", nullable: true },
+  },
+};
+
+/**
+ * PUT /api/lists/:id
+ */
+const update = {
+  params: ID_PARAMS,
+  body: {
+    title: { type: "string" },
+  },
+};
+
+/**
+ * Routes that only take the list ID: statuses, duplicate and members.
+ */
+const byId = {
+  params: ID_PARAMS,
+};
+
+/**
+ * PUT /api/lists/:id/statuses
+ */
+const updateStatuses = {
+  params: ID_PARAMS,
+  body: {
+    statuses: { ...STATUSES, required: true },
+    defaultStatus: { type: "string", nullable: true },
+    replacements: { type: "object", of: { type: "string" } },
+  },
+};
+
+/**
+ * DELETE /api/lists/:id
+ */
+const remove = {
+  params: ID_PARAMS,
+  query: {
+    tasks: { type: "string", values: ["delete", "move"] },
+    target: { type: "objectId" },
+  },
+};
+
+/**
+ * GET /api/lists/:id/history
+ */
+const history = {
+  params: ID_PARAMS,
+  query: PAGE_QUERY,
+};
+
+/**
+ * POST /api/lists/:id/members
+ */
+const addMember = {
+  params: ID_PARAMS,
+  body: {
+    email: { type: "string", required: true, trim: true },
+    role: ROLE,
+  },
+};
+
+/**
+ * PUT /api/lists/:id/members/:userId
+ */
+const updateMember = {
+  params: MEMBER_PARAMS,
+  body: {
+    role: { ...ROLE, required: true },
+  },
+};
+
+/**
+ * DELETE /api/lists/:id/members/:userId
+ */
+const removeMember = {
+  params: MEMBER_PARAMS,
+};
+
+module.exports = {
+  userLists,
+  listTasks,
+  create,
+  update,
+  byId,
+  updateStatuses,
+  remove,
+  history,
+  addMember,
+  updateMember,
+  removeMember,
+};
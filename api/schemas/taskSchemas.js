@@ -0,0 +1,212 @@
+/**
+ * Request schemas of the task routes (see `utils/validation.js`).
+ */
+
+const { ID_PARAMS, PAGE_QUERY, TASK_QUERY } = require("./common");
+
+/**
+ * Maximum number of tasks that can be moved in a single request.
+ */
+const MAX_MOVED_TASKS = 100;
+
+/**
+ * Maximum number of operations accepted by the bulk endpoint.
+ */
+const MAX_BULK_OPERATIONS = 100;
+
+/**
+ * `:id` and `:subtaskId` route parameters.
+ */
+const SUBTASK_PARAMS = {
+  ...ID_PARAMS,
+  subtaskId: { type: "objectId", required: true },
+};
+
+/**
+ * `scope` query parameter of recurring tasks.
+ */
+const SCOPE_QUERY = {
+  scope: { type: "string", values: ["occurrence", "series"] },
+};
+
+/**
+ * Recurrence rule of a task (see `utils/recurrence.js`).
+ */
+const RECURRENCE = {
+  type: "object",
+  nullable: true,
+  fields: {
+    frequency: { type: "string", required: true },
+    interval: { type: "integer" },
+    byWeekday: { type: "array", items: { type: "integer" } },
+    byMonthDay: { type: "integer" },
+    until: { type: "date", nullable: true },
+    count: { type: "integer", nullable: true },
+  },
+};
+
+/**
+ * Fields a task can be created or updated with.
+ */
+const TASK_FIELDS = {
+  title: { type: "string" },
+  description: { type: "string" },
+  status: { type: "string", trim: true },
+  priority: { type: "string" },
+  dueDate: { type: "date", nullable: true },
+  recurrence: RECURRENCE,
+  reminderOffsets: { type: "array", items: { type: "integer" } },
+  labels: { type: "array", items: { type: "objectId" } },
+};
+
+/**
+ * GET /api/tasks
+ */
+const kanban = {
+  query: {
+    ...TASK_QUERY,
+    list: { type: "objectId" },
+  },
+};
+
+/**
+ * POST /api/tasks
+ */
+const create = {
+  body: {
+    ...TASK_FIELDS,
+    title: { type: "string", required: true },
+    list: { type: "objectId", required: true },
+  },
+};
+
+/**
+ * POST /api/tasks/bulk
+ *
+ * Operations are checked one by one by the controller, so an invalid
+ * operation fails alone instead of the whole batch.
+ */
+const bulk = {
+  body: {
+    operations: {
+      type: "array",
+      required: true,
+      min: 1,
+      max: MAX_BULK_OPERATIONS,
+      items: { type: "object" },
+    },
+    allOrNothing: { type: "boolean" },
+  },
+};
+
+/**
+ * POST /api/tasks/move
+ */
+const move = {
+  body: {
+    taskIds: {
+      type: "array",
+      required: true,
+      min: 1,
+      max: MAX_MOVED_TASKS,
+      items: { type: "objectId" },
+    },
+    list: { type: "objectId", required: true },
+  },
+};
+
+/**
+ * POST /api/tasks/:id/duplicate
+ */
+const duplicate = {
+  params: ID_PARAMS,
+  body: {
+    list: { type: "objectId" },
+  },
+};
+
+/**
+ * PUT /api/tasks/:id
+ */
+const update = {
+  params: ID_PARAMS,
+  query: SCOPE_QUERY,
+  body: TASK_FIELDS,
+};
+
+/**
+ * DELETE /api/tasks/:id
+ */
+const remove = {
+  params: ID_PARAMS,
+  query: SCOPE_QUERY,
+};
+
+/**
+ * PUT /api/tasks/:id/position
+ */
+const reposition = {
+  params: ID_PARAMS,
+  body: {
+    before: { type: "objectId", nullable: true },
+    after: { type: "objectId", nullable: true },
+    status: { type: "string", trim: true },
+    list: { type: "objectId" },
+    view: { type: "string", values: ["list", "board"] },
+  },
+};
+
+/**
+ * GET /api/tasks/:id/history
+ */
+const history = {
+  params: ID_PARAMS,
+  query: PAGE_QUERY,
+};
+
+/**
+ * POST /api/tasks/:id/subtasks
+ */
+const addSubtask = {
+  params: ID_PARAMS,
+  body: {
+    title: { type: "string", required: true },
+  },
+};
+
+/**
+ * PUT /api/tasks/:id/subtasks/order
+ */
+const reorderSubtasks = {
+  params: ID_PARAMS,
+  body: {
+    subtaskIds: {
+      type: "array",
+      required: true,
+      items: { type: "objectId" },
+    },
+  },
+};
+
+/**
+ * PATCH /api/tasks/:id/subtasks/:subtaskId/toggle and
+ * DELETE /api/tasks/:id/subtasks/:subtaskId
+ */
+const subtask = {
+  params: SUBTASK_PARAMS,
+};
+
+module.exports = {
+  kanban,
+  create,
+  bulk,
+  move,
+  duplicate,
+  update,
+  remove,
+  reposition,
+  history,
+  addSubtask,
+  reorderSubtasks,
+  subtask,
+};
@@ -0,0 +1,179 @@
+/**
+ * Request schemas of the user routes (see `utils/validation.js`).
+ */
+
+const { EXPORT_FORMATS } = require("../utils/export");
+
+/**
+ * Confirmation of a new password.
+ */
+const CONFIRM_PASSWORD = {
+  type: "string",
+  equals: "password",
+  message: "Las contraseñas no coinciden",
+};
+
+/**
+ * Reminder offsets, in minutes before the due date.
+ */
+const REMINDER_OFFSETS = { type: "array", items: { type: "integer" } };
+
+/**
+ * POST /api/users
+ */
+const register = {
+  body: {
+    firstName: { type: "string", required: true },
+    lastName: { type: "string", required: true },
+    age: { type: "integer", required: true },
+    email: { type: "string", required: true, trim: true },
+    password: { type: "string", required: true },
+    confirmPassword: { ...CONFIRM_PASSWORD, required: true },
+    reminderOffsets: REMINDER_OFFSETS,
+  },
+};
+
+/**
+ * POST /api/users/verify-email/:token
+ */
+const verifyEmail = {
+  params: {
+    token: { type: "string", required: true },
+  },
+};
+
+/**
+ * POST /api/users/resend-verification
+ */
+const resendVerification = {
+  body: {
+    email: { type: "string", required: true, trim: true },
+  },
+};
+
+/**
+ * POST /api/users/login
+ */
+const login = {
+  body: {
+    email: { type: "string", required: true, trim: true },
+    password: { type: "string", required: true },
+  },
+};
+
+/**
+ * POST /api/users/refresh-token
+ */
+const refreshToken = {
+  body: {
+    refreshToken: { type: "string", required: true },
+  },
+};
+
+/**
+ * Routes that take no parameters: profile, logout, digest preview and
+ * account deletion.
+ */
+const empty = {};
+
+/**
+ * PUT /api/users/update-profile
+ */
+const updateProfile = {
+  body: {
+    firstName: { type: "string" },
+    lastName: { type: "string" },
+    age: { type: "integer" },
+    reminderOffsets: REMINDER_OFFSETS,
+  },
+};
+
+/**
+ * PUT /api/users/change-password
+ */
+const changePassword = {
+  body: {
+    currentPassword: { type: "string", required: true },
+    password: { type: "string", required: true },
+    confirmPassword: { ...CONFIRM_PASSWORD, required: true },
+  },
+};
+
+/**
+ * POST /api/users/change-email
+ */
+const changeEmail = {
+  body: {
+    email: { type: "string", required: true, trim: true },
+    password: { type: "string", required: true },
+  },
+};
+
+/**
+ * POST /api/users/confirm-email/:token
+ */
+const confirmEmail = {
+  params: {
+    token: { type: "string", required: true },
+  },
+};
+
+/**
+ * PUT /api/users/digest-preferences
+ */
+const digestPreferences = {
+  body: {
+    frequency: { type: "string" },
+    sendTime: { type: "string" },
+    weekday: { type: "integer" },
+    timezone: { type: "string" },
+  },
+};
+
+/**
+ * GET /api/users/export
+ */
+const exportAccount = {
+  query: {
+    format: { type: "string", values: EXPORT_FORMATS },
+  },
+};
+
+/**
+ * POST /api/users/recover-password
+ */
+const recoverPassword = {
+  body: {
+    email: { type: "string", required: true, trim: true },
+  },
+};
+
+/**
+ * POST /api/users/reset-password/:token
+ */
+const resetPassword = {
+  params: {
+    token: { type: "string", required: true },
+  },
+  body: {
+    password: { type: "string", required: true },
+    confirmPassword: { ...CONFIRM_PASSWORD, required: true },
+  },
+};
+
+module.exports = {
+  register,
+  verifyEmail,
+  resendVerification,
+  login,
+  refreshToken,
+  empty,
+  updateProfile,
+  changePassword,
+  changeEmail,
+  confirmEmail,
+  digestPreferences,
+  exportAccount,
+  recoverPassword,
+  resetPassword,
+};
@@ -0,0 +1,20 @@
+const { connectDB, disconnectDB } = require("../config/database");
+const { repairOrphanTasks } = require("../jobs/orphanTasks");
+
+/**
+ * One-off maintenance script that repairs the tasks whose list was deleted.
+ * The same routine also runs daily as a background job.
+ *
+ * Usage: `npm run repair-orphans`
+ */
+(async () => {
+  await connectDB();
+  try {
+    const result = await repairOrphanTasks();
+    console.log(
+      `Orphaned tasks repaired: ${result.trashed} sent to the trash, ${result.recovered} recovered`,
+    );
+  } finally {
+    await disconnectDB();
+  }
+})();
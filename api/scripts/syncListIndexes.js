@@ -0,0 +1,24 @@
+const { connectDB, disconnectDB } = require("../config/database");
+const List = require("../models/list");
+
+/**
+ * One-off migration that brings the indexes of the lists collection in line
+ * with the List model. It drops the former `{ title, user }` unique index,
+ * which kept lists in the trash blocking new lists with the same title, and
+ * builds its `{ title, user, deletedAt }` replacement.
+ *
+ * Usage: `npm run sync-list-indexes`
+ */
+(async () => {
+  await connectDB();
+  try {
+    const dropped = await List.syncIndexes();
+    console.log(
+      dropped.length
+        ? `List indexes dropped: ${dropped.join(", ")}`
+        : "List indexes already up to date",
+    );
+  } finally {
+    await disconnectDB();
+  }
+})();
@@ -0,0 +1,132 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const {
+  QueryError,
+  parseQuery,
+  parseDate,
+  parseBoolean,
+  parseEnumList,
+  parseObjectId,
+  encodeCursor,
+  decodeCursor,
+} = require("../utils/queryParser");
+
+const dao = {
+  filters: {
+    priority: (value) => ({
+      priority: { $in: parseEnumList(value, ["low", "high"], "priority") },
+    }),
+    archived: (value) => ({ archived: parseBoolean(value, "archived") }),
+  },
+  sortableFields: { title: "$title", dueDate: "$dueDate" },
+  defaultSort: [["createdAt", -1]],
+};
+
+describe("parseQuery", () => {
+  it("uses the defaults without parameters", () => {
+    assert.deepEqual(parseQuery({}, dao), {
+      filter: {},
+      sort: [["createdAt", -1]],
+      limit: 50,
+      cursor: undefined,
+    });
+  });
+
+  it("builds the declared filters and ignores the rest", () => {
+    const { filter } = parseQuery(
+      { priority: "low,high", archived: "false", owner: "x" },
+      dao,
+    );
+    assert.deepEqual(filter, {
+      $and: [{ priority: { $in: ["low", "high"] } }, { archived: false }],
+    });
+  });
+
+  it("parses the sort fields and their direction", () => {
+    assert.deepEqual(parseQuery({ sort: "-dueDate,title" }, dao).sort, [
+      ["dueDate", -1],
+      ["title", 1],
+    ]);
+  });
+
+  it("rejects fields that can't be sorted", () => {
+    assert.throws(() => parseQuery({ sort: "owner" }, dao), QueryError);
+  });
+
+  it("checks the page size", () => {
+    assert.equal(parseQuery({ limit: "20" }, dao).limit, 20);
+    assert.throws(() => parseQuery({ limit: "0" }, dao), QueryError);
+    assert.throws(() => parseQuery({ limit: "101" }, dao), QueryError);
+  });
+
+  it("uses the manual order only when the endpoint supports it", () => {
+    const manualSort = [["position", 1]];
+    assert.deepEqual(
+      parseQuery({ order: "manual" }, dao, { manualSort }).sort,
+      manualSort,
+    );
+    assert.deepEqual(parseQuery({ order: "manual" }, dao).sort, [
+      ["createdAt", -1],
+    ]);
+    assert.throws(
+      () => parseQuery({ order: "manual", sort: "title" }, dao, { manualSort }),
+      QueryError,
+    );
+    assert.throws(
+      () => parseQuery({ order: "random" }, dao, { manualSort }),
+      QueryError,
+    );
+  });
+
+  it("decodes the cursor of the previous page", () => {
+    const id = new mongoose.Types.ObjectId();
+    const { cursor } = parseQuery({ cursor: encodeCursor(id) }, dao);
+    assert.ok(cursor.equals(id));
+  });
+});
+
+describe("cursors", () => {
+  it("round-trip an ID", () => {
+    const id = new mongoose.Types.ObjectId();
+    assert.ok(decodeCursor(encodeCursor(id)).equals(id));
+  });
+
+  it("reject malformed cursors", () => {
+    assert.throws(() => decodeCursor("not-a-cursor"), /Cursor no válido/);
+  });
+});
+
+describe("parameter parsers", () => {
+  it("parse dates", () => {
+    assert.deepEqual(parseDate("2025-01-31", "from"), new Date("2025-01-31"));
+    assert.throws(() => parseDate("tomorrow", "from"), /from debe ser/);
+  });
+
+  it("parse booleans", () => {
+    assert.equal(parseBoolean("true", "archived"), true);
+    assert.equal(parseBoolean(false, "archived"), false);
+    assert.throws(() => parseBoolean("yes", "archived"), QueryError);
+  });
+
+  it("parse lists of allowed values", () => {
+    assert.deepEqual(parseEnumList("low,,high", ["low", "high"], "p"), [
+      "low",
+      "high",
+    ]);
+    assert.throws(() => parseEnumList("", ["low"], "p"), QueryError);
+    assert.throws(() => parseEnumList("mid", ["low"], "p"), QueryError);
+  });
+
+  it("parse IDs", () => {
+    const id = new mongoose.Types.ObjectId();
+    assert.ok(parseObjectId(id.toString(), "list").equals(id));
+    assert.throws(() => parseObjectId("1", "list"), /list debe ser un ID/);
+  });
+
+  it("report errors as 400 with their own code", () => {
+    const error = new QueryError("x");
+    assert.equal(error.status, 400);
+    assert.equal(error.code, "INVALID_QUERY");
+  });
+});
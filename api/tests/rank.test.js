@@ -0,0 +1,59 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { rankBetween } = require("../utils/rank");
+
+describe("rankBetween", () => {
+  it("gives the initial rank to the first document", () => {
+    assert.equal(rankBetween(null, null), "a0");
+  });
+
+  it("places ranks after and before a given one", () => {
+    assert.ok(rankBetween("a0", null) > "a0");
+    assert.ok(rankBetween(null, "a0") < "a0");
+  });
+
+  it("places a rank strictly between two ranks", () => {
+    const rank = rankBetween("a0", "a1");
+    assert.ok(rank > "a0" && rank < "a1");
+  });
+
+  it("keeps appending in order", () => {
+    let rank = null;
+    for (let i = 0; i < 1000; i++) {
+      const next = rankBetween(rank, null);
+      if (rank) assert.ok(next > rank);
+      rank = next;
+    }
+    assert.ok(rank.length <= 4);
+  });
+
+  it("keeps prepending in order", () => {
+    let rank = null;
+    for (let i = 0; i < 1000; i++) {
+      const next = rankBetween(null, rank);
+      if (rank) assert.ok(next < rank);
+      rank = next;
+    }
+  });
+
+  it("keeps inserting between the same two ranks", () => {
+    let low = "a0";
+    const high = "a1";
+    for (let i = 0; i < 200; i++) {
+      const rank = rankBetween(low, high);
+      assert.ok(rank > low && rank < high);
+      assert.ok(!rank.endsWith("0"));
+      low = rank;
+    }
+  });
+
+  it("rejects ranks that are not in order", () => {
+    assert.throws(() => rankBetween("a1", "a0"), /is not lower than/);
+    assert.throws(() => rankBetween("a1", "a1"), /is not lower than/);
+  });
+
+  it("rejects malformed ranks", () => {
+    assert.throws(() => rankBetween("!", null), /Invalid rank/);
+    assert.throws(() => rankBetween("a10", null), /Invalid rank/);
+  });
+});
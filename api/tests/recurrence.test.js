@@ -0,0 +1,83 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { nextOccurrence } = require("../utils/recurrence");
+
+const date = (iso) => new Date(iso);
+
+describe("nextOccurrence", () => {
+  it("returns null without a rule or a due date", () => {
+    assert.equal(nextOccurrence(null, date("2025-01-06T09:00:00Z")), null);
+    assert.equal(nextOccurrence({ frequency: "daily" }, null), null);
+  });
+
+  it("adds the interval of daily rules", () => {
+    assert.deepEqual(
+      nextOccurrence(
+        { frequency: "daily", interval: 3 },
+        date("2025-01-30T09:00:00Z"),
+      ),
+      date("2025-02-02T09:00:00Z"),
+    );
+  });
+
+  it("repeats weekly rules without weekdays on the same day", () => {
+    assert.deepEqual(
+      nextOccurrence({ frequency: "weekly" }, date("2025-01-06T09:00:00Z")),
+      date("2025-01-13T09:00:00Z"),
+    );
+  });
+
+  it("goes to the next weekday of weekly rules", () => {
+    const rule = { frequency: "weekly", byWeekday: [1, 3] };
+    // Monday 6 -> Wednesday 8 -> Monday 13
+    assert.deepEqual(
+      nextOccurrence(rule, date("2025-01-06T09:00:00Z")),
+      date("2025-01-08T09:00:00Z"),
+    );
+    assert.deepEqual(
+      nextOccurrence(rule, date("2025-01-08T09:00:00Z")),
+      date("2025-01-13T09:00:00Z"),
+    );
+  });
+
+  it("skips the weeks out of the interval of weekly rules", () => {
+    assert.deepEqual(
+      nextOccurrence(
+        { frequency: "weekly", interval: 2, byWeekday: [1, 3] },
+        date("2025-01-08T09:00:00Z"),
+      ),
+      date("2025-01-20T09:00:00Z"),
+    );
+  });
+
+  it("clamps the day of monthly rules to the month length", () => {
+    const rule = { frequency: "monthly", byMonthDay: 31 };
+    assert.deepEqual(
+      nextOccurrence(rule, date("2025-01-31T09:00:00Z")),
+      date("2025-02-28T09:00:00Z"),
+    );
+    assert.deepEqual(
+      nextOccurrence(rule, date("2025-02-28T09:00:00Z")),
+      date("2025-03-31T09:00:00Z"),
+    );
+  });
+
+  it("keeps the day of the due date for monthly rules without byMonthDay", () => {
+    assert.deepEqual(
+      nextOccurrence({ frequency: "monthly" }, date("2025-01-15T09:00:00Z")),
+      date("2025-02-15T09:00:00Z"),
+    );
+  });
+
+  it("ends the series after count occurrences", () => {
+    const rule = { frequency: "daily", count: 3 };
+    const from = date("2025-01-06T09:00:00Z");
+    assert.ok(nextOccurrence(rule, from, 1));
+    assert.equal(nextOccurrence(rule, from, 2), null);
+  });
+
+  it("ends the series after the until date", () => {
+    const rule = { frequency: "daily", until: "2025-01-07T00:00:00Z" };
+    assert.equal(nextOccurrence(rule, date("2025-01-06T09:00:00Z")), null);
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const {
+  signAccessToken,
+  hashToken,
+  generateRefreshToken,
+  generateCalendarToken,
+  signVerificationToken,
+  parseVerificationToken,
+  parseRefreshToken,
+  refreshTokenExpiry,
+  safeEqual,
+} = require("../utils/tokens");
+
+const user = { _id: "64b7f0c2a1b2c3d4e5f60718", email: "ana@example.com" };
+const sessionId = "64b7f0c2a1b2c3d4e5f60719";
+
+before(() => {
+  process.env.JWT_SECRET = "test-secret";
+});
+
+describe("access tokens", () => {
+  it("carry the user and the session", () => {
+    const payload = jwt.verify(
+      signAccessToken(user, sessionId),
+      process.env.JWT_SECRET,
+    );
+    assert.equal(payload.id, user._id);
+    assert.equal(payload.email, user.email);
+    assert.equal(payload.sid, sessionId);
+    assert.ok(payload.exp > payload.iat);
+  });
+});
+
+describe("refresh tokens", () => {
+  it("are made of the session ID and a secret whose hash is stored", () => {
+    const { token, hash } = generateRefreshToken(sessionId);
+    const parts = parseRefreshToken(token);
+    assert.equal(parts.sessionId, sessionId);
+    assert.equal(hashToken(parts.secret), hash);
+  });
+
+  it("are different every time", () => {
+    assert.notEqual(
+      generateRefreshToken(sessionId).token,
+      generateRefreshToken(sessionId).token,
+    );
+  });
+
+  it("are rejected when malformed", () => {
+    assert.equal(parseRefreshToken(undefined), null);
+    assert.equal(parseRefreshToken("no-dot"), null);
+    assert.equal(parseRefreshToken("123.secret"), null);
+    assert.equal(parseRefreshToken(`${sessionId}.`), null);
+  });
+
+  it("expire in the future", () => {
+    assert.ok(refreshTokenExpiry() > new Date());
+  });
+});
+
+describe("opaque tokens", () => {
+  it("store only the hash of the token", () => {
+    const { token, hash } = generateCalendarToken();
+    assert.notEqual(token, hash);
+    assert.equal(hashToken(token), hash);
+  });
+});
+
+describe("verification tokens", () => {
+  it("are parsed back to the user and email", () => {
+    const payload = parseVerificationToken(signVerificationToken(user));
+    assert.equal(payload.id, user._id);
+    assert.equal(payload.email, user.email);
+  });
+
+  it("reject other tokens", () => {
+    assert.equal(
+      parseVerificationToken(signAccessToken(user, sessionId)),
+      null,
+    );
+    assert.equal(parseVerificationToken("garbage"), null);
+    const forged = jwt.sign(
+      { id: user._id, email: user.email, purpose: "verify-email" },
+      "another-secret",
+    );
+    assert.equal(parseVerificationToken(forged), null);
+  });
+});
+
+describe("safeEqual", () => {
+  it("compares hashes", () => {
+    const hash = hashToken("secret");
+    assert.equal(safeEqual(hash, hashToken("secret")), true);
+    assert.equal(safeEqual(hash, hashToken("other")), false);
+    assert.equal(safeEqual(hash, "short"), false);
+  });
+});
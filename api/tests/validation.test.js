@@ -0,0 +1,129 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateSchema } = require("../utils/validation");
+
+describe("validateSchema", () => {
+  it("coerces values to their type", () => {
+    const { value, errors } = validateSchema(
+      {
+        limit: { type: "integer" },
+        archived: { type: "boolean" },
+        dueDate: { type: "date" },
+      },
+      { limit: "20", archived: "false", dueDate: "2025-01-31" },
+    );
+    assert.deepEqual(errors, {});
+    assert.deepEqual(value, {
+      limit: 20,
+      archived: false,
+      dueDate: new Date("2025-01-31"),
+    });
+  });
+
+  it("rejects values of another type", () => {
+    const { errors } = validateSchema(
+      {
+        limit: { type: "integer" },
+        list: { type: "objectId" },
+        tags: { type: "array" },
+      },
+      { limit: "1.5", list: "nope", tags: "a" },
+    );
+    assert.deepEqual(errors, {
+      limit: "limit debe ser un número entero",
+      list: "list debe ser un ID válido",
+      tags: "tags debe ser una lista",
+    });
+  });
+
+  it("rejects the fields the schema doesn't declare", () => {
+    const { value, errors } = validateSchema(
+      { title: { type: "string" } },
+      { title: "Tarea", owner: "x" },
+    );
+    assert.deepEqual(value, { title: "Tarea" });
+    assert.deepEqual(errors, { owner: "owner no es un campo permitido" });
+  });
+
+  it("requires the required fields, trimmed strings included", () => {
+    const schema = { title: { type: "string", required: true, trim: true } };
+    assert.deepEqual(validateSchema(schema, {}).errors, {
+      title: "title es requerido",
+    });
+    assert.deepEqual(validateSchema(schema, { title: "  " }).errors, {
+      title: "title es requerido",
+    });
+    assert.deepEqual(validateSchema(schema, { title: " Tarea " }).value, {
+      title: "Tarea",
+    });
+  });
+
+  it("accepts null only in nullable fields", () => {
+    const nullable = { dueDate: { type: "date", nullable: true } };
+    assert.deepEqual(validateSchema(nullable, { dueDate: null }).value, {
+      dueDate: null,
+    });
+    assert.deepEqual(
+      validateSchema({ dueDate: { type: "date" } }, { dueDate: null }).errors,
+      { dueDate: "dueDate debe ser una fecha válida" },
+    );
+  });
+
+  it("checks allowed values and bounds", () => {
+    const { errors } = validateSchema(
+      {
+        priority: { type: "string", values: ["low", "high"] },
+        limit: { type: "integer", min: 1, max: 100 },
+        labels: { type: "array", max: 2 },
+      },
+      { priority: "medium", limit: "0", labels: [1, 2, 3] },
+    );
+    assert.deepEqual(errors, {
+      priority: "priority debe ser uno de: low, high",
+      limit: "limit debe ser al menos 1",
+      labels: "labels no puede ser más de 2 elementos",
+    });
+  });
+
+  it("checks the items of arrays and the fields of objects", () => {
+    const { value, errors } = validateSchema(
+      {
+        offsets: { type: "array", items: { type: "integer", min: 0 } },
+        recurrence: {
+          type: "object",
+          fields: { interval: { type: "integer" } },
+        },
+      },
+      { offsets: ["5", -1], recurrence: { interval: "2", every: 1 } },
+    );
+    assert.deepEqual(value.offsets.slice(0, 1), [5]);
+    assert.deepEqual(value.recurrence, { interval: 2 });
+    assert.deepEqual(errors, {
+      "offsets.1": "offsets.1 debe ser al menos 0",
+      "recurrence.every": "recurrence.every no es un campo permitido",
+    });
+  });
+
+  it("requires equal fields whenever their sibling is sent", () => {
+    const schema = {
+      password: { type: "string" },
+      confirmPassword: { type: "string", equals: "password" },
+    };
+    assert.deepEqual(validateSchema(schema, { password: "a" }).errors, {
+      confirmPassword: "confirmPassword es requerido",
+    });
+    assert.deepEqual(
+      validateSchema(schema, { password: "a", confirmPassword: "b" }).errors,
+      { confirmPassword: "confirmPassword debe ser igual a password" },
+    );
+    assert.deepEqual(validateSchema(schema, {}).errors, {});
+  });
+
+  it("uses the rule's message when given", () => {
+    const { errors } = validateSchema(
+      { email: { type: "string", required: true, message: "Falta el correo" } },
+      {},
+    );
+    assert.deepEqual(errors, { email: "Falta el correo" });
+  });
+});
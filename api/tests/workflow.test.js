@@ -0,0 +1,112 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_STATUSES,
+  getStatuses,
+  findStatus,
+  invalidStatusMessage,
+  getDefaultStatus,
+  isCompleted,
+  mapStatus,
+  mergeStatuses,
+} = require("../utils/workflow");
+
+const customList = {
+  statuses: [
+    { key: "todo", label: "Por hacer", color: "#000000", done: false },
+    { key: "review", label: "Revisión", color: "#111111", done: false },
+    { key: "shipped", label: "Publicada", color: "#222222", done: true },
+  ],
+};
+
+describe("getStatuses", () => {
+  it("uses the default workflow for lists without statuses", () => {
+    assert.equal(getStatuses(null), DEFAULT_STATUSES);
+    assert.equal(getStatuses({ statuses: [] }), DEFAULT_STATUSES);
+    assert.equal(getStatuses(customList), customList.statuses);
+  });
+});
+
+describe("findStatus", () => {
+  it("finds a status of the list by its key", () => {
+    assert.equal(findStatus(customList, "review").label, "Revisión");
+    assert.equal(findStatus(customList, "done"), undefined);
+  });
+});
+
+describe("invalidStatusMessage", () => {
+  it("lists the keys of the workflow", () => {
+    assert.equal(
+      invalidStatusMessage(customList),
+      "El estado debe ser uno de: todo, review, shipped",
+    );
+  });
+});
+
+describe("getDefaultStatus", () => {
+  it("prefers the list's default status", () => {
+    assert.equal(
+      getDefaultStatus({ ...customList, defaultStatus: "review" }),
+      "review",
+    );
+  });
+
+  it("falls back to unassigned, then to the first open status", () => {
+    assert.equal(getDefaultStatus(null), "unassigned");
+    assert.equal(
+      getDefaultStatus({ ...customList, defaultStatus: "gone" }),
+      "todo",
+    );
+  });
+});
+
+describe("isCompleted", () => {
+  it("uses the completed flag when the task has it", () => {
+    assert.equal(isCompleted({ status: "done", completed: false }), false);
+    assert.equal(isCompleted({ status: "shipped", completed: true }), true);
+  });
+
+  it("treats legacy tasks as completed when done", () => {
+    assert.equal(isCompleted({ status: "done" }), true);
+    assert.equal(isCompleted({ status: "ongoing" }), false);
+  });
+});
+
+describe("mapStatus", () => {
+  it("keeps a status the list has", () => {
+    assert.equal(mapStatus({ status: "review" }, customList), "review");
+  });
+
+  it("moves completed tasks to the first done status", () => {
+    assert.equal(
+      mapStatus({ status: "done", completed: true }, customList),
+      "shipped",
+    );
+  });
+
+  it("moves open tasks to the default status", () => {
+    assert.equal(
+      mapStatus({ status: "ongoing", completed: false }, customList),
+      "todo",
+    );
+  });
+});
+
+describe("mergeStatuses", () => {
+  it("merges the workflows in order of first appearance", () => {
+    const columns = mergeStatuses([
+      customList,
+      {
+        statuses: [
+          { key: "review", label: "Otra", color: "#333333", done: false },
+          { key: "blocked", label: "Bloqueada", color: "#444444", done: false },
+        ],
+      },
+    ]);
+    assert.deepEqual(
+      columns.map((column) => column.key),
+      ["todo", "review", "shipped", "blocked"],
+    );
+    assert.equal(columns[1].label, "Revisión");
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Helpers to read and write CSV (RFC 4180) content.
+ */
+
+/**
+ * Formats a value as a CSV field. Fields that a spreadsheet would run as a
+ * formula are prefixed with a quote.
+ * @param {*} value - Value to format.
+ * @returns {string} Escaped field.
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parses CSV content. Quoted fields may contain separators, quotes (written
+ * twice) and line breaks. A leading byte order mark is ignored.
+ * @param {string} text - CSV content.
+ * @param {string} [separator=","] - Field separator.
+ * @returns {Array<Array<string>>} Rows with their fields, blank lines left out.
+ * @throws {Error} If a quoted field is never closed.
+ */
+function parseCsv(text, separator = ",") {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+    field = "";
+  };
+
+  const input = text.startsWith("\uFEFF") ? text.slice(1) : text;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char !== '"') field += char;
+      else if (input[i + 1] === '"') field += input[++i];
+      else quoted = false;
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n") {
+      endRow();
+    } else if (char !== "\r" || input[i + 1] !== "\n") {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error("Campo entre comillas sin cerrar");
+  endRow();
+
+  return rows;
+}
+
+module.exports = { csvField, parseCsv };
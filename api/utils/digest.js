@@ -0,0 +1,96 @@
+/**
+ * Helpers to build and render the digest email of a user's open tasks.
+ *
+ * Used both by the digest job and by the preview endpoint, so what users
+ * preview is exactly what they receive.
+ */
+
+const ListDAO = require("../dao/listDAO");
+const TaskDAO = require("../dao/taskDAO");
+const { escapeHtml } = require("./mailer");
+const { findStatus, isCompleted } = require("./workflow");
+
+/**
+ * Collects the open tasks of a user grouped by list.
+ *
+ * Tasks keep the order of {@link TaskDAO#getTasksByListOrdered} (status, then
+ * due date). Completed tasks are left out and lists without open tasks are skipped.
+ * Each task gets the `statusLabel` its list's workflow gives its status.
+ *
+ * @async
+ * @param {string} userId - ID of the user.
+ * @param {Date} [now=new Date()] - Date used to decide which tasks are overdue.
+ * @returns {Promise<{ lists: Array, totals: { ongoing: number, unassigned: number, overdue: number } }>}
+ * Lists with their open `tasks` (each flagged `overdue`) and the totals.
+ */
+async function buildDigest(userId, now = new Date()) {
+  const lists = await ListDAO.getAccessibleLists(userId);
+  const totals = { ongoing: 0, unassigned: 0, overdue: 0 };
+  const sections = [];
+
+  for (const list of lists) {
+    const tasks = (await TaskDAO.getTasksByListOrdered(list._id))
+      .filter((task) => !isCompleted(task))
+      .map((task) => ({
+        ...task,
+        statusLabel: (findStatus(list, task.status) || {}).label || task.status,
+        overdue: Boolean(task.dueDate && task.dueDate < now),
+      }));
+
+    if (tasks.length === 0) continue;
+
+    for (const task of tasks) {
+      if (totals[task.status] !== undefined) totals[task.status]++;
+      if (task.overdue) totals.overdue++;
+    }
+    sections.push({ _id: list._id, title: list.title, tasks });
+  }
+
+  return { lists: sections, totals };
+}
+
+/**
+ * Renders a digest as the HTML body of an email.
+ * @param {Object} user - User the digest is for.
+ * @param {Object} digest - Result of {@link buildDigest}.
+ * @returns {string} HTML content.
+ */
+function renderDigest(user, digest) {
+  const { totals } = digest;
+
+  const sections = digest.lists
+    .map((list) => {
+      const rows = list.tasks
+        .map(
+          (task) => `
+          <tr>
+            <td>${escapeHtml(task.title)}</td>
+            <td>${escapeHtml(task.statusLabel)}</td>
+            <td>${task.dueDate ? task.dueDate.toISOString().slice(0, 10) : "-"}</td>
+            <td>${task.overdue ? "<b>Vencida</b>" : ""}</td>
+          </tr>`,
+        )
+        .join("");
+      return `
+        <h3>${escapeHtml(list.title)}</h3>
+        <table cellpadding="4">
+          <tr><th>Tarea</th><th>Estado</th><th>Vence</th><th></th></tr>
+          ${rows}
+        </table>`;
+    })
+    .join("");
+
+  return `
+    <h2>Hola ${escapeHtml(user.firstName || "usuario")},</h2>
+    <p>Este es el resumen de tus tareas:</p>
+    <ul>
+      <li>${totals.ongoing} en curso</li>
+      <li>${totals.unassigned} sin asignar</li>
+      <li>${totals.overdue} vencidas</li>
+    </ul>
+    ${sections || "<p>No tienes tareas pendientes.</p>"}
+    <p>Saludos,<br/>Soporte de Lumo</p>
+  `;
+}
+
+module.exports = { buildDigest, renderDigest };
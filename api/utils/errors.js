@@ -0,0 +1,161 @@
+/**
+ * Typed errors of the application.
+ *
+ * Controllers and DAOs throw them instead of writing error responses, and
+ * the error handler (`middlewares/errorHandler.js`) turns them into the
+ * response: `{ code, message, fields, requestId }` with the error's status.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Base class of the errors the API answers with a client error status.
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Message for the client.
+   * @param {Object} [options={}] - Error details.
+   * @param {number} [options.status=500] - HTTP status of the response.
+   * @param {string} [options.code="INTERNAL_ERROR"] - Machine-readable code.
+   * @param {Object<string, string>} [options.fields={}] - Messages of the fields that caused the error.
+   */
+  constructor(
+    message,
+    { status = 500, code = "INTERNAL_ERROR", fields = {} } = {},
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+/**
+ * The request is not valid (400).
+ */
+class ValidationError extends AppError {
+  /**
+   * @param {string} message - Message for the client.
+   * @param {Object<string, string>} [fields={}] - Messages of the invalid fields.
+   * @param {string} [code="VALIDATION_ERROR"] - Machine-readable code.
+   */
+  constructor(message, fields = {}, code = "VALIDATION_ERROR") {
+    super(message, { status: 400, code, fields });
+  }
+}
+
+/**
+ * The request lacks valid credentials (401).
+ */
+class UnauthorizedError extends AppError {
+  /**
+   * @param {string} message - Message for the client.
+   */
+  constructor(message) {
+    super(message, { status: 401, code: "UNAUTHORIZED" });
+  }
+}
+
+/**
+ * The user is not allowed to do what the request asks (403).
+ */
+class ForbiddenError extends AppError {
+  /**
+   * @param {string} message - Message for the client.
+   */
+  constructor(message) {
+    super(message, { status: 403, code: "FORBIDDEN" });
+  }
+}
+
+/**
+ * The requested resource doesn't exist (404).
+ */
+class NotFoundError extends AppError {
+  /**
+   * @param {string} message - Message for the client.
+   */
+  constructor(message) {
+    super(message, { status: 404, code: "NOT_FOUND" });
+  }
+}
+
+/**
+ * The request conflicts with the stored data, e.g. a duplicated title (409).
+ */
+class ConflictError extends AppError {
+  /**
+   * @param {string} message - Message for the client.
+   * @param {Object<string, string>} [fields={}] - Messages of the conflicting fields.
+   */
+  constructor(message, fields = {}) {
+    super(message, { status: 409, code: "CONFLICT", fields });
+  }
+}
+
+/**
+ * Turns an error into an {@link AppError}. Errors of Mongoose, MongoDB and
+ * the body parsers that are caused by the request get their client status;
+ * anything else becomes an internal error.
+ * @param {Error} err - Error thrown while handling the request.
+ * @returns {AppError} Typed error.
+ */
+function toAppError(err) {
+  if (err instanceof AppError) return err;
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    const fields = Object.fromEntries(
+      Object.values(err.errors).map((error) => [error.path, error.message]),
+    );
+    return new ValidationError(Object.values(fields)[0], fields);
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new ValidationError(
+      `${err.path} no es válido`,
+      { [err.path]: `${err.path} no es válido` },
+      "INVALID_ID",
+    );
+  }
+
+  if (err.code === 11000) {
+    const fields = Object.fromEntries(
+      Object.keys(err.keyValue || {}).map((field) => [field, "Ya está en uso"]),
+    );
+    return new ConflictError("Ya existe un registro con esos datos", fields);
+  }
+
+  // Errors of the body parsers (invalid JSON, body too large...)
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new AppError(err.message, {
+      status: err.status,
+      code: String(err.type || "bad_request")
+        .replace(/\W+/g, "_")
+        .toUpperCase(),
+    });
+  }
+
+  return new AppError("Internal server error, try again later");
+}
+
+/**
+ * Body of the response to an error, shared by the error handler and the
+ * results of the bulk operations.
+ * @param {AppError} error - Typed error (see {@link toAppError}).
+ * @returns {{ code: string, message: string, fields: Object<string, string> }} Error body.
+ */
+function errorBody(error) {
+  return { code: error.code, message: error.message, fields: error.fields };
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  toAppError,
+  errorBody,
+};
@@ -0,0 +1,148 @@
+/**
+ * Helpers to stream the export of a user's account.
+ *
+ * Exports are written to the response as they are read from the database,
+ * so large accounts are never held in memory at once. Writes wait for the
+ * response to drain, so a slow client slows down the database cursor
+ * instead of filling the buffers.
+ */
+
+const { once } = require("events");
+const { csvField } = require("./csv");
+const { findStatus, isCompleted } = require("./workflow");
+
+/**
+ * Valid export formats.
+ */
+const EXPORT_FORMATS = ["json", "csv"];
+
+/**
+ * Columns of the tasks CSV.
+ */
+const TASK_CSV_COLUMNS = [
+  "title",
+  "description",
+  "list",
+  "status",
+  "completed",
+  "priority",
+  "dueDate",
+  "completedAt",
+  "labels",
+  "subtasks",
+  "createdAt",
+  "updatedAt",
+];
+
+/**
+ * Task fields left out of the JSON export.
+ */
+const INTERNAL_TASK_FIELDS = [
+  "__v",
+  "position",
+  "boardPosition",
+  "deletedAt",
+  "deletedWithList",
+];
+
+/**
+ * Writes a chunk, waiting for the stream to drain if its buffer is full.
+ * @async
+ * @param {import("stream").Writable} stream - Stream to write to.
+ * @param {string} chunk - Chunk to write.
+ * @returns {Promise<void>}
+ * @throws {Error} If the stream was closed (e.g. the client disconnected).
+ */
+async function write(stream, chunk) {
+  if (stream.destroyed) throw new Error("Export stream closed");
+  if (stream.write(chunk)) return;
+
+  const waiting = new AbortController();
+  try {
+    await Promise.race([
+      once(stream, "drain", { signal: waiting.signal }),
+      once(stream, "close", { signal: waiting.signal }),
+    ]);
+  } finally {
+    waiting.abort();
+  }
+}
+
+/**
+ * Streams an account as a JSON document:
+ * `{ exportedAt, profile, labels, lists, tasks }`.
+ *
+ * @async
+ * @param {import("stream").Writable} stream - Stream to write to.
+ * @param {Object} account - Account data.
+ * @param {Object} account.profile - Profile of the user.
+ * @param {Array} account.labels - Labels of the user.
+ * @param {Array} account.lists - Lists of the account.
+ * @param {AsyncIterable<Object>} account.tasks - Cursor over the plain task objects.
+ * @returns {Promise<void>} Resolves once the whole document is written.
+ */
+async function streamJsonExport(stream, { profile, labels, lists, tasks }) {
+  const header = JSON.stringify({
+    exportedAt: new Date(),
+    profile,
+    labels,
+    lists,
+  });
+  await write(stream, `${header.slice(0, -1)},"tasks":[`);
+
+  let first = true;
+  for await (const task of tasks) {
+    for (const field of INTERNAL_TASK_FIELDS) delete task[field];
+    await write(stream, (first ? "" : ",") + JSON.stringify(task));
+    first = false;
+  }
+
+  await write(stream, "]}");
+}
+
+/**
+ * Streams the tasks of an account as CSV, one row per task, with the titles
+ * of their list, status and labels resolved.
+ *
+ * @async
+ * @param {import("stream").Writable} stream - Stream to write to.
+ * @param {Object} account - Account data.
+ * @param {Array} account.labels - Labels whose names are resolved.
+ * @param {Array} account.lists - Lists of the tasks.
+ * @param {AsyncIterable<Object>} account.tasks - Cursor over the plain task objects.
+ * @returns {Promise<void>} Resolves once every row is written.
+ */
+async function streamTasksCsv(stream, { labels, lists, tasks }) {
+  const listsById = new Map(lists.map((list) => [list._id.toString(), list]));
+  const labelNames = new Map(
+    labels.map((label) => [label._id.toString(), label.name]),
+  );
+
+  // The BOM makes spreadsheets read the file as UTF-8
+  await write(stream, "\uFEFF" + TASK_CSV_COLUMNS.join(",") + "\r\n");
+
+  for await (const task of tasks) {
+    const list = listsById.get(task.list.toString());
+    const status = findStatus(list, task.status);
+    const row = {
+      ...task,
+      list: list ? list.title : "",
+      status: status ? status.label : task.status,
+      completed: isCompleted(task),
+      labels: (task.labels || [])
+        .map((id) => labelNames.get(id.toString()))
+        .filter(Boolean)
+        .join("; "),
+      subtasks: (task.subtasks || [])
+        .map((subtask) => `[${subtask.done ? "x" : " "}] ${subtask.title}`)
+        .join("; "),
+    };
+    await write(
+      stream,
+      TASK_CSV_COLUMNS.map((column) => csvField(row[column])).join(",") +
+        "\r\n",
+    );
+  }
+}
+
+module.exports = { EXPORT_FORMATS, streamJsonExport, streamTasksCsv };
@@ -0,0 +1,136 @@
+/**
+ * Helpers to render tasks as an iCalendar (RFC 5545) feed.
+ *
+ * Tasks are rendered either as events (VEVENT), which every calendar app
+ * shows, or as to-dos (VTODO), which carry the completion of the task but
+ * are only shown by apps with a to-do view.
+ */
+
+/**
+ * Valid types of the feed components.
+ */
+const FEED_TYPES = ["event", "todo"];
+
+/**
+ * iCalendar priority of each task priority (1 is the highest, 0 undefined).
+ */
+const PRIORITIES = { none: 0, low: 7, medium: 5, high: 3, urgent: 1 };
+
+/**
+ * Formats a date as an iCalendar UTC date-time (e.g. "20261019T150000Z").
+ * @param {Date} date - Date to format.
+ * @returns {string} Formatted date.
+ */
+function formatDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").slice(0, 15) + "Z";
+}
+
+/**
+ * Escapes a text value.
+ * @param {string} text - Raw text.
+ * @returns {string} Text with backslashes, separators and line breaks escaped.
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds a content line so no line is longer than 75 octets.
+ * @param {string} line - Unfolded line.
+ * @returns {string} Folded line, continuations starting with a space.
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * Renders the component of a task.
+ * @param {Object} task - Task with a `dueDate`, the `listTitle` of its list
+ * (used as category) and whether it is `completed`.
+ * @param {"event"|"todo"} type - Component type.
+ * @returns {Array<string>} Unfolded content lines.
+ */
+function renderTask(task, type) {
+  const { listTitle, completed } = task;
+  const lines = [
+    type === "todo" ? "BEGIN:VTODO" : "BEGIN:VEVENT",
+    `UID:${task._id}@lumo`,
+    `DTSTAMP:${formatDate(task.updatedAt || new Date())}`,
+    `SUMMARY:${escapeText(completed && type === "event" ? `✓ ${task.title}` : task.title)}`,
+  ];
+  if (task.description) {
+    lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  }
+  if (listTitle) lines.push(`CATEGORIES:${escapeText(listTitle)}`);
+  if (PRIORITIES[task.priority]) {
+    lines.push(`PRIORITY:${PRIORITIES[task.priority]}`);
+  }
+
+  if (type === "todo") {
+    lines.push(`DUE:${formatDate(task.dueDate)}`);
+    if (completed) {
+      lines.push("STATUS:COMPLETED", "PERCENT-COMPLETE:100");
+      if (task.completedAt) {
+        lines.push(`COMPLETED:${formatDate(task.completedAt)}`);
+      }
+    } else {
+      lines.push("STATUS:NEEDS-ACTION");
+    }
+    lines.push("END:VTODO");
+  } else {
+    // Without DTEND the event ends at the same instant it starts
+    lines.push(
+      `DTSTART:${formatDate(task.dueDate)}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT",
+    );
+  }
+
+  return lines;
+}
+
+/**
+ * Renders a calendar with one component per task.
+ * @param {Object} calendar - Calendar to render.
+ * @param {string} calendar.name - Name calendar apps show for the feed.
+ * @param {Array<Object>} calendar.tasks - Tasks with a `dueDate`, each with
+ * its `listTitle` and whether it is `completed`.
+ * @param {"event"|"todo"} [calendar.type="event"] - Component type.
+ * @returns {string} iCalendar content, with CRLF line endings.
+ */
+function renderCalendar({ name, tasks, type = "event" }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Lumo//Tareas//ES",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  for (const task of tasks) {
+    lines.push(...renderTask(task, type));
+  }
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = { FEED_TYPES, renderCalendar };
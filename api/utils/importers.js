@@ -0,0 +1,276 @@
+/**
+ * Parsers of the files accepted by the import endpoint.
+ *
+ * Each parser turns a file into the same list of items, one per task found:
+ * `{ row, list, title, description, status, completed, dueDate, priority,
+ * subtasks, error, warning }`, where `row` locates the task in the file,
+ * `list` is the title of the Lumo list it goes to, `status` is the raw
+ * status (key or label) if the file has one, and `error` marks items that
+ * can't be imported. Validation against the models happens afterwards.
+ *
+ * Supported sources:
+ * - `csv`: a CSV with a header row, like the one produced by the export.
+ * - `trello`: the JSON export of a Trello board. Each column becomes a list.
+ * - `todoist`: the CSV export of a Todoist project. The project becomes a list.
+ */
+
+const { parseCsv } = require("./csv");
+const { ValidationError } = require("./errors");
+
+/**
+ * Valid sources of an import.
+ */
+const IMPORT_SOURCES = ["csv", "trello", "todoist"];
+
+/**
+ * Maximum number of tasks a single import can hold.
+ */
+const MAX_IMPORT_TASKS = 1000;
+
+/**
+ * Column names (lowercase) accepted by the CSV import for each task field.
+ */
+const CSV_COLUMNS = {
+  title: ["title", "título", "titulo", "name", "nombre"],
+  description: ["description", "descripción", "descripcion"],
+  list: ["list", "lista"],
+  status: ["status", "estado"],
+  completed: ["completed", "completada"],
+  dueDate: ["duedate", "due", "vence", "fecha"],
+  priority: ["priority", "prioridad"],
+};
+
+/**
+ * Priority of each Todoist priority number (1 is the highest).
+ */
+const TODOIST_PRIORITIES = { 1: "urgent", 2: "high", 3: "medium", 4: "none" };
+
+/**
+ * Error thrown when an import file can't be read (400).
+ */
+class ImportError extends ValidationError {
+  constructor(message) {
+    super(message, {}, "INVALID_IMPORT");
+  }
+}
+
+/**
+ * Parses a CSV file, turning its errors into {@link ImportError}s.
+ * @param {string} text - CSV content.
+ * @returns {{ header: Array<string>, rows: Array<Array<string>> }} Header
+ * (trimmed and lowercase) and data rows.
+ * @throws {ImportError} If the content is not valid CSV or has no header.
+ */
+function readCsv(text) {
+  if (typeof text !== "string" || !text.trim()) {
+    throw new ImportError("El archivo está vacío");
+  }
+
+  let rows;
+  try {
+    rows = parseCsv(text);
+  } catch (err) {
+    throw new ImportError(`CSV no válido: ${err.message}`);
+  }
+
+  const [header, ...data] = rows;
+  return {
+    header: header.map((name) => name.trim().toLowerCase()),
+    rows: data,
+  };
+}
+
+/**
+ * Parses a date field.
+ * @param {string} value - Raw value.
+ * @returns {Date|null|undefined} The date, `null` if empty, or `undefined` if not valid.
+ */
+function parseDateField(value) {
+  if (!value || !String(value).trim()) return null;
+  const date = new Date(value);
+  return isNaN(date) ? undefined : date;
+}
+
+/**
+ * Parses a CSV with a header row. Only the `title` column is required.
+ * @param {string} text - CSV content.
+ * @param {string} defaultList - List of the rows without a `list` column.
+ * @returns {Array<Object>} Import items.
+ * @throws {ImportError} If the file can't be read.
+ */
+function parseGenericCsv(text, defaultList) {
+  const { header, rows } = readCsv(text);
+  const index = Object.fromEntries(
+    Object.entries(CSV_COLUMNS).map(([field, names]) => [
+      field,
+      header.findIndex((name) => names.includes(name)),
+    ]),
+  );
+  if (index.title < 0) {
+    throw new ImportError("El CSV debe tener una columna title");
+  }
+
+  return rows.map((values, i) => {
+    const get = (field) =>
+      index[field] >= 0 ? (values[index[field]] || "").trim() : "";
+    const dueDate = parseDateField(get("dueDate"));
+
+    return {
+      row: i + 2,
+      list: get("list") || defaultList,
+      title: get("title"),
+      description: get("description"),
+      status: get("status") || null,
+      completed: /^(true|1|x|yes|s[ií])$/i.test(get("completed")),
+      dueDate: dueDate || null,
+      priority: get("priority").toLowerCase() || undefined,
+      subtasks: [],
+      error:
+        dueDate === undefined ? "Fecha de vencimiento no válida" : undefined,
+    };
+  });
+}
+
+/**
+ * Parses the JSON export of a Trello board. Archived columns and cards are
+ * left out, and the checklists of each card become its subtasks.
+ * @param {Object} board - Trello board export.
+ * @returns {Array<Object>} Import items.
+ * @throws {ImportError} If the content is not a Trello board.
+ */
+function parseTrello(board) {
+  if (!board || !Array.isArray(board.lists) || !Array.isArray(board.cards)) {
+    throw new ImportError("El archivo no es una exportación de Trello");
+  }
+
+  const columns = new Map(
+    board.lists.filter((list) => !list.closed).map((list) => [list.id, list]),
+  );
+  const checklists = Array.isArray(board.checklists) ? board.checklists : [];
+
+  return board.cards
+    .map((card, i) => ({ card, row: i + 1 }))
+    .filter(({ card }) => !card.closed && columns.has(card.idList))
+    .map(({ card, row }) => {
+      const dueDate = parseDateField(card.due);
+      const subtasks = checklists
+        .filter((checklist) => checklist.idCard === card.id)
+        .flatMap((checklist) => checklist.checkItems || [])
+        .map((item, order) => ({
+          title: String(item.name || "").trim(),
+          done: item.state === "complete",
+          order,
+        }));
+
+      return {
+        row,
+        list: String(columns.get(card.idList).name || "").trim(),
+        title: String(card.name || "").trim(),
+        description: String(card.desc || "").trim(),
+        status: null,
+        completed: Boolean(card.dueComplete),
+        dueDate: dueDate || null,
+        priority: undefined,
+        subtasks,
+        error:
+          dueDate === undefined ? "Fecha de vencimiento no válida" : undefined,
+      };
+    });
+}
+
+/**
+ * Parses the CSV export of a Todoist project. Tasks indented under another
+ * task become its subtasks. Dates Todoist writes in natural language
+ * (e.g. "every monday") can't be read and are left out with a warning.
+ * @param {string} text - CSV content.
+ * @param {string} listTitle - List the project's tasks go to.
+ * @returns {Array<Object>} Import items.
+ * @throws {ImportError} If the content is not a Todoist export.
+ */
+function parseTodoist(text, listTitle) {
+  const { header, rows } = readCsv(text);
+  const column = (name) => header.indexOf(name);
+  const [type, content, description, priority, indent, date] = [
+    "type",
+    "content",
+    "description",
+    "priority",
+    "indent",
+    "date",
+  ].map(column);
+  if (type < 0 || content < 0) {
+    throw new ImportError("El archivo no es una exportación de Todoist");
+  }
+
+  const items = [];
+  rows.forEach((values, i) => {
+    if ((values[type] || "").trim().toLowerCase() !== "task") return;
+
+    const title = (values[content] || "").trim();
+    const parent = items[items.length - 1];
+    if (parseInt(values[indent]) > 1 && parent) {
+      parent.subtasks.push({
+        title,
+        done: false,
+        order: parent.subtasks.length,
+      });
+      return;
+    }
+
+    const dueDate = parseDateField(date >= 0 ? values[date] : "");
+    items.push({
+      row: i + 2,
+      list: listTitle,
+      title,
+      description: description >= 0 ? (values[description] || "").trim() : "",
+      status: null,
+      completed: false,
+      dueDate: dueDate || null,
+      priority: TODOIST_PRIORITIES[(values[priority] || "").trim()],
+      subtasks: [],
+      warning:
+        dueDate === undefined
+          ? `La fecha "${values[date]}" no se pudo leer y se omitió`
+          : undefined,
+    });
+  });
+
+  return items;
+}
+
+/**
+ * Parses an import file.
+ * @param {"csv"|"trello"|"todoist"} source - Format of the file.
+ * @param {string|Object} content - Text of the file, or the parsed JSON of a Trello export.
+ * @param {Object} [options={}] - Import options.
+ * @param {string} [options.list="Importadas"] - List of the tasks whose file doesn't say one.
+ * @returns {Array<Object>} Import items.
+ * @throws {ImportError} If the file can't be read or holds too many tasks.
+ */
+function parseImport(source, content, { list = "Importadas" } = {}) {
+  let items;
+  if (source === "trello") {
+    let board = content;
+    if (typeof content === "string") {
+      try {
+        board = JSON.parse(content);
+      } catch (err) {
+        throw new ImportError("El archivo no es un JSON válido");
+      }
+    }
+    items = parseTrello(board);
+  } else if (source === "todoist") {
+    items = parseTodoist(content, list);
+  } else {
+    items = parseGenericCsv(content, list);
+  }
+
+  if (items.length > MAX_IMPORT_TASKS) {
+    throw new ImportError(
+      `No se pueden importar más de ${MAX_IMPORT_TASKS} tareas a la vez`,
+    );
+  }
+  return items;
+}
+
+module.exports = { IMPORT_SOURCES, ImportError, parseImport };
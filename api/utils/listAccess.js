@@ -0,0 +1,53 @@
+/**
+ * Helpers to resolve what a user is allowed to do on a list.
+ *
+ * A list has exactly one owner (`list.user`) and any number of members,
+ * each with an `editor` or `viewer` role. Tasks inherit the permissions
+ * of the list they belong to.
+ */
+
+/**
+ * Roles ranked from least to most privileged.
+ */
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+/**
+ * Returns the role a user has on a list.
+ * @param {Object} list - List document.
+ * @param {string} userId - ID of the user.
+ * @returns {"owner"|"editor"|"viewer"|null} The role, or `null` if the user has no access.
+ */
+function getListRole(list, userId) {
+  if (!list || !userId) return null;
+  if (list.user.toString() === userId.toString()) return "owner";
+
+  const member = (list.members || []).find(
+    (m) => m.user.toString() === userId.toString(),
+  );
+  return member ? member.role : null;
+}
+
+/**
+ * Returns the role a user has on a task, based on the list it belongs to.
+ * If the list no longer exists, only the task creator keeps access.
+ * @param {Object|null} list - List document the task belongs to.
+ * @param {Object} task - Task document.
+ * @param {string} userId - ID of the user.
+ * @returns {"owner"|"editor"|"viewer"|null} The role, or `null` if the user has no access.
+ */
+function getTaskRole(list, task, userId) {
+  if (list) return getListRole(list, userId);
+  return task.user.toString() === userId.toString() ? "owner" : null;
+}
+
+/**
+ * Checks whether a role grants at least the required permissions.
+ * @param {string|null} role - Role the user has.
+ * @param {"owner"|"editor"|"viewer"} required - Minimum role needed.
+ * @returns {boolean} `true` if the role is enough.
+ */
+function hasRole(role, required) {
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[required];
+}
+
+module.exports = { getListRole, getTaskRole, hasRole };
@@ -8,7 +8,7 @@
 const nodemailer = require("nodemailer");
 
 // Transporter configurado (puedes usar Gmail u otro servicio SMTP)
-const transporter = nodemailer.createTransport({
+let transporter = nodemailer.createTransport({
   service: "gmail", 
   auth: {
     user: process.env.EMAIL_USER, // correo
@@ -37,4 +37,29 @@ async function sendMail(to, subject, html) {
   }
 }
 
-module.exports = { sendMail };
+/**
+ * Escapa los caracteres especiales de HTML de un texto ingresado por el usuario
+ * antes de incluirlo en el contenido de un correo.
+ * @param {*} value - texto a escapar
+ * @returns {string} texto seguro para insertar en HTML
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Reemplaza el transporter usado por sendMail.
+ * Permite usar un transporter de prueba (p. ej. `{ sendMail: async () => {} }`)
+ * en los tests de los jobs que envían correos.
+ * @param {Object} newTransporter - objeto con un método `sendMail(options)`
+ */
+function setTransporter(newTransporter) {
+  transporter = newTransporter;
+}
+
+module.exports = { sendMail, setTransporter, escapeHtml };
@@ -0,0 +1,188 @@
+/**
+ * Helpers to turn the query string of a collection endpoint into the
+ * options accepted by {@link GlobalDAO#paginate}.
+ *
+ * Each DAO declares which filters and sort fields it supports:
+ * - `filters`: map of query parameter name to a function that receives the raw
+ *   value (and the whole query, for filters tuned by other parameters) and
+ *   returns a MongoDB filter fragment.
+ * - `sortableFields`: map of sort field name to the aggregation expression used to sort.
+ * - `defaultSort`: sort used when the request doesn't send `sort`.
+ *
+ * Query parameters that are not declared are ignored.
+ */
+
+const mongoose = require("mongoose");
+const { ValidationError } = require("./errors");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+/**
+ * Error thrown when a query parameter is not valid (400).
+ */
+class QueryError extends ValidationError {
+  constructor(message) {
+    super(message, {}, "INVALID_QUERY");
+  }
+}
+
+/**
+ * Parses a date query parameter.
+ * @param {string|Date} value - Raw value, or the date already coerced.
+ * @param {string} name - Parameter name, used in the error message.
+ * @returns {Date} Parsed date.
+ * @throws {QueryError} If the value is not a valid date.
+ */
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (isNaN(date)) throw new QueryError(`${name} debe ser una fecha válida`);
+  return date;
+}
+
+/**
+ * Parses a boolean query parameter ("true" or "false").
+ * @param {string|boolean} value - Raw value, or the boolean already coerced.
+ * @param {string} name - Parameter name, used in the error message.
+ * @returns {boolean} Parsed boolean.
+ * @throws {QueryError} If the value is not "true" or "false".
+ */
+function parseBoolean(value, name) {
+  if (value === true || value === "true") return true;
+  if (value === false || value === "false") return false;
+  throw new QueryError(`${name} debe ser true o false`);
+}
+
+/**
+ * Parses a comma separated list of allowed values.
+ * @param {string} value - Raw value (e.g. "ongoing,done").
+ * @param {Array<string>} allowed - Allowed values.
+ * @param {string} name - Parameter name, used in the error message.
+ * @returns {Array<string>} Parsed values.
+ * @throws {QueryError} If any value is not allowed.
+ */
+function parseEnumList(value, allowed, name) {
+  const values = String(value).split(",").filter(Boolean);
+  if (values.length === 0 || !values.every((v) => allowed.includes(v))) {
+    throw new QueryError(`${name} debe ser uno de: ${allowed.join(", ")}`);
+  }
+  return values;
+}
+
+/**
+ * Parses an ObjectId query parameter.
+ * @param {string} value - Raw value.
+ * @param {string} name - Parameter name, used in the error message.
+ * @returns {import("mongoose").Types.ObjectId} Parsed ID.
+ * @throws {QueryError} If the value is not a valid ObjectId.
+ */
+function parseObjectId(value, name) {
+  if (!mongoose.isValidObjectId(value)) {
+    throw new QueryError(`${name} debe ser un ID válido`);
+  }
+  return new mongoose.Types.ObjectId(String(value));
+}
+
+/**
+ * Encodes the ID of the last returned document as an opaque cursor.
+ * @param {import("mongoose").Types.ObjectId} id - ID of the last document.
+ * @returns {string} Cursor.
+ */
+function encodeCursor(id) {
+  return Buffer.from(id.toString()).toString("base64url");
+}
+
+/**
+ * Decodes a cursor returned by a previous page.
+ * @param {string} cursor - Cursor sent by the client.
+ * @returns {import("mongoose").Types.ObjectId} ID of the last document of the previous page.
+ * @throws {QueryError} If the cursor is malformed.
+ */
+function decodeCursor(cursor) {
+  const id = Buffer.from(String(cursor), "base64url").toString();
+  if (!mongoose.isValidObjectId(id) || !/^[a-f\d]{24}$/i.test(id)) {
+    throw new QueryError("Cursor no válido");
+  }
+  return new mongoose.Types.ObjectId(id);
+}
+
+/**
+ * Builds the filter and pagination options of a request.
+ *
+ * Supported parameters besides the DAO filters:
+ * - `sort`: comma separated fields, prefixed with `-` for descending order (e.g. `-dueDate,title`).
+ * - `limit`: page size (default 50, max 100).
+ * - `cursor`: `nextCursor` returned by the previous page.
+ * - `order`: `auto` (default) or `manual`, when the endpoint supports a manual order.
+ *   The manual order replaces `sort`, so both can't be sent together.
+ *
+ * @param {Object} query - `req.query` of the request.
+ * @param {Object} dao - DAO that declares `filters`, `sortableFields` and `defaultSort`.
+ * @param {Object} [options={}] - Endpoint options.
+ * @param {Array<[string, number]>} [options.manualSort] - Sort used with `order=manual`.
+ * Without it the `order` parameter is ignored.
+ * @returns {{ filter: Object, sort: Array, limit: number, cursor: (import("mongoose").Types.ObjectId|undefined) }}
+ * Options to pass to {@link GlobalDAO#paginate}.
+ * @throws {QueryError} If any parameter is not valid.
+ */
+function parseQuery(query, dao, { manualSort } = {}) {
+  const conditions = [];
+  for (const [name, build] of Object.entries(dao.filters || {})) {
+    if (query[name] !== undefined && query[name] !== "") {
+      conditions.push(build(query[name], query));
+    }
+  }
+
+  let sort = dao.defaultSort || [];
+  if (query.sort) {
+    sort = String(query.sort)
+      .split(",")
+      .filter(Boolean)
+      .map((token) => {
+        const desc = token.startsWith("-");
+        const field = desc ? token.slice(1) : token;
+        if (!(field in (dao.sortableFields || {}))) {
+          throw new QueryError(`No se puede ordenar por ${field}`);
+        }
+        return [field, desc ? -1 : 1];
+      });
+  }
+
+  if (manualSort && query.order !== undefined) {
+    if (!["auto", "manual"].includes(query.order)) {
+      throw new QueryError("order debe ser auto o manual");
+    }
+    if (query.order === "manual") {
+      if (query.sort) {
+        throw new QueryError("sort no se puede usar con order=manual");
+      }
+      sort = manualSort;
+    }
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new QueryError(`limit debe estar entre 1 y ${MAX_LIMIT}`);
+    }
+  }
+
+  return {
+    filter: conditions.length ? { $and: conditions } : {},
+    sort,
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor) : undefined,
+  };
+}
+
+module.exports = {
+  QueryError,
+  parseQuery,
+  parseDate,
+  parseBoolean,
+  parseEnumList,
+  parseObjectId,
+  encodeCursor,
+  decodeCursor,
+};
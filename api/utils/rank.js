@@ -0,0 +1,166 @@
+/**
+ * Lexicographic ranks used to keep a manual order of documents.
+ *
+ * A rank is a string that sorts correctly with a plain string comparison
+ * (MongoDB's default for strings). Between any two ranks there is always
+ * another one, so moving a document only rewrites that document.
+ *
+ * A rank has an integer part and an optional fractional part, both written
+ * with base-62 digits. The first character of the integer part encodes its
+ * length (`a` to `z` for positive integers, `Z` to `A` for negative ones), so
+ * appending or prepending many documents only makes ranks grow logarithmically.
+ * Fractional parts never end in "0", which keeps every rank unique.
+ */
+
+const DIGITS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+const LAST_DIGIT = DIGITS[DIGITS.length - 1];
+
+/**
+ * Rank given to the first document of an empty collection.
+ */
+const INITIAL_RANK = "a0";
+
+/**
+ * Smallest integer part. No rank can be placed before it without a fractional part.
+ */
+const SMALLEST_INTEGER = "A" + "0".repeat(26);
+
+/**
+ * Returns the length of the integer part that starts with the given character.
+ * @param {string} head - First character of a rank.
+ * @returns {number} Length of the integer part, head included.
+ * @throws {Error} If the character is not a valid head.
+ */
+function integerLength(head) {
+  if (head >= "a" && head <= "z") {
+    return head.charCodeAt(0) - "a".charCodeAt(0) + 2;
+  }
+  if (head >= "A" && head <= "Z") {
+    return "Z".charCodeAt(0) - head.charCodeAt(0) + 2;
+  }
+  throw new Error(`Invalid rank: ${head}`);
+}
+
+/**
+ * Splits a rank into its integer and fractional parts.
+ * @param {string} rank - Rank to split.
+ * @returns {[string, string]} Integer part and fractional part.
+ * @throws {Error} If the rank is malformed.
+ */
+function splitRank(rank) {
+  const length = integerLength(rank[0]);
+  const fraction = rank.slice(length);
+  if (length > rank.length || fraction.endsWith("0")) {
+    throw new Error(`Invalid rank: ${rank}`);
+  }
+  return [rank.slice(0, length), fraction];
+}
+
+/**
+ * Returns a fractional part strictly between `a` and `b`.
+ * @param {string} a - Lower fractional part ("" for the lowest possible).
+ * @param {string|null} b - Upper fractional part (`null` for no upper bound).
+ * @returns {string} Fractional part between both.
+ */
+function midpoint(a, b) {
+  if (b !== null) {
+    // Keep the common prefix, padding `a` with zeros
+    let n = 0;
+    while ((a[n] || "0") === b[n]) n++;
+    if (n > 0) return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+  if (b && b.length > 1) return b[0];
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+/**
+ * Returns the integer part that follows the given one.
+ * @param {string} integer - Integer part.
+ * @returns {string|null} Next integer part, or `null` if it is the largest one.
+ */
+function incrementInteger(integer) {
+  const [head, ...digits] = integer;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    const digit = DIGITS.indexOf(digits[i]) + 1;
+    if (digit < DIGITS.length) {
+      digits[i] = DIGITS[digit];
+      return head + digits.join("");
+    }
+    digits[i] = "0";
+  }
+
+  if (head === "Z") return "a0";
+  if (head === "z") return null;
+  const nextHead = String.fromCharCode(head.charCodeAt(0) + 1);
+  if (nextHead > "a") digits.push("0");
+  else digits.pop();
+  return nextHead + digits.join("");
+}
+
+/**
+ * Returns the integer part that precedes the given one.
+ * @param {string} integer - Integer part.
+ * @returns {string|null} Previous integer part, or `null` if it is the smallest one.
+ */
+function decrementInteger(integer) {
+  const [head, ...digits] = integer;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    const digit = DIGITS.indexOf(digits[i]) - 1;
+    if (digit >= 0) {
+      digits[i] = DIGITS[digit];
+      return head + digits.join("");
+    }
+    digits[i] = LAST_DIGIT;
+  }
+
+  if (head === "a") return "Z" + LAST_DIGIT;
+  if (head === "A") return null;
+  const previousHead = String.fromCharCode(head.charCodeAt(0) - 1);
+  if (previousHead < "Z") digits.push(LAST_DIGIT);
+  else digits.pop();
+  return previousHead + digits.join("");
+}
+
+/**
+ * Returns a rank placed between two ranks.
+ *
+ * @param {string|null} before - Rank of the previous document (`null` to place first).
+ * @param {string|null} after - Rank of the next document (`null` to place last).
+ * @returns {string} New rank, greater than `before` and lower than `after`.
+ * @throws {Error} If a rank is malformed or `before` is not lower than `after`.
+ */
+function rankBetween(before, after) {
+  if (before && after && before >= after) {
+    throw new Error(`Rank ${before} is not lower than ${after}`);
+  }
+
+  if (!before && !after) return INITIAL_RANK;
+
+  if (!before) {
+    const [integer, fraction] = splitRank(after);
+    if (integer === SMALLEST_INTEGER) return integer + midpoint("", fraction);
+    if (fraction) return integer;
+    return decrementInteger(integer);
+  }
+
+  const [integer, fraction] = splitRank(before);
+  if (!after) {
+    const next = incrementInteger(integer);
+    return next === null ? integer + midpoint(fraction, null) : next;
+  }
+
+  const [afterInteger, afterFraction] = splitRank(after);
+  if (integer === afterInteger)
+    return integer + midpoint(fraction, afterFraction);
+  const next = incrementInteger(integer);
+  if (next !== null && next < after) return next;
+  return integer + midpoint(fraction, null);
+}
+
+module.exports = { rankBetween };
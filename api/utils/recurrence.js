@@ -0,0 +1,123 @@
+/**
+ * Helpers to compute the occurrences of recurring tasks.
+ *
+ * A recurrence rule follows a reduced RRULE model:
+ * - `frequency`: "daily", "weekly" or "monthly".
+ * - `interval`: repeat every N days/weeks/months (defaults to 1).
+ * - `byWeekday`: for weekly rules, days of the week (0 = Sunday ... 6 = Saturday).
+ * - `byMonthDay`: for monthly rules, day of the month (clamped to the month length).
+ * - `until`: no occurrence may fall after this date.
+ * - `count`: maximum number of occurrences in the series.
+ *
+ * All calculations are done in UTC and keep the time of day of the previous occurrence.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Adds a number of days to a date.
+ * @param {Date} date - Base date.
+ * @param {number} days - Days to add.
+ * @returns {Date} New date.
+ */
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+/**
+ * Returns the Monday (UTC midnight) of the week a date belongs to.
+ * @param {Date} date - Any date.
+ * @returns {Date} Start of the week.
+ */
+function startOfWeek(date) {
+  const day = (date.getUTCDay() + 6) % 7; // 0 = Monday
+  const start = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+  );
+  return addDays(start, -day);
+}
+
+/**
+ * Returns the number of days of a month.
+ * @param {number} year - Full year.
+ * @param {number} month - Month index (0 = January), may overflow.
+ * @returns {number} Days in that month.
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Builds a date on the given month keeping the time of day of `from`.
+ * @param {Date} from - Date that provides the time of day.
+ * @param {number} monthOffset - Months to add to `from`'s month.
+ * @param {number} day - Wanted day of the month.
+ * @returns {Date} New date, with the day clamped to the month length.
+ */
+function dateInMonth(from, monthOffset, day) {
+  const year = from.getUTCFullYear();
+  const month = from.getUTCMonth() + monthOffset;
+  return new Date(
+    Date.UTC(
+      year,
+      month,
+      Math.min(day, daysInMonth(year, month)),
+      from.getUTCHours(),
+      from.getUTCMinutes(),
+      from.getUTCSeconds(),
+      from.getUTCMilliseconds(),
+    ),
+  );
+}
+
+/**
+ * Computes the next date of a recurring task.
+ *
+ * @param {Object} rule - Recurrence rule (see module description).
+ * @param {Date} from - Due date of the current occurrence.
+ * @param {number} [occurrenceIndex=0] - Zero-based index of the current occurrence in the series.
+ * @returns {Date|null} Due date of the next occurrence, or `null` if the series is over.
+ */
+function nextOccurrence(rule, from, occurrenceIndex = 0) {
+  if (!rule || !rule.frequency || !from) return null;
+  if (rule.count && occurrenceIndex + 1 >= rule.count) return null;
+
+  const interval = rule.interval || 1;
+  const current = new Date(from);
+  let next = null;
+
+  if (rule.frequency === "daily") {
+    next = addDays(current, interval);
+  } else if (rule.frequency === "weekly") {
+    const weekdays = rule.byWeekday || [];
+    if (weekdays.length === 0) {
+      next = addDays(current, 7 * interval);
+    } else {
+      const baseWeek = startOfWeek(current).getTime();
+      for (let i = 1; i <= 7 * interval + 7; i++) {
+        const candidate = addDays(current, i);
+        const weeks = Math.round(
+          (startOfWeek(candidate).getTime() - baseWeek) / (7 * DAY_MS),
+        );
+        if (
+          weeks % interval === 0 &&
+          weekdays.includes(candidate.getUTCDay())
+        ) {
+          next = candidate;
+          break;
+        }
+      }
+    }
+  } else if (rule.frequency === "monthly") {
+    const day = rule.byMonthDay || current.getUTCDate();
+    const sameMonth = dateInMonth(current, 0, day);
+    next =
+      sameMonth > current ? sameMonth : dateInMonth(current, interval, day);
+  }
+
+  if (!next) return null;
+  if (rule.until && next > new Date(rule.until)) return null;
+  return next;
+}
+
+module.exports = { nextOccurrence };
@@ -0,0 +1,162 @@
+/**
+ * Helpers to issue and verify the tokens used by the login flow.
+ *
+ * - Access tokens are short-lived JWTs that carry the session ID (`sid`),
+ *   so {@link authenticateToken} can reject them once the session is revoked.
+ * - Refresh tokens are opaque strings of the form `<sessionId>.<secret>`.
+ *   Only a SHA-256 hash of the secret is stored in the session document.
+ * - Calendar tokens are opaque secrets that authorize a user's calendar feed
+ *   until they are regenerated. Only their SHA-256 hash is stored in the user.
+ * - Email tokens are opaque secrets sent by email to confirm an address.
+ *   Only their SHA-256 hash is stored in the user, until they expire.
+ * - Verification tokens are JWTs sent by email to verify the address of a
+ *   new account. They are bound to the user and the email they were sent
+ *   to, so nothing needs to be stored.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const EMAIL_TOKEN_TTL_HOURS = Number(process.env.EMAIL_TOKEN_TTL_HOURS) || 24;
+
+/**
+ * Signs an access token for a user session.
+ * @param {Object} user - User document (needs `_id` and `email`).
+ * @param {string} sessionId - ID of the session the token belongs to.
+ * @returns {string} Signed JWT.
+ */
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user._id, email: user.email, sid: sessionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN },
+  );
+}
+
+/**
+ * Hashes a refresh token secret before storing or comparing it.
+ * @param {string} secret - Raw secret part of the refresh token.
+ * @returns {string} Hex encoded SHA-256 hash.
+ */
+function hashToken(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+/**
+ * Generates a new refresh token for a session.
+ * @param {string} sessionId - ID of the session the token belongs to.
+ * @returns {{ token: string, hash: string }} Token to hand to the client and hash to persist.
+ */
+function generateRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(48).toString("hex");
+  return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+}
+
+/**
+ * Generates a new opaque token.
+ * @returns {{ token: string, hash: string }} Token to hand to the client and hash to persist.
+ */
+function generateOpaqueToken() {
+  const token = crypto.randomBytes(32).toString("hex");
+  return { token, hash: hashToken(token) };
+}
+
+/**
+ * Generates a new calendar feed token.
+ * @returns {{ token: string, hash: string }} Token to hand to the client and hash to persist.
+ */
+function generateCalendarToken() {
+  return generateOpaqueToken();
+}
+
+/**
+ * Generates a new email confirmation token.
+ * @returns {{ token: string, hash: string }} Token to send by email and hash to persist.
+ */
+function generateEmailToken() {
+  return generateOpaqueToken();
+}
+
+/**
+ * Computes the expiration date of an email token issued now.
+ * @returns {Date} Expiration date.
+ */
+function emailTokenExpiry() {
+  return new Date(Date.now() + EMAIL_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Signs a token to verify the email of a user.
+ * @param {Object} user - User document (needs `_id` and `email`).
+ * @returns {string} Signed JWT, valid for `EMAIL_TOKEN_TTL_HOURS`.
+ */
+function signVerificationToken(user) {
+  return jwt.sign(
+    { id: user._id, email: user.email, purpose: "verify-email" },
+    process.env.JWT_SECRET,
+    { expiresIn: `${EMAIL_TOKEN_TTL_HOURS}h` },
+  );
+}
+
+/**
+ * Verifies a token issued by {@link signVerificationToken}.
+ * @param {string} token - Token sent by the client.
+ * @returns {{ id: string, email: string }|null} Payload, or `null` if the
+ * token is invalid, expired or not a verification token.
+ */
+function parseVerificationToken(token) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === "verify-email" ? payload : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Splits a refresh token into its session ID and secret.
+ * @param {string} token - Refresh token sent by the client.
+ * @returns {{ sessionId: string, secret: string }|null} Parts, or `null` if malformed.
+ */
+function parseRefreshToken(token) {
+  if (typeof token !== "string") return null;
+  const [sessionId, secret] = token.split(".");
+  if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+/**
+ * Computes the expiration date of a refresh token issued now.
+ * @returns {Date} Expiration date.
+ */
+function refreshTokenExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Compares two hashes in constant time.
+ * @param {string} a - First hash.
+ * @param {string} b - Second hash.
+ * @returns {boolean} `true` if both hashes are equal.
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+module.exports = {
+  signAccessToken,
+  hashToken,
+  generateRefreshToken,
+  generateCalendarToken,
+  generateEmailToken,
+  emailTokenExpiry,
+  signVerificationToken,
+  parseVerificationToken,
+  parseRefreshToken,
+  refreshTokenExpiry,
+  safeEqual,
+};
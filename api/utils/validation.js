@@ -0,0 +1,187 @@
+/**
+ * Declarative validation of request data.
+ *
+ * A schema maps each allowed field to a rule. Fields the schema doesn't
+ * declare are rejected, and values are coerced to their type, so query
+ * strings like `limit=20` or JSON dates like `"2025-01-31"` reach the
+ * controllers as numbers and `Date`s.
+ *
+ * Rule options:
+ * - `type`: "string", "number", "integer", "boolean", "date", "objectId",
+ *   "array", "object" or "any".
+ * - `required`: the field must be present (and not empty, for strings).
+ * - `nullable`: `null` is accepted as is (e.g. to clear a date).
+ * - `values`: allowed values.
+ * - `min` / `max`: bounds of numbers, and of the length of arrays.
+ * - `trim`: trims strings before checking them.
+ * - `items`: rule of the items of an array.
+ * - `fields`: schema of an object; without it any object is accepted,
+ *   checking its values with `of` if given.
+ * - `equals`: name of a sibling field the value must match. The field is
+ *   then required whenever the sibling is sent (e.g. `confirmPassword`).
+ * - `message`: message used instead of the generated one.
+ *
+ * Business rules (lengths, formats, permissions...) stay in the models
+ * and controllers; schemas only check the shape of the request.
+ */
+
+/**
+ * Checks a value against a type, coercing it when the type allows it.
+ * Each checker returns the coerced value, or `undefined` if the value is
+ * not of the type.
+ */
+const TYPES = {
+  string: (value) => (typeof value === "string" ? value : undefined),
+  number: (value) => {
+    const number =
+      typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    return typeof number === "number" && isFinite(number) ? number : undefined;
+  },
+  integer: (value) => {
+    const number = TYPES.number(value);
+    return Number.isInteger(number) ? number : undefined;
+  },
+  boolean: (value) => {
+    if (value === true || value === "true") return true;
+    if (value === false || value === "false") return false;
+    return undefined;
+  },
+  date: (value) => {
+    if (typeof value !== "string" && typeof value !== "number") {
+      return value instanceof Date && !isNaN(value) ? value : undefined;
+    }
+    const date = new Date(value);
+    return isNaN(date) ? undefined : date;
+  },
+  objectId: (value) =>
+    typeof value === "string" && /^[a-f\d]{24}$/i.test(value)
+      ? value
+      : undefined,
+  array: (value) => (Array.isArray(value) ? value : undefined),
+  object: (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value)
+      ? value
+      : undefined,
+  any: (value) => value,
+};
+
+/**
+ * Message of each type when a value doesn't match it.
+ */
+const TYPE_MESSAGES = {
+  string: "debe ser texto",
+  number: "debe ser un número",
+  integer: "debe ser un número entero",
+  boolean: "debe ser true o false",
+  date: "debe ser una fecha válida",
+  objectId: "debe ser un ID válido",
+  array: "debe ser una lista",
+  object: "debe ser un objeto",
+};
+
+/**
+ * Checks a single value against its rule.
+ * @param {Object} rule - Rule of the value.
+ * @param {*} value - Value to check.
+ * @param {string} path - Path of the value, used in the error messages.
+ * @param {Object} siblings - Object holding the value, for `equals`.
+ * @param {Object<string, string>} errors - Collects the messages by path.
+ * @returns {*} The coerced value (meaningless if an error was added).
+ */
+function checkValue(rule, value, path, siblings, errors) {
+  const fail = (message) => {
+    errors[path] = rule.message || `${path} ${message}`;
+  };
+
+  if (value === null && rule.nullable) return null;
+
+  const coerced = (TYPES[rule.type] || TYPES.any)(
+    rule.trim && typeof value === "string" ? value.trim() : value,
+  );
+  if (coerced === undefined) return fail(TYPE_MESSAGES[rule.type]);
+
+  if (rule.required && coerced === "") return fail("es requerido");
+  if (rule.values && !rule.values.includes(coerced)) {
+    return fail(`debe ser uno de: ${rule.values.join(", ")}`);
+  }
+  if (rule.equals && coerced !== siblings[rule.equals]) {
+    return fail(`debe ser igual a ${rule.equals}`);
+  }
+
+  const size = Array.isArray(coerced) ? coerced.length : coerced;
+  const unit = Array.isArray(coerced) ? " elementos" : "";
+  if (typeof size === "number") {
+    if (rule.min !== undefined && size < rule.min) {
+      return fail(`debe ser al menos ${rule.min}${unit}`);
+    }
+    if (rule.max !== undefined && size > rule.max) {
+      return fail(`no puede ser más de ${rule.max}${unit}`);
+    }
+  }
+
+  if (rule.type === "array" && rule.items) {
+    return coerced.map((item, i) =>
+      checkValue(rule.items, item, `${path}.${i}`, coerced, errors),
+    );
+  }
+  if (rule.type === "object" && rule.fields) {
+    return checkFields(rule.fields, coerced, errors, `${path}.`);
+  }
+  if (rule.type === "object" && rule.of) {
+    return Object.fromEntries(
+      Object.entries(coerced).map(([key, item]) => [
+        key,
+        checkValue(rule.of, item, `${path}.${key}`, coerced, errors),
+      ]),
+    );
+  }
+  return coerced;
+}
+
+/**
+ * Checks an object against a schema.
+ * @param {Object<string, Object>} schema - Rule of each allowed field.
+ * @param {Object} data - Object to check.
+ * @param {Object<string, string>} errors - Collects the messages by path.
+ * @param {string} [prefix=""] - Path of the object, used in the error messages.
+ * @returns {Object} The object with its values coerced. Fields that were
+ * not sent are left out.
+ */
+function checkFields(schema, data, errors, prefix = "") {
+  const result = {};
+
+  for (const field of Object.keys(data)) {
+    if (!Object.hasOwn(schema, field)) {
+      errors[prefix + field] = `${prefix + field} no es un campo permitido`;
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = data[field];
+    if (value === undefined) {
+      if (rule.required || (rule.equals && data[rule.equals] !== undefined)) {
+        errors[prefix + field] =
+          rule.message || `${prefix + field} es requerido`;
+      }
+      continue;
+    }
+    result[field] = checkValue(rule, value, prefix + field, data, errors);
+  }
+
+  return result;
+}
+
+/**
+ * Validates an object against a schema.
+ * @param {Object<string, Object>} schema - Rule of each allowed field.
+ * @param {Object} [data={}] - Object to validate.
+ * @returns {{ value: Object, errors: Object<string, string> }} The coerced
+ * object and the error message of each invalid field (empty if valid).
+ */
+function validateSchema(schema, data = {}) {
+  const errors = {};
+  const value = checkFields(schema, data, errors);
+  return { value, errors };
+}
+
+module.exports = { validateSchema };
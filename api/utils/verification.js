@@ -0,0 +1,76 @@
+/**
+ * Policy applied to the accounts whose email is not verified yet.
+ *
+ * Set with `EMAIL_VERIFICATION_POLICY`:
+ * - "none": unverified accounts work like verified ones and are never purged.
+ * - "limit-mail" (default): unverified accounts don't receive reminders,
+ *   digests or list invitations, so nobody can get mail sent to an address
+ *   they don't own.
+ * - "block-login": unverified accounts can't log in either.
+ *
+ * Accounts created before email verification existed don't have the
+ * `verified` field and count as verified.
+ */
+
+const POLICIES = ["none", "limit-mail", "block-login"];
+
+const VERIFICATION_POLICY = POLICIES.includes(
+  process.env.EMAIL_VERIFICATION_POLICY,
+)
+  ? process.env.EMAIL_VERIFICATION_POLICY
+  : "limit-mail";
+
+/**
+ * Seconds a user has to wait before asking for another verification email.
+ */
+const VERIFICATION_RESEND_COOLDOWN_SECONDS =
+  Number(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+
+/**
+ * Tells whether the email of a user is verified.
+ * @param {Object} user - User document.
+ * @returns {boolean} `true` unless the user is flagged as unverified.
+ */
+function isVerified(user) {
+  return user.verified !== false;
+}
+
+/**
+ * Tells whether a user can log in under the current policy.
+ * @param {Object} user - User document.
+ * @returns {boolean} `true` if the user can log in.
+ */
+function canLogin(user) {
+  return VERIFICATION_POLICY !== "block-login" || isVerified(user);
+}
+
+/**
+ * Tells whether the mail-based features can email a user under the current policy.
+ * @param {Object} user - User document.
+ * @returns {boolean} `true` if the user can be emailed.
+ */
+function canReceiveMail(user) {
+  return VERIFICATION_POLICY === "none" || isVerified(user);
+}
+
+/**
+ * Tells whether another verification email can be sent to a user yet.
+ * @param {Object} user - User document.
+ * @param {Date} [now=new Date()] - Current date.
+ * @returns {boolean} `true` if the cooldown since the last email is over.
+ */
+function canResendVerification(user, now = new Date()) {
+  return (
+    !user.verificationSentAt ||
+    now.getTime() - user.verificationSentAt.getTime() >=
+      VERIFICATION_RESEND_COOLDOWN_SECONDS * 1000
+  );
+}
+
+module.exports = {
+  VERIFICATION_POLICY,
+  isVerified,
+  canLogin,
+  canReceiveMail,
+  canResendVerification,
+};
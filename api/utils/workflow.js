@@ -0,0 +1,160 @@
+/**
+ * Helpers to work with the workflow statuses of a list.
+ *
+ * Each list defines the ordered statuses its tasks go through (the kanban
+ * columns), with a label, a color and a `done` flag marking the statuses
+ * that count as completed. Lists that never customized their workflow,
+ * including every list created before workflows existed, use
+ * `DEFAULT_STATUSES`.
+ *
+ * Tasks store whether their status counts as completed in `task.completed`,
+ * so queries across lists don't need to look up each list's workflow.
+ */
+
+/**
+ * Workflow of the lists that don't define their own.
+ */
+const DEFAULT_STATUSES = [
+  { key: "ongoing", label: "En curso", color: "#2196f3", done: false },
+  { key: "unassigned", label: "Sin asignar", color: "#9e9e9e", done: false },
+  { key: "done", label: "Terminada", color: "#4caf50", done: true },
+];
+
+/**
+ * Status new tasks get when the list doesn't say otherwise.
+ */
+const DEFAULT_STATUS = "unassigned";
+
+/**
+ * Returns the ordered statuses of a list.
+ * @param {Object|null} list - List document or plain object.
+ * @returns {Array<{ key: string, label: string, color: string, done: boolean }>} Statuses of the list.
+ */
+function getStatuses(list) {
+  return list && list.statuses && list.statuses.length
+    ? list.statuses
+    : DEFAULT_STATUSES;
+}
+
+/**
+ * Returns a status of a list by its key.
+ * @param {Object|null} list - List document or plain object.
+ * @param {string} key - Key of the status.
+ * @returns {Object|undefined} The status, or `undefined` if the list doesn't have it.
+ */
+function findStatus(list, key) {
+  return getStatuses(list).find((status) => status.key === key);
+}
+
+/**
+ * Returns the message of the validation error for a status that is not
+ * part of a list's workflow.
+ * @param {Object|null} list - List document or plain object.
+ * @returns {string} Error message.
+ */
+function invalidStatusMessage(list) {
+  const keys = getStatuses(list).map((status) => status.key);
+  return `El estado debe ser uno de: ${keys.join(", ")}`;
+}
+
+/**
+ * Returns the status new tasks of a list get: the list's `defaultStatus`,
+ * or "unassigned", or its first status not marked as done.
+ * @param {Object|null} list - List document or plain object.
+ * @returns {string} Key of the status.
+ */
+function getDefaultStatus(list) {
+  const statuses = getStatuses(list);
+  for (const key of [list && list.defaultStatus, DEFAULT_STATUS]) {
+    if (key && statuses.some((status) => status.key === key)) return key;
+  }
+  return (statuses.find((status) => !status.done) || statuses[0]).key;
+}
+
+/**
+ * Tells whether a task is completed. Tasks saved before workflows existed
+ * don't have the `completed` flag, and were completed when `done`.
+ * @param {Object} task - Task document or plain object.
+ * @returns {boolean} `true` if the task's status counts as completed.
+ */
+function isCompleted(task) {
+  if (task.completed === true || task.completed === false) {
+    return task.completed;
+  }
+  return task.status === "done";
+}
+
+/**
+ * Returns the status a task gets when it moves into another list: the same
+ * one if the list has it, otherwise the list's first completed status for
+ * completed tasks and the list's default status for open ones.
+ * @param {Object} task - Task document or plain object.
+ * @param {Object|null} list - List the task moves into.
+ * @returns {string} Key of the status.
+ */
+function mapStatus(task, list) {
+  if (findStatus(list, task.status)) return task.status;
+  if (isCompleted(task)) {
+    const done = getStatuses(list).find((status) => status.done);
+    if (done) return done.key;
+  }
+  return getDefaultStatus(list);
+}
+
+/**
+ * Merges the workflows of several lists into the columns of a single board.
+ * Columns keep the order in which their statuses first appear; lists that
+ * share a status key share the column, which takes the label and color of
+ * the first list that defines it.
+ * @param {Array<Object>} lists - Lists shown on the board.
+ * @returns {Array<{ key: string, label: string, color: string, done: boolean }>} Board columns.
+ */
+function mergeStatuses(lists) {
+  const columns = new Map();
+  for (const list of lists) {
+    for (const status of getStatuses(list)) {
+      if (!columns.has(status.key)) {
+        const { key, label, color, done } = status;
+        columns.set(key, { key, label, color, done });
+      }
+    }
+  }
+  return [...columns.values()];
+}
+
+/**
+ * MongoDB filter that matches the tasks that are not completed.
+ */
+const OPEN_TASK_FILTER = {
+  $or: [{ completed: false }, { completed: null, status: { $ne: "done" } }],
+};
+
+/**
+ * Builds the aggregation expression that ranks tasks by the position
+ * of their status in a workflow. Unknown statuses go last.
+ * @param {Array<{ key: string }>} statuses - Ordered statuses.
+ * @returns {Object} Aggregation expression.
+ */
+function statusOrderExpr(statuses) {
+  const keys = statuses.map((status) => status.key);
+  return {
+    $let: {
+      vars: { index: { $indexOfArray: [keys, "$status"] } },
+      in: { $cond: [{ $lt: ["$$index", 0] }, keys.length, "$$index"] },
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_STATUSES,
+  DEFAULT_STATUS,
+  OPEN_TASK_FILTER,
+  getStatuses,
+  findStatus,
+  invalidStatusMessage,
+  getDefaultStatus,
+  isCompleted,
+  mapStatus,
+  mergeStatuses,
+  statusOrderExpr,
+};